@@ -0,0 +1,57 @@
+const userService = require('../services/userService');
+
+// Bearer header, or ?token= for EventSource streams which cannot send headers
+function getToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  if (req.method === 'GET' && typeof req.query.token === 'string') return req.query.token;
+  return null;
+}
+
+async function identify(req) {
+  const token = getToken(req);
+  if (!token) return null;
+
+  const payload = userService.verifyToken(token);
+  if (!payload) return null;
+
+  return userService.getUser(payload.sub);
+}
+
+// Reject requests without a valid session; sets req.user
+function authenticate(req, res, next) {
+  identify(req)
+    .then(user => {
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      req.user = user;
+      next();
+    })
+    .catch(next);
+}
+
+// Sets req.user when a valid session is present but lets anonymous requests through
+function optionalAuthenticate(req, res, next) {
+  identify(req)
+    .then(user => {
+      req.user = user;
+      next();
+    })
+    .catch(next);
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: `This action requires the ${roles.join(' or ')} role` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  requireRole
+};
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const analysisSchema = new mongoose.Schema({
+  _id: String,
+  sessionId: String,
+  assignmentId: { type: String, index: true },
+  courseId: { type: String, index: true },
+  ownerId: { type: String, index: true },
+  studentIds: { type: [String], index: true },
+  status: { type: String, default: 'completed' },
+  totalFiles: Number,
+  plagiarismScore: Number,
+  aiGeneratedScore: Number,
+  risk: String,
+  // Position of `risk` in the risk scale so "high or above" is a range query
+  riskRank: { type: Number, index: true },
+  summary: mongoose.Schema.Types.Mixed,
+  sources: mongoose.Schema.Types.Mixed,
+  peerComparison: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, index: true },
+  completedAt: Date
+}, { versionKey: false, minimize: false });
+
+module.exports = mongoose.models.Analysis || mongoose.model('Analysis', analysisSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+const assignmentSchema = new mongoose.Schema({
+  _id: String,
+  courseId: { type: String, index: true },
+  name: String,
+  description: String,
+  language: String,
+  deadline: Date,
+  createdAt: Date,
+  updatedAt: Date
+}, { versionKey: false });
+
+module.exports = mongoose.models.Assignment || mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+const courseSchema = new mongoose.Schema({
+  _id: String,
+  code: { type: String, index: true },
+  name: String,
+  term: { type: String, index: true },
+  ownerId: { type: String, index: true },
+  createdAt: Date,
+  updatedAt: Date
+}, { versionKey: false });
+
+module.exports = mongoose.models.Course || mongoose.model('Course', courseSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Known match fields are typed; provider-specific details are kept as sent
+const matchSchema = new mongoose.Schema({
+  source: String,
+  title: String,
+  link: String,
+  similarity: Number,
+  risk: String,
+  snippet: String,
+  sourceSnippet: String
+}, { _id: false, strict: false });
+
+const fileResultSchema = new mongoose.Schema({
+  _id: String,
+  analysisId: { type: String, index: true },
+  fileIndex: Number,
+  studentId: { type: String, index: true },
+  filename: String,
+  language: String,
+  size: Number,
+  content: String,
+  plagiarismScore: Number,
+  aiGeneratedScore: Number,
+  risk: String,
+  matches: [matchSchema],
+  aiAnalysis: mongoose.Schema.Types.Mixed,
+  baseCode: mongoose.Schema.Types.Mixed,
+  error: String,
+  timestamp: Date
+}, { versionKey: false, minimize: false });
+
+module.exports = mongoose.models.FileResult || mongoose.model('FileResult', fileResultSchema);
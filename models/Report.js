@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+  _id: String,
+  analysisId: { type: String, index: true },
+  courseId: { type: String, index: true },
+  ownerId: { type: String, index: true },
+  format: String,
+  filename: { type: String, index: true },
+  size: Number,
+  stored: Boolean,
+  createdAt: { type: Date, index: true }
+}, { versionKey: false });
+
+module.exports = mongoose.models.Report || mongoose.model('Report', reportSchema);
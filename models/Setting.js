@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Markers under fixed ids, e.g. the claim on the first admin account
+const settingSchema = new mongoose.Schema({
+  _id: String,
+  createdAt: Date
+}, { versionKey: false, strict: false });
+
+module.exports = mongoose.models.Setting || mongoose.model('Setting', settingSchema);
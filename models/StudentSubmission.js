@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// The files a student handed in for an assignment (latest attempt)
+const studentSubmissionSchema = new mongoose.Schema({
+  _id: String,
+  courseId: { type: String, index: true },
+  assignmentId: { type: String, index: true },
+  studentId: { type: String, index: true },
+  studentName: String,
+  files: [{
+    _id: false,
+    filename: String,
+    language: String,
+    size: Number,
+    content: String
+  }],
+  source: mongoose.Schema.Types.Mixed,
+  attempts: Number,
+  late: Boolean,
+  styleDrift: mongoose.Schema.Types.Mixed,
+  submittedAt: { type: Date, index: true }
+}, { versionKey: false, minimize: false });
+
+module.exports = mongoose.models.StudentSubmission || mongoose.model('StudentSubmission', studentSubmissionSchema);
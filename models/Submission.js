@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const submissionSchema = new mongoose.Schema({
+  _id: String,
+  studentId: { type: String, index: true },
+  assignmentId: { type: String, index: true },
+  courseId: { type: String, index: true },
+  ownerId: { type: String, index: true },
+  analysisId: { type: String, index: true },
+  files: [{
+    _id: false,
+    filename: String,
+    language: String,
+    size: Number
+  }],
+  plagiarismScore: Number,
+  aiGeneratedScore: Number,
+  createdAt: { type: Date, index: true }
+}, { versionKey: false });
+
+module.exports = mongoose.models.Submission || mongoose.model('Submission', submissionSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  _id: String,
+  email: { type: String, unique: true },
+  name: String,
+  passwordHash: String,
+  role: { type: String, enum: ['instructor', 'ta', 'admin'], default: 'instructor' },
+  // Course ids the user owns (instructor) or assists in (TA)
+  courses: { type: [String], index: true },
+  createdAt: Date,
+  lastLoginAt: Date
+}, { versionKey: false });
+
+module.exports = mongoose.models.User || mongoose.model('User', userSchema);
@@ -0,0 +1,70 @@
+// Session helpers shared by the CodeGuard pages: keeps the sign-in token and adds it to API calls
+const CodeGuardAuth = {
+    tokenKey: 'codeguardToken',
+    userKey: 'codeguardUser',
+
+    getToken() {
+        return localStorage.getItem(this.tokenKey);
+    },
+
+    getUser() {
+        try {
+            return JSON.parse(localStorage.getItem(this.userKey));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    saveSession(token, user) {
+        localStorage.setItem(this.tokenKey, token);
+        localStorage.setItem(this.userKey, JSON.stringify(user));
+    },
+
+    clearSession() {
+        localStorage.removeItem(this.tokenKey);
+        localStorage.removeItem(this.userKey);
+    },
+
+    // Send the visitor to the login page and bring them back afterwards
+    redirectToLogin() {
+        const next = encodeURIComponent(window.location.pathname + window.location.search);
+        window.location.href = `/login?next=${next}`;
+    },
+
+    requireLogin() {
+        if (!this.getToken()) {
+            this.redirectToLogin();
+            return false;
+        }
+        return true;
+    },
+
+    logout() {
+        this.clearSession();
+        window.location.href = '/login';
+    },
+
+    // EventSource cannot send headers, so streams take the token as a query parameter
+    withToken(url) {
+        const separator = url.includes('?') ? '&' : '?';
+        return `${url}${separator}token=${encodeURIComponent(this.getToken() || '')}`;
+    }
+};
+
+// fetch() with the session token; an expired session goes back to the login page
+async function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const token = CodeGuardAuth.getToken();
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(url, { ...options, headers: headers });
+
+    if (response.status === 401) {
+        CodeGuardAuth.clearSession();
+        CodeGuardAuth.redirectToLogin();
+    }
+
+    return response;
+}
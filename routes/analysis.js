@@ -1,74 +1,124 @@
 const express = require('express');
 const searchService = require('../services/searchService');
 const aiDetectionService = require('../services/aiDetection');
-const githubService = require('../services/githubService');
+const collusionDetector = require('../services/collusionDetector');
+const jobQueue = require('../services/jobQueue');
+const sessionStore = require('../services/sessionStore');
+const baseCodeService = require('../services/baseCodeService');
+const providerRegistry = require('../services/providers');
+const llmRegistry = require('../services/llm');
+const searchCache = require('../services/searchCache');
+const matchViewer = require('../services/matchViewer');
+const dataStore = require('../services/dataStore');
+const userService = require('../services/userService');
+const courseService = require('../services/courseService');
+const languageRegistry = require('../utils/languageRegistry');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Main analysis endpoint
+// Main analysis endpoint: queue the job and return straight away
 router.post('/analyze', async (req, res) => {
   try {
-    const { codeFiles, options = {} } = req.body;
+    const { sessionId, assignmentId, compareWith = [] } = req.body;
+    let { codeFiles, options = {} } = req.body;
+    let referenceFiles = [];
+
+    // Files uploaded earlier can be referenced by their session instead of re-sent
+    if (sessionId) {
+      const session = sessionStore.get(sessionId);
+      if (!session) {
+        return res.status(404).json({ error: 'Upload session not found or expired' });
+      }
 
-    if (!codeFiles || !Array.isArray(codeFiles) || codeFiles.length === 0) {
-      return res.status(400).json({ error: 'Code files are required' });
+      if (!userService.canAccess(req.user, session)) {
+        return res.status(403).json({ error: 'You do not have access to this upload session' });
+      }
+      codeFiles = session.files;
     }
 
-    console.log(`Starting analysis of ${codeFiles.length} files...`);
+    // Rerun detection over every student's latest submission to an assignment
+    if (assignmentId) {
+      const assignment = await courseService.getAssignment(assignmentId);
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
 
-    const analysisId = generateAnalysisId();
-    const results = {
-      analysisId,
-      timestamp: new Date().toISOString(),
-      totalFiles: codeFiles.length,
-      summary: {
-        plagiarismScore: 0,
-        aiGeneratedScore: 0,
-        totalMatches: 0,
-        highRiskFiles: []
-      },
-      files: [],
-      sources: {
-        github: [],
-        stackoverflow: [],
-        web: []
+      if (!userService.canAccessCourse(req.user, assignment.courseId)) {
+        return res.status(403).json({ error: 'You do not have access to this course' });
       }
-    };
 
-    // Process each file
-    for (const file of codeFiles) {
-      console.log(`Analyzing file: ${file.filename}`);
-      
-      const fileResult = await analyzeFile(file, options);
-      results.files.push(fileResult);
-
-      // Update summary
-      if (fileResult.plagiarismScore > 0.7) {
-        results.summary.highRiskFiles.push({
-          filename: file.filename,
-          score: fileResult.plagiarismScore,
-          reason: 'High plagiarism detected'
-        });
+      if (!Array.isArray(compareWith)) {
+        return res.status(400).json({ error: 'compareWith must be an array of assignment ids' });
       }
 
-      results.summary.totalMatches += fileResult.matches.length;
+      codeFiles = await courseService.getAssignmentFiles(assignment.id);
+      options = {
+        ...options,
+        assignmentId: assignment.id,
+        courseId: assignment.courseId,
+        comparePeers: options.comparePeers !== false
+      };
+
+      // Other offerings (e.g. last term's) join the peer comparison as reference submissions
+      for (const referenceId of compareWith) {
+        const reference = await courseService.getAssignment(referenceId);
+        if (!reference) {
+          return res.status(404).json({ error: `Assignment not found: ${referenceId}` });
+        }
+
+        if (!userService.canAccessCourse(req.user, reference.courseId)) {
+          return res.status(403).json({ error: `You do not have access to the course of ${referenceId}` });
+        }
+
+        const course = await courseService.getCourse(reference.courseId);
+        const label = [course.code, course.term, reference.name].filter(Boolean).join(' ');
+        const files = await courseService.getAssignmentFiles(reference.id);
+
+        referenceFiles.push(...files.map(file => ({
+          ...file,
+          studentId: `${reference.id}:${file.studentId}`,
+          studentName: `${file.studentName} (${label})`
+        })));
+      }
     }
 
-    // Calculate overall scores
-    const totalPlagiarismScore = results.files.reduce((sum, file) => sum + file.plagiarismScore, 0);
-    const totalAIScore = results.files.reduce((sum, file) => sum + file.aiGeneratedScore, 0);
+    if (!codeFiles || !Array.isArray(codeFiles) || codeFiles.length === 0) {
+      return res.status(400).json({ error: 'Code files are required' });
+    }
 
-    results.summary.plagiarismScore = totalPlagiarismScore / results.files.length;
-    results.summary.aiGeneratedScore = totalAIScore / results.files.length;
+    const unknownProviders = providerRegistry.findUnknown(options.providers);
+    if (unknownProviders.length > 0) {
+      return res.status(400).json({ error: `Unknown providers: ${unknownProviders.join(', ')}` });
+    }
 
-    // Aggregate sources
-    results.sources = aggregateSources(results.files);
+    if (options.courseId && !userService.canAccessCourse(req.user, options.courseId)) {
+      return res.status(403).json({ error: 'You do not have access to this course' });
+    }
 
-    console.log(`Analysis completed. Plagiarism score: ${results.summary.plagiarismScore.toFixed(2)}, AI score: ${results.summary.aiGeneratedScore.toFixed(2)}`);
+    // options.assignmentId alone only excludes that assignment's base code, but still needs course access
+    if (!assignmentId && options.assignmentId) {
+      const denied = await checkAssignmentAccess(req.user, options.assignmentId);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+    }
 
-    res.json({
+    const analysisId = generateAnalysisId();
+    const job = jobQueue.enqueue('analysis', { codeFiles, referenceFiles, options, sessionId }, analysisId, {
+      ownerId: req.user.id,
+      courseId: options.courseId
+    });
+
+    console.log(`Queued analysis ${analysisId} of ${codeFiles.length} files`);
+
+    res.status(202).json({
       success: true,
-      data: results
+      data: {
+        analysisId,
+        status: job.status,
+        totalFiles: codeFiles.length,
+        statusUrl: `/api/analysis/status/${analysisId}`,
+        resultsUrl: `/api/analysis/results/${analysisId}`
+      }
     });
 
   } catch (error) {
@@ -77,6 +127,136 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+// Background job handler for a full analysis
+async function runAnalysis(job, { updateProgress, publish }) {
+  const { options = {}, sessionId = null } = job.payload;
+  const analysisId = job.id;
+
+  // Uploads name languages loosely ("C++", "py") or not at all; settle them once for every stage
+  const withLanguage = file => ({ ...file, language: languageRegistry.identify(file) });
+  const codeFiles = job.payload.codeFiles.map(withLanguage);
+  const referenceFiles = (job.payload.referenceFiles || []).map(withLanguage);
+
+  // Corpus matches are limited to the courses of whoever queued the analysis
+  const owner = job.scope && job.scope.ownerId ? await userService.getUser(job.scope.ownerId) : null;
+
+  console.log(`Starting analysis of ${codeFiles.length} files...`);
+
+  const results = {
+    analysisId,
+    sessionId,
+    timestamp: new Date().toISOString(),
+    totalFiles: codeFiles.length,
+    summary: {
+      plagiarismScore: 0,
+      aiGeneratedScore: 0,
+      totalMatches: 0,
+      highRiskFiles: []
+    },
+    files: [],
+    sources: {
+      github: [],
+      stackoverflow: [],
+      web: [],
+      corpus: []
+    }
+  };
+
+  // Assignment-wide runs have one main.py per student, so progress names the student too
+  const describeFile = file => ({ filename: file.filename, studentId: file.studentId || null, studentName: file.studentName || null });
+  const fileProgress = codeFiles.map(file => ({ ...describeFile(file), status: 'pending' }));
+  updateProgress({ totalFiles: codeFiles.length, completedFiles: 0, files: fileProgress });
+
+  // Process each file
+  for (let i = 0; i < codeFiles.length; i++) {
+    const file = codeFiles[i];
+    console.log(`Analyzing file: ${file.filename}`);
+
+    fileProgress[i].status = 'running';
+    updateProgress({ currentFile: file.filename, files: fileProgress });
+    publish('file:started', { ...describeFile(file), index: i, totalFiles: codeFiles.length });
+
+    const fileResult = await analyzeFile(file, options, owner, (type, data) => publish(type, { ...describeFile(file), index: i, ...data }));
+    results.files.push(fileResult);
+
+    fileProgress[i] = {
+      ...describeFile(file),
+      status: fileResult.error ? 'failed' : 'completed',
+      plagiarismScore: fileResult.plagiarismScore,
+      aiGeneratedScore: fileResult.aiGeneratedScore,
+      matches: fileResult.matches.length
+    };
+    updateProgress({ completedFiles: i + 1, currentFile: null, files: fileProgress });
+    publish('file:completed', {
+      index: i,
+      completedFiles: i + 1,
+      totalFiles: codeFiles.length,
+      result: fileResult
+    });
+
+    // Update summary
+    if (fileResult.plagiarismScore > 0.7) {
+      results.summary.highRiskFiles.push({
+        ...describeFile(file),
+        score: fileResult.plagiarismScore,
+        reason: 'High plagiarism detected'
+      });
+    }
+
+    results.summary.totalMatches += fileResult.matches.length;
+  }
+
+  // Calculate overall scores
+  const totalPlagiarismScore = results.files.reduce((sum, file) => sum + file.plagiarismScore, 0);
+  const totalAIScore = results.files.reduce((sum, file) => sum + file.aiGeneratedScore, 0);
+
+  results.summary.plagiarismScore = totalPlagiarismScore / results.files.length;
+  results.summary.aiGeneratedScore = totalAIScore / results.files.length;
+
+  // Aggregate sources
+  results.sources = aggregateSources(results.files);
+
+  // Compare the submitted files with each other
+  if (options.comparePeers && codeFiles.length + referenceFiles.length > 1) {
+    const cohort = [
+      ...collusionDetector.groupSubmissions(codeFiles),
+      ...collusionDetector.groupSubmissions(referenceFiles).map(submission => ({ ...submission, reference: true }))
+    ];
+
+    results.peerComparison = collusionDetector.compareSubmissions(
+      cohort,
+      {
+        ...options.peerOptions,
+        excludeHashes: baseCodeService.getExcludedHashes(options.assignmentId)
+      }
+    );
+  }
+
+  // Share of the submission that is instructor-provided starter code
+  if (options.assignmentId) {
+    const ratios = results.files.filter(file => file.baseCode).map(file => file.baseCode.excludedRatio);
+    results.summary.baseCodeExcluded = ratios.length > 0
+      ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length
+      : 0;
+  }
+
+  console.log(`Analysis completed. Plagiarism score: ${results.summary.plagiarismScore.toFixed(2)}, AI score: ${results.summary.aiGeneratedScore.toFixed(2)}`);
+
+  // Keep the analysis searchable after the job's own files are gone
+  try {
+    await dataStore.saveAnalysis(results, {
+      assignmentId: options.assignmentId || null,
+      courseId: (job.scope && job.scope.courseId) || null,
+      ownerId: (job.scope && job.scope.ownerId) || null,
+      codeFiles
+    });
+  } catch (error) {
+    console.warn(`Could not persist analysis ${analysisId}:`, error.message);
+  }
+
+  return results;
+}
+
 // Analyze specific file
 router.post('/analyze-file', async (req, res) => {
   try {
@@ -86,13 +266,23 @@ router.post('/analyze-file', async (req, res) => {
       return res.status(400).json({ error: 'Code content and filename are required' });
     }
 
+    const unknownProviders = providerRegistry.findUnknown(options.providers);
+    if (unknownProviders.length > 0) {
+      return res.status(400).json({ error: `Unknown providers: ${unknownProviders.join(', ')}` });
+    }
+
+    if (options.assignmentId) {
+      const denied = await checkAssignmentAccess(req.user, options.assignmentId);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+    }
+
     const file = {
       filename,
       content: code,
-      language: language || 'unknown'
+      language: languageRegistry.identify({ filename, content: code, language })
     };
 
-    const result = await analyzeFile(file, options);
+    const result = await analyzeFile(file, options, req.user);
 
     res.json({
       success: true,
@@ -105,31 +295,340 @@ router.post('/analyze-file', async (req, res) => {
   }
 });
 
+// Match sources available to analyses
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: providerRegistry.describe()
+  });
+});
+
+// LLM backends for AI detection and which one is active
+router.get('/llm', (req, res) => {
+  res.json({
+    success: true,
+    data: llmRegistry.describe()
+  });
+});
+
+// Search cache settings and hit/miss counters
+router.get('/search-cache', (req, res) => {
+  res.json({
+    success: true,
+    data: searchCache.describe()
+  });
+});
+
+// Drop cached search results, e.g. after a provider changed its index; ?provider= limits it to one
+router.delete('/search-cache', requireRole('admin'), (req, res) => {
+  const { provider = null } = req.query;
+  if (provider && !providerRegistry.get(provider)) {
+    return res.status(400).json({ error: `Unknown provider: ${provider}` });
+  }
+
+  res.json({
+    success: true,
+    data: { removed: searchCache.clear(provider) }
+  });
+});
+
+// Cross-submission comparison across a cohort
+router.post('/compare', async (req, res) => {
+  try {
+    const { submissions, codeFiles, options = {} } = req.body;
+
+    let cohort = submissions;
+    if (!cohort && Array.isArray(codeFiles)) {
+      cohort = collusionDetector.groupSubmissions(codeFiles);
+    }
+
+    if (!Array.isArray(cohort) || cohort.length < 2) {
+      return res.status(400).json({ error: 'At least two submissions are required' });
+    }
+
+    const invalid = cohort.find(submission => !submission.id || !Array.isArray(submission.files));
+    if (invalid) {
+      return res.status(400).json({ error: 'Each submission needs an id and a files array' });
+    }
+
+    if (options.assignmentId) {
+      const denied = await checkAssignmentAccess(req.user, options.assignmentId);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+    }
+
+    console.log(`Comparing ${cohort.length} submissions pairwise...`);
+
+    const comparison = collusionDetector.compareSubmissions(cohort, {
+      ...options,
+      excludeHashes: baseCodeService.getExcludedHashes(options.assignmentId)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        comparisonId: generateAnalysisId().replace('analysis_', 'comparison_'),
+        timestamp: new Date().toISOString(),
+        ...comparison
+      }
+    });
+
+  } catch (error) {
+    console.error('Comparison error:', error);
+    res.status(500).json({ error: 'Comparison failed: ' + error.message });
+  }
+});
+
 // Get analysis status
 router.get('/status/:analysisId', (req, res) => {
-  // This would typically check against a database
-  // For now, return a simple response
+  const job = jobQueue.getJob(req.params.analysisId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+
+  if (!userService.canAccess(req.user, job.scope)) {
+    return res.status(403).json({ error: 'You do not have access to this analysis' });
+  }
+
   res.json({
-    analysisId: req.params.analysisId,
-    status: 'completed',
-    timestamp: new Date().toISOString()
+    success: true,
+    data: {
+      analysisId: job.id,
+      status: job.status,
+      progress: job.progress,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      resultsUrl: job.status === 'completed' ? `/api/analysis/results/${job.id}` : null
+    }
   });
 });
 
+// Get analysis results
+router.get('/results/:analysisId', async (req, res) => {
+  const job = jobQueue.getJob(req.params.analysisId);
+
+  if (!job) {
+    // Older analyses are only in the data store
+    try {
+      const stored = await dataStore.getAnalysis(req.params.analysisId);
+      if (stored) {
+        if (!userService.canAccess(req.user, stored)) {
+          return res.status(403).json({ error: 'You do not have access to this analysis' });
+        }
+        return res.json({
+          success: true,
+          data: stored
+        });
+      }
+    } catch (error) {
+      console.warn('Data store lookup failed:', error.message);
+    }
+
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+
+  if (!userService.canAccess(req.user, job.scope)) {
+    return res.status(403).json({ error: 'You do not have access to this analysis' });
+  }
+
+  if (job.status === 'failed') {
+    return res.status(500).json({ error: 'Analysis failed: ' + job.error });
+  }
+
+  if (job.status !== 'completed') {
+    return res.status(202).json({
+      success: false,
+      message: 'Analysis is still in progress',
+      data: {
+        analysisId: job.id,
+        status: job.status,
+        progress: job.progress
+      }
+    });
+  }
+
+  const results = jobQueue.getResults(job.id);
+  if (!results) {
+    return res.status(404).json({ error: 'Analysis results are no longer available' });
+  }
+
+  res.json({
+    success: true,
+    data: results
+  });
+});
+
+// Side-by-side view of one match from a finished analysis
+router.get('/results/:analysisId/files/:fileIndex/matches/:matchIndex/compare', async (req, res) => {
+  try {
+    const { analysisId, fileIndex, matchIndex } = req.params;
+    const found = await findStoredMatch(req.user, analysisId, fileIndex, matchIndex);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    await sendMatchComparison(res, req.user, found.fileResult, found.match);
+
+  } catch (error) {
+    console.error('Match comparison error:', error);
+    res.status(500).json({ error: 'Match comparison failed: ' + error.message });
+  }
+});
+
+// Same view, with the match named in the body. The match itself is always read from the stored
+// results: its repository and document references are fetched with the server's credentials.
+router.post('/compare-match', async (req, res) => {
+  try {
+    const { analysisId, fileIndex, matchIndex } = req.body;
+
+    if (!analysisId || fileIndex === undefined || matchIndex === undefined) {
+      return res.status(400).json({ error: 'analysisId, fileIndex and matchIndex are required' });
+    }
+
+    const found = await findStoredMatch(req.user, analysisId, fileIndex, matchIndex);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    await sendMatchComparison(res, req.user, found.fileResult, found.match);
+
+  } catch (error) {
+    console.error('Match comparison error:', error);
+    res.status(500).json({ error: 'Match comparison failed: ' + error.message });
+  }
+});
+
+// { status, error } when the assignment is missing or outside the user's courses, otherwise null
+async function checkAssignmentAccess(user, assignmentId) {
+  const assignment = await courseService.getAssignment(String(assignmentId));
+  if (!assignment) {
+    return { status: 404, error: 'Assignment not found' };
+  }
+
+  if (!userService.canAccessCourse(user, assignment.courseId)) {
+    return { status: 403, error: 'You do not have access to this course' };
+  }
+
+  return null;
+}
+
+async function findStoredMatch(user, analysisId, fileIndex, matchIndex) {
+  const job = jobQueue.getJob(analysisId);
+  const results = (job && jobQueue.getResults(job.id)) || await dataStore.getAnalysis(analysisId);
+  if (!results) {
+    return { status: 404, error: 'Analysis results not found' };
+  }
+
+  if (!userService.canAccess(user, job ? job.scope : results)) {
+    return { status: 403, error: 'You do not have access to this analysis' };
+  }
+
+  const fileResult = results.files[parseInt(fileIndex)];
+  const match = fileResult && fileResult.matches[parseInt(matchIndex)];
+  if (!match) {
+    return { status: 404, error: 'Match not found' };
+  }
+
+  return { fileResult, match };
+}
+
+async function sendMatchComparison(res, user, fileResult, match) {
+  if (!fileResult.content) {
+    return res.status(422).json({ error: 'File content is not available for this result' });
+  }
+
+  const excludeHashes = fileResult.baseCode
+    ? baseCodeService.getExcludedHashes(fileResult.baseCode.assignmentId)
+    : null;
+  const comparison = await matchViewer.buildComparison(fileResult, match, { excludeHashes, user });
+
+  if (!comparison) {
+    return res.status(422).json({ error: 'Source content is not available for this match' });
+  }
+
+  res.json({
+    success: true,
+    data: comparison
+  });
+}
+
+// Stream live progress events for an analysis (Server-Sent Events)
+router.get('/events/:analysisId', (req, res) => {
+  const job = jobQueue.getJob(req.params.analysisId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+
+  if (!userService.canAccess(req.user, job.scope)) {
+    return res.status(403).json({ error: 'You do not have access to this analysis' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Current state first, then everything that already happened
+  send({
+    id: 0,
+    type: 'snapshot',
+    data: { analysisId: job.id, status: job.status, progress: job.progress, error: job.error }
+  });
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || '0');
+  jobQueue.getEvents(job.id)
+    .filter(event => event.id > lastEventId)
+    .forEach(send);
+
+  if (jobQueue.isFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const unsubscribe = jobQueue.subscribe(job.id, (event) => {
+    send(event);
+    if (event.type === 'job:completed' || event.type === 'job:failed') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
 // Helper function to analyze a single file
-async function analyzeFile(file, options = {}) {
+// `user` is who the analysis runs for; `emit` reports pipeline progress as (type, data) events
+async function analyzeFile(file, options = {}, user = null, emit = () => {}) {
   const {
-    searchGitHub = true,
-    searchStackOverflow = true,
-    searchWeb = true,
+    assignmentId = null,
     detectAI = true,
     similarityThreshold = 0.3
   } = options;
 
+  // Fingerprints of the assignment's starter code never count as matches
+  const excludeHashes = baseCodeService.getExcludedHashes(assignmentId);
+
   const result = {
     filename: file.filename,
+    studentId: file.studentId || null,
+    studentName: file.studentName || null,
     language: file.language,
     size: file.content.length,
+    content: file.content,
     plagiarismScore: 0,
     aiGeneratedScore: 0,
     matches: [],
@@ -143,73 +642,82 @@ async function analyzeFile(file, options = {}) {
       console.log(`Detecting AI patterns in ${file.filename}...`);
       result.aiAnalysis = await aiDetectionService.detectAIGeneratedCode(file.content, file.language);
       result.aiGeneratedScore = result.aiAnalysis.aiProbability;
+      emit('ai:completed', { aiGeneratedScore: result.aiGeneratedScore });
     }
 
     // 2. Plagiarism Detection
     console.log(`Searching for plagiarism in ${file.filename}...`);
     
-    // Extract searchable snippets
-    const snippets = searchService.extractSearchSnippets(file.content);
+    if (excludeHashes) {
+      result.baseCode = {
+        assignmentId,
+        ...baseCodeService.measureExclusion(file.content, file.language, excludeHashes)
+      };
+    }
+
+    // Extract searchable snippets, skipping those made up entirely of base code
+    const snippets = searchService.extractSearchUnits(file.content, file.language)
+      .filter(unit => !excludeHashes ||
+        baseCodeService.measureExclusion(unit.code, file.language, excludeHashes).excludedRatio < 1);
     const allMatches = [];
 
-    for (const snippet of snippets) {
-      const matches = [];
+    // options.providers picks sources by name; the search* flags still work without it
+    const providers = providerRegistry.resolve(options, file.language);
 
-      // Search GitHub
-      if (searchGitHub) {
-        try {
-          const githubMatches = await githubService.searchCode(snippet, file.language);
-          matches.push(...githubMatches.map(match => ({
-            ...match,
-            source: 'github',
-            snippet: snippet
-          })));
-        } catch (error) {
-          console.warn(`GitHub search failed for ${file.filename}:`, error.message);
-        }
-      }
-
-      // Search Stack Overflow
-      if (searchStackOverflow) {
-        try {
-          const stackOverflowMatches = await searchService.searchStackOverflow(snippet, file.language);
-          matches.push(...stackOverflowMatches.map(match => ({
-            ...match,
-            source: 'stackoverflow',
-            snippet: snippet
-          })));
-        } catch (error) {
-          console.warn(`Stack Overflow search failed for ${file.filename}:`, error.message);
-        }
-      }
+    for (let snippetIndex = 0; snippetIndex < snippets.length; snippetIndex++) {
+      const unit = snippets[snippetIndex];
+      const snippet = unit.code;
+      const matches = [];
 
-      // Search Web
-      if (searchWeb) {
+      // Search every selected match source
+      for (const provider of providers) {
         try {
-          const webMatches = await searchService.searchWeb(snippet, file.language);
-          matches.push(...webMatches.map(match => ({
-            ...match,
-            source: 'web',
-            snippet: snippet
-          })));
+          const providerMatches = await providerRegistry.search(provider, snippet, {
+            language: file.language,
+            file,
+            options,
+            excludeHashes,
+            user
+          });
+          matches.push(...providerMatches);
+          emit('source:searched', { source: provider.name, snippetIndex, totalSnippets: snippets.length, results: providerMatches.length });
         } catch (error) {
-          console.warn(`Web search failed for ${file.filename}:`, error.message);
+          console.warn(`${provider.label} search failed for ${file.filename}:`, error.message);
+          emit('source:searched', { source: provider.name, snippetIndex, totalSnippets: snippets.length, error: error.message });
         }
       }
 
       // Calculate similarities
+      const matchCountBefore = allMatches.length;
       for (const match of matches) {
-        if (match.snippet) {
-          const similarity = searchService.calculateSimilarity(snippet, match.snippet);
+        // Matches without the source's own text cannot be scored
+        if (match.sourceSnippet) {
+          const similarity = searchService.calculateSimilarity(snippet, match.sourceSnippet, file.language, { excludeHashes });
           if (similarity > similarityThreshold) {
             allMatches.push({
               ...match,
+              snippetLines: { startLine: unit.startLine, endLine: unit.endLine },
+              matchedLines: toFileLines(match.matchedLines, unit.startLine),
               similarity: similarity,
               risk: getRiskLevel(similarity)
             });
           }
         }
       }
+
+      const newMatches = allMatches.slice(matchCountBefore);
+      if (newMatches.length > 0) {
+        emit('matches:found', {
+          snippetIndex,
+          matches: newMatches.map(match => ({
+            source: match.source,
+            title: match.title,
+            link: match.link,
+            similarity: match.similarity,
+            risk: match.risk
+          }))
+        });
+      }
     }
 
     // Sort matches by similarity
@@ -232,11 +740,10 @@ async function analyzeFile(file, options = {}) {
 
 // Helper function to aggregate sources
 function aggregateSources(files) {
-  const sources = {
-    github: [],
-    stackoverflow: [],
-    web: []
-  };
+  const sources = {};
+  providerRegistry.list().forEach(provider => {
+    sources[provider.name] = [];
+  });
 
   const sourceMap = new Map();
 
@@ -277,6 +784,20 @@ function aggregateSources(files) {
   return sources;
 }
 
+// Helper function to shift snippet-relative matched lines to lines in the student's file
+function toFileLines(matchedLines, snippetStartLine) {
+  if (!matchedLines) return null;
+
+  const offset = snippetStartLine - 1;
+  return matchedLines.map(region => ({
+    ...region,
+    file: {
+      startLine: region.snippet.startLine + offset,
+      endLine: region.snippet.endLine + offset
+    }
+  }));
+}
+
 // Helper function to get risk level
 function getRiskLevel(similarity) {
   if (similarity >= 0.9) return 'critical';
@@ -291,4 +812,7 @@ function generateAnalysisId() {
   return 'analysis_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+// Start processing queued (and restored) analysis jobs
+jobQueue.registerHandler('analysis', runAnalysis);
+
 module.exports = router; 
\ No newline at end of file
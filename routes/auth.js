@@ -0,0 +1,162 @@
+const express = require('express');
+const userService = require('../services/userService');
+const { authenticate, optionalAuthenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Create an account. The very first account becomes the admin; after that
+// admins create accounts, unless ALLOW_REGISTRATION lets instructors sign up.
+router.post('/register', optionalAuthenticate, async (req, res) => {
+  try {
+    const { email, password, name, role, courses } = req.body;
+
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    if (role && !userService.isRole(role)) {
+      return res.status(400).json({ error: 'role must be one of instructor, ta, admin' });
+    }
+
+    if (courses !== undefined && !Array.isArray(courses)) {
+      return res.status(400).json({ error: 'courses must be an array of course ids' });
+    }
+
+    const isAdmin = Boolean(req.user && req.user.role === 'admin');
+    let user = null;
+
+    if (await userService.countUsers() === 0) {
+      user = await userService.createFirstAdmin({ email, password, name });
+    }
+
+    if (!user) {
+      if (!isAdmin && process.env.ALLOW_REGISTRATION !== 'true') {
+        return res.status(403).json({ error: 'Registration is closed, ask an administrator for an account' });
+      }
+
+      if (await userService.findByEmail(email)) {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+      }
+
+      user = await userService.createUser({
+        email,
+        password,
+        name,
+        role: isAdmin && role ? role : 'instructor',
+        courses: isAdmin ? courses || [] : []
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user,
+        // Admins creating accounts for others stay signed in as themselves
+        token: isAdmin ? null : userService.issueToken(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed: ' + error.message });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await userService.authenticate(email, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        token: userService.issueToken(user),
+        expiresIn: userService.tokenExpiry
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed: ' + error.message });
+  }
+});
+
+// The signed-in user, with current role and courses
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+router.get('/users', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const users = await userService.listUsers(req.query);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        total: users.length
+      }
+    });
+
+  } catch (error) {
+    console.error('User listing error:', error);
+    res.status(500).json({ error: 'Failed to list users: ' + error.message });
+  }
+});
+
+// Change a user's role, courses, name or password
+router.put('/users/:userId', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { role, courses, password } = req.body;
+
+    if (role && !userService.isRole(role)) {
+      return res.status(400).json({ error: 'role must be one of instructor, ta, admin' });
+    }
+
+    if (courses !== undefined && !Array.isArray(courses)) {
+      return res.status(400).json({ error: 'courses must be an array of course ids' });
+    }
+
+    if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    // Keep at least one admin who can undo the change
+    if (req.params.userId === req.user.id && role && role !== 'admin') {
+      return res.status(400).json({ error: 'Admins cannot remove their own admin role' });
+    }
+
+    const user = await userService.updateUser(req.params.userId, req.body);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('User update error:', error);
+    res.status(500).json({ error: 'Failed to update user: ' + error.message });
+  }
+});
+
+module.exports = router;
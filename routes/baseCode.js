@@ -0,0 +1,148 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const baseCodeService = require('../services/baseCodeService');
+const courseService = require('../services/courseService');
+const userService = require('../services/userService');
+const fileProcessor = require('../utils/fileProcessor');
+const languageRegistry = require('../utils/languageRegistry');
+const archiveExtractor = require('../utils/archiveExtractor');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800') // 50MB default
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (archiveExtractor.isArchive(file.originalname) || fileProcessor.supportedExtensions.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('File type not allowed. Please upload code files, notebooks or archives (.zip, .tar, .tar.gz, .tgz).'));
+    }
+  }
+});
+
+// Upload base files (starter code, allowed boilerplate) for an assignment
+router.post('/:assignmentId', requireRole('instructor', 'admin'), upload.array('baseFiles'), async (req, res) => {
+  try {
+    const { assignment, status, error } = await findAssignment(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const assignmentId = assignment.id;
+    const replace = req.body.replace === true || req.body.replace === 'true';
+    const files = [];
+    const skipped = [];
+
+    (req.files || []).forEach(uploaded => {
+      const extracted = archiveExtractor.isArchive(uploaded.originalname)
+        ? fileProcessor.extractArchive(uploaded.buffer, uploaded.originalname)
+        : fileProcessor.readUploadedFile(uploaded.buffer, uploaded.originalname);
+
+      files.push(...extracted.files);
+      skipped.push(...extracted.skipped);
+    });
+
+    // JSON bodies can send files inline
+    if (Array.isArray(req.body.files)) {
+      const invalid = req.body.files.some(file =>
+        !file || typeof file.filename !== 'string' || typeof file.content !== 'string');
+      if (invalid) {
+        return res.status(400).json({ error: 'Each file needs a string filename and content' });
+      }
+
+      files.push(...req.body.files.map(file => ({
+        ...file,
+        language: languageRegistry.identify(file)
+      })));
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Base files are required', skipped });
+    }
+
+    const baseCode = baseCodeService.addFiles(assignmentId, files, { replace });
+
+    res.json({
+      success: true,
+      message: `Stored ${files.length} base files for ${assignmentId}`,
+      data: {
+        ...baseCode,
+        skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Base code upload error:', error);
+    res.status(500).json({ error: 'Failed to store base code: ' + error.message });
+  }
+});
+
+// Get the base files registered for an assignment
+router.get('/:assignmentId', async (req, res) => {
+  try {
+    const { assignment, status, error } = await findAssignment(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const baseCode = baseCodeService.getBaseCode(assignment.id);
+
+    if (!baseCode) {
+      return res.status(404).json({ error: 'No base code for this assignment' });
+    }
+
+    res.json({
+      success: true,
+      data: baseCode
+    });
+
+  } catch (error) {
+    console.error('Base code lookup error:', error);
+    res.status(500).json({ error: 'Failed to load base code: ' + error.message });
+  }
+});
+
+// Remove an assignment's base files
+router.delete('/:assignmentId', requireRole('instructor', 'admin'), async (req, res) => {
+  try {
+    const { assignment, status, error } = await findAssignment(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!baseCodeService.removeBaseCode(assignment.id)) {
+      return res.status(404).json({ error: 'No base code for this assignment' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Base code removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Base code deletion error:', error);
+    res.status(500).json({ error: 'Failed to remove base code: ' + error.message });
+  }
+});
+
+// Base code belongs to an assignment, so it is only visible to and editable by that course's staff
+async function findAssignment(req) {
+  const assignment = await courseService.getAssignment(req.params.assignmentId);
+  if (!assignment) {
+    return { status: 404, error: 'Assignment not found' };
+  }
+
+  if (!userService.canAccessCourse(req.user, assignment.courseId)) {
+    return { status: 403, error: 'You do not have access to this course' };
+  }
+
+  return { assignment };
+}
+
+module.exports = router;
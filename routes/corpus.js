@@ -0,0 +1,151 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const corpusService = require('../services/corpusService');
+const courseService = require('../services/courseService');
+const userService = require('../services/userService');
+const archiveExtractor = require('../utils/archiveExtractor');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Archives are fingerprinted straight from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800') // 50MB default
+  },
+  fileFilter: (req, file, cb) => {
+    if (archiveExtractor.isArchive(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only ZIP or tar archives can be ingested into the corpus.'));
+    }
+  }
+});
+
+// Ingest a ZIP upload or a server-side directory into the corpus
+router.post('/ingest', requireRole('instructor', 'admin'), upload.single('archive'), async (req, res) => {
+  try {
+    const { courseId, course, assignment, term, kind, owner, directory } = req.body;
+
+    // Corpus documents are students' code, so they belong to a course; only admins may add course-less ones
+    let target = null;
+    if (courseId) {
+      target = await courseService.getCourse(courseId);
+      if (!target) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      if (!userService.canAccessCourse(req.user, target.id)) {
+        return res.status(403).json({ error: 'You do not have access to this course' });
+      }
+    } else if (req.user.role !== 'admin') {
+      return res.status(400).json({ error: 'courseId is required' });
+    }
+
+    const tags = { courseId: target ? target.id : null, course: course || (target ? target.code : null), assignment, term, kind, owner };
+
+    let documents;
+    if (req.file) {
+      documents = corpusService.ingest(req.file.buffer, tags);
+    } else if (directory) {
+      // Reading arbitrary server paths is reserved for admins
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can ingest a server-side directory' });
+      }
+      documents = corpusService.ingest(path.resolve(directory), tags);
+    } else {
+      return res.status(400).json({ error: 'A ZIP archive or a directory is required' });
+    }
+
+    res.json({
+      success: true,
+      message: `Ingested ${documents.length} files into the corpus`,
+      data: {
+        totalDocuments: documents.length,
+        documents
+      }
+    });
+
+  } catch (error) {
+    console.error('Corpus ingestion error:', error);
+    res.status(500).json({ error: 'Failed to ingest into corpus: ' + error.message });
+  }
+});
+
+// List corpus documents, optionally filtered by course, assignment, term or kind
+router.get('/documents', (req, res) => {
+  try {
+    const { courseId, course, assignment, term, kind } = req.query;
+    const documents = corpusService.listDocuments({ courseId, course, assignment, term, kind }, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        documents,
+        total: documents.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Corpus listing error:', error);
+    res.status(500).json({ error: 'Failed to list corpus documents: ' + error.message });
+  }
+});
+
+// Get one document with its content
+router.get('/documents/:documentId', (req, res) => {
+  const document = corpusService.getDocument(req.params.documentId);
+
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  if (!userService.canAccessCourse(req.user, document.courseId)) {
+    return res.status(403).json({ error: 'You do not have access to this document' });
+  }
+
+  res.json({
+    success: true,
+    data: document
+  });
+});
+
+// Remove a document from the corpus
+router.delete('/documents/:documentId', requireRole('instructor', 'admin'), async (req, res) => {
+  try {
+    const document = corpusService.getDocument(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Removing a document drops matches for the whole course, so it is left to the course owner
+    if (req.user.role !== 'admin') {
+      const course = document.courseId ? await courseService.getCourse(document.courseId) : null;
+      if (!course || course.ownerId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the course owner or an admin can remove corpus documents' });
+      }
+    }
+
+    corpusService.removeDocument(document.id);
+
+    res.json({
+      success: true,
+      message: 'Document removed from corpus'
+    });
+
+  } catch (error) {
+    console.error('Corpus deletion error:', error);
+    res.status(500).json({ error: 'Failed to remove document: ' + error.message });
+  }
+});
+
+// Corpus statistics
+router.get('/stats', (req, res) => {
+  res.json({
+    success: true,
+    data: corpusService.getStats(req.user)
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,347 @@
+const express = require('express');
+const courseService = require('../services/courseService');
+const userService = require('../services/userService');
+const languageRegistry = require('../utils/languageRegistry');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Courses the user teaches or assists in (all courses for admins)
+router.get('/', async (req, res) => {
+  try {
+    const courses = await courseService.listCourses(req.user, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        courses,
+        total: courses.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Course listing error:', error);
+    res.status(500).json({ error: 'Failed to list courses: ' + error.message });
+  }
+});
+
+router.post('/', requireRole('instructor', 'admin'), async (req, res) => {
+  try {
+    const { code, name, term } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Course code is required' });
+    }
+
+    const course = await courseService.createCourse({ code, name, term }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: course
+    });
+
+  } catch (error) {
+    console.error('Course creation error:', error);
+    res.status(500).json({ error: 'Failed to create course: ' + error.message });
+  }
+});
+
+router.get('/:courseId', loadCourse, async (req, res) => {
+  try {
+    const assignments = await courseService.listAssignments(req.course.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.course,
+        assignments
+      }
+    });
+
+  } catch (error) {
+    console.error('Course lookup error:', error);
+    res.status(500).json({ error: 'Failed to load course: ' + error.message });
+  }
+});
+
+router.put('/:courseId', requireRole('instructor', 'admin'), loadCourse, async (req, res) => {
+  try {
+    const course = await courseService.updateCourse(req.course.id, req.body);
+
+    res.json({
+      success: true,
+      data: course
+    });
+
+  } catch (error) {
+    console.error('Course update error:', error);
+    res.status(500).json({ error: 'Failed to update course: ' + error.message });
+  }
+});
+
+// Deleting a course also deletes its assignments and submissions
+router.delete('/:courseId', requireRole('instructor', 'admin'), loadCourse, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.course.ownerId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the course owner or an admin can delete a course' });
+    }
+
+    await courseService.deleteCourse(req.course.id);
+
+    res.json({
+      success: true,
+      message: 'Course deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Course deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete course: ' + error.message });
+  }
+});
+
+router.get('/:courseId/assignments', loadCourse, async (req, res) => {
+  try {
+    const assignments = await courseService.listAssignments(req.course.id);
+
+    res.json({
+      success: true,
+      data: {
+        assignments,
+        total: assignments.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Assignment listing error:', error);
+    res.status(500).json({ error: 'Failed to list assignments: ' + error.message });
+  }
+});
+
+router.post('/:courseId/assignments', requireRole('instructor', 'admin'), loadCourse, async (req, res) => {
+  try {
+    const { name, description, language, deadline } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Assignment name is required' });
+    }
+
+    if (deadline && isNaN(Date.parse(deadline))) {
+      return res.status(400).json({ error: 'deadline must be a valid date' });
+    }
+
+    const assignment = await courseService.createAssignment(req.course.id, { name, description, language, deadline });
+
+    res.status(201).json({
+      success: true,
+      data: assignment
+    });
+
+  } catch (error) {
+    console.error('Assignment creation error:', error);
+    res.status(500).json({ error: 'Failed to create assignment: ' + error.message });
+  }
+});
+
+router.get('/:courseId/assignments/:assignmentId', loadCourse, loadAssignment, (req, res) => {
+  res.json({
+    success: true,
+    data: req.assignment
+  });
+});
+
+router.put('/:courseId/assignments/:assignmentId', requireRole('instructor', 'admin'), loadCourse, loadAssignment, async (req, res) => {
+  try {
+    if (req.body.deadline && isNaN(Date.parse(req.body.deadline))) {
+      return res.status(400).json({ error: 'deadline must be a valid date' });
+    }
+
+    const assignment = await courseService.updateAssignment(req.assignment.id, req.body);
+
+    res.json({
+      success: true,
+      data: assignment
+    });
+
+  } catch (error) {
+    console.error('Assignment update error:', error);
+    res.status(500).json({ error: 'Failed to update assignment: ' + error.message });
+  }
+});
+
+router.delete('/:courseId/assignments/:assignmentId', requireRole('instructor', 'admin'), loadCourse, loadAssignment, async (req, res) => {
+  try {
+    await courseService.deleteAssignment(req.assignment.id);
+
+    res.json({
+      success: true,
+      message: 'Assignment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Assignment deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete assignment: ' + error.message });
+  }
+});
+
+router.get('/:courseId/assignments/:assignmentId/submissions', loadCourse, loadAssignment, async (req, res) => {
+  try {
+    const submissions = await courseService.listSubmissions(req.assignment.id);
+
+    res.json({
+      success: true,
+      data: {
+        submissions,
+        total: submissions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Submission listing error:', error);
+    res.status(500).json({ error: 'Failed to list submissions: ' + error.message });
+  }
+});
+
+// Hand in pasted files for a student: { studentId, studentName, files: [{ filename, content }] }
+router.post('/:courseId/assignments/:assignmentId/submissions', loadCourse, loadAssignment, async (req, res) => {
+  try {
+    const { studentId, studentName, files } = req.body;
+
+    if (!studentId) {
+      return res.status(400).json({ error: 'studentId is required' });
+    }
+
+    if (!Array.isArray(files) || files.length === 0 || files.some(file => !file.filename || typeof file.content !== 'string')) {
+      return res.status(400).json({ error: 'files must be a non-empty array of { filename, content }' });
+    }
+
+    const submission = await courseService.saveSubmission(req.assignment, {
+      studentId,
+      studentName,
+      files: files.map(file => ({
+        ...file,
+        language: languageRegistry.identify(file)
+      })),
+      source: { type: 'api' }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: submission
+    });
+
+  } catch (error) {
+    console.error('Submission error:', error);
+    res.status(500).json({ error: 'Failed to save submission: ' + error.message });
+  }
+});
+
+// How far each student's submission strays from their own earlier style
+router.get('/:courseId/assignments/:assignmentId/style-drift', loadCourse, loadAssignment, async (req, res) => {
+  try {
+    const drifts = await courseService.listStyleDrift(req.assignment.id, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        submissions: drifts,
+        total: drifts.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Style drift error:', error);
+    res.status(500).json({ error: 'Failed to compute style drift: ' + error.message });
+  }
+});
+
+router.get('/:courseId/assignments/:assignmentId/submissions/:studentId/style-drift', loadCourse, loadAssignment, async (req, res) => {
+  try {
+    const drift = await courseService.getStyleDrift(req.assignment.id, req.params.studentId, req.user);
+
+    if (!drift) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    res.json({
+      success: true,
+      data: drift
+    });
+
+  } catch (error) {
+    console.error('Style drift error:', error);
+    res.status(500).json({ error: 'Failed to compute style drift: ' + error.message });
+  }
+});
+
+router.get('/:courseId/assignments/:assignmentId/submissions/:studentId', loadCourse, loadAssignment, async (req, res) => {
+  try {
+    const submission = await courseService.getSubmission(req.assignment.id, req.params.studentId);
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    res.json({
+      success: true,
+      data: submission
+    });
+
+  } catch (error) {
+    console.error('Submission lookup error:', error);
+    res.status(500).json({ error: 'Failed to load submission: ' + error.message });
+  }
+});
+
+router.delete('/:courseId/assignments/:assignmentId/submissions/:studentId', requireRole('instructor', 'admin'), loadCourse, loadAssignment, async (req, res) => {
+  try {
+    if (!(await courseService.deleteSubmission(req.assignment.id, req.params.studentId))) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Submission deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Submission deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete submission: ' + error.message });
+  }
+});
+
+// Sets req.course when the user may work in the course
+async function loadCourse(req, res, next) {
+  try {
+    const course = await courseService.getCourse(req.params.courseId);
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (!userService.canAccessCourse(req.user, course.id)) {
+      return res.status(403).json({ error: 'You do not have access to this course' });
+    }
+
+    req.course = course;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function loadAssignment(req, res, next) {
+  try {
+    const assignment = await courseService.getAssignment(req.params.assignmentId);
+
+    if (!assignment || assignment.courseId !== req.course.id) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    req.assignment = assignment;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = router;
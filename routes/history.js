@@ -0,0 +1,77 @@
+const express = require('express');
+const dataStore = require('../services/dataStore');
+const userService = require('../services/userService');
+
+const router = express.Router();
+
+// Search past analyses: ?studentId=&assignmentId=&courseId=&from=&to=&risk=&limit=&offset=
+// `risk` is a minimum level, so risk=high also returns critical analyses
+router.get('/analyses', async (req, res) => {
+  try {
+    const { from, to, risk } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    if (risk && !dataStore.isRiskLevel(risk)) {
+      return res.status(400).json({ error: 'risk must be one of minimal, low, medium, high, critical' });
+    }
+
+    const result = await dataStore.findAnalyses(req.query, userService.getScopeQuery(req.user));
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Analysis history error:', error);
+    res.status(500).json({ error: 'Failed to search analyses: ' + error.message });
+  }
+});
+
+// Re-open a past analysis with its file results and matches
+router.get('/analyses/:analysisId', async (req, res) => {
+  try {
+    const results = await dataStore.getAnalysis(req.params.analysisId);
+
+    if (!results) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    if (!userService.canAccess(req.user, results)) {
+      return res.status(403).json({ error: 'You do not have access to this analysis' });
+    }
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Analysis lookup error:', error);
+    res.status(500).json({ error: 'Failed to load analysis: ' + error.message });
+  }
+});
+
+// Submissions recorded for a student or assignment
+router.get('/submissions', async (req, res) => {
+  try {
+    const submissions = await dataStore.findSubmissions(req.query, userService.getScopeQuery(req.user));
+
+    res.json({
+      success: true,
+      data: {
+        submissions,
+        total: submissions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Submission history error:', error);
+    res.status(500).json({ error: 'Failed to search submissions: ' + error.message });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,15 @@
 const express = require('express');
 const reportGenerator = require('../services/reportGenerator');
+const reportFormats = require('../services/reportFormats');
+const dataStore = require('../services/dataStore');
+const userService = require('../services/userService');
+const { requireRole } = require('../middleware/auth');
 const path = require('path');
 const fs = require('fs');
 
 const router = express.Router();
 
-// Generate PDF report
+// Generate a report (PDF by default, or options.format: html, json, csv, sarif)
 router.post('/generate', async (req, res) => {
   try {
     const { analysisData, options = {} } = req.body;
@@ -14,15 +18,37 @@ router.post('/generate', async (req, res) => {
       return res.status(400).json({ error: 'Analysis data is required' });
     }
 
-    console.log('Generating PDF report...');
+    const format = options.format || 'pdf';
+    if (!reportFormats.isSupported(format)) {
+      return res.status(400).json({ error: `Unsupported report format: ${format}` });
+    }
+
+    // A report of a stored analysis belongs to that analysis' course
+    const stored = analysisData.analysisId ? await dataStore.getAnalysis(analysisData.analysisId) : null;
+    if (stored && !userService.canAccess(req.user, stored)) {
+      return res.status(403).json({ error: 'You do not have access to this analysis' });
+    }
+
+    console.log(`Generating ${format.toUpperCase()} report...`);
 
     const reportResult = await reportGenerator.generateReport(analysisData, options);
 
+    try {
+      await dataStore.saveReport({
+        ...reportResult,
+        analysisId: analysisData.analysisId,
+        courseId: stored ? stored.courseId : null,
+        ownerId: stored && stored.ownerId ? stored.ownerId : req.user.id
+      });
+    } catch (error) {
+      console.warn('Could not record report:', error.message);
+    }
+
     // Check if we're in serverless environment (buffer response)
     if (reportResult.buffer) {
       // Store buffer in memory or temporary storage for download
       // For now, we'll send it directly
-      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Type', reportResult.contentType);
       res.setHeader('Content-Disposition', `attachment; filename="${reportResult.filename}"`);
       res.setHeader('Content-Length', reportResult.size);
       res.send(reportResult.buffer);
@@ -34,6 +60,7 @@ router.post('/generate', async (req, res) => {
         data: {
           reportId: reportResult.reportId,
           filename: reportResult.filename,
+          format: reportResult.format,
           size: reportResult.size,
           downloadUrl: `/api/reports/download/${reportResult.filename}`
         }
@@ -47,19 +74,27 @@ router.post('/generate', async (req, res) => {
 });
 
 // Download report
-router.get('/download/:filename', (req, res) => {
+router.get('/download/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
-    const reportDir = process.env.REPORT_DIR || './reports';
-    const filepath = path.join(reportDir, filename);
+    const filepath = getReportPath(filename);
+    if (!filepath) {
+      return res.status(400).json({ error: 'Invalid report filename' });
+    }
+
+    const format = reportFormats.getFormatByFilename(filename);
 
     // Check if file exists
     if (!fs.existsSync(filepath)) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
+    if (!(await canAccessReport(req.user, filename))) {
+      return res.status(403).json({ error: 'You do not have access to this report' });
+    }
+
     // Set headers for file download
-    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Type', format.contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.setHeader('Content-Length', fs.statSync(filepath).size);
 
@@ -73,36 +108,30 @@ router.get('/download/:filename', (req, res) => {
   }
 });
 
-// List available reports
-router.get('/list', (req, res) => {
+// List stored reports, optionally ?analysisId= and ?format=
+router.get('/list', async (req, res) => {
   try {
     const reportDir = process.env.REPORT_DIR || './reports';
-    
-    if (!fs.existsSync(reportDir)) {
-      return res.json({ reports: [] });
-    }
-
-    const files = fs.readdirSync(reportDir)
-      .filter(file => file.endsWith('.pdf'))
-      .map(file => {
-        const filepath = path.join(reportDir, file);
-        const stats = fs.statSync(filepath);
-        
-        return {
-          filename: file,
-          size: stats.size,
-          created: stats.birthtime,
-          modified: stats.mtime,
-          downloadUrl: `/api/reports/download/${file}`
-        };
-      })
-      .sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    const records = await dataStore.listReports(req.query, userService.getScopeQuery(req.user));
+
+    // Skip records whose file was removed outside the API
+    const reports = records
+      .filter(record => fs.existsSync(path.join(reportDir, record.filename)))
+      .map(record => ({
+        reportId: record.id,
+        analysisId: record.analysisId,
+        filename: record.filename,
+        format: record.format,
+        size: record.size,
+        created: record.createdAt,
+        downloadUrl: `/api/reports/download/${record.filename}`
+      }));
 
     res.json({
       success: true,
       data: {
-        reports: files,
-        total: files.length
+        reports,
+        total: reports.length
       }
     });
 
@@ -112,12 +141,14 @@ router.get('/list', (req, res) => {
   }
 });
 
-// Delete report
-router.delete('/delete/:filename', (req, res) => {
+// Delete report (admin only)
+router.delete('/delete/:filename', requireRole('admin'), async (req, res) => {
   try {
     const filename = req.params.filename;
-    const reportDir = process.env.REPORT_DIR || './reports';
-    const filepath = path.join(reportDir, filename);
+    const filepath = getReportPath(filename);
+    if (!filepath) {
+      return res.status(400).json({ error: 'Invalid report filename' });
+    }
 
     // Check if file exists
     if (!fs.existsSync(filepath)) {
@@ -126,6 +157,7 @@ router.delete('/delete/:filename', (req, res) => {
 
     // Delete the file
     fs.unlinkSync(filepath);
+    await dataStore.removeReport(filename);
 
     res.json({
       success: true,
@@ -139,23 +171,31 @@ router.delete('/delete/:filename', (req, res) => {
 });
 
 // Get report info
-router.get('/info/:filename', (req, res) => {
+router.get('/info/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
-    const reportDir = process.env.REPORT_DIR || './reports';
-    const filepath = path.join(reportDir, filename);
+    const filepath = getReportPath(filename);
+    if (!filepath) {
+      return res.status(400).json({ error: 'Invalid report filename' });
+    }
 
     // Check if file exists
     if (!fs.existsSync(filepath)) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
+    if (!(await canAccessReport(req.user, filename))) {
+      return res.status(403).json({ error: 'You do not have access to this report' });
+    }
+
     const stats = fs.statSync(filepath);
+    const format = reportFormats.getFormatByFilename(filename);
     
     res.json({
       success: true,
       data: {
         filename: filename,
+        format: format ? format.name : null,
         size: stats.size,
         created: stats.birthtime,
         modified: stats.mtime,
@@ -169,8 +209,8 @@ router.get('/info/:filename', (req, res) => {
   }
 });
 
-// Clean up old reports (older than 30 days)
-router.post('/cleanup', (req, res) => {
+// Clean up old reports (older than 30 days, admin only)
+router.post('/cleanup', requireRole('admin'), async (req, res) => {
   try {
     const reportDir = process.env.REPORT_DIR || './reports';
     const cutoffDate = new Date();
@@ -181,9 +221,10 @@ router.post('/cleanup', (req, res) => {
     }
 
     const files = fs.readdirSync(reportDir)
-      .filter(file => file.endsWith('.pdf'));
+      .filter(file => reportFormats.getFormatByFilename(file));
 
     let deletedCount = 0;
+    const removed = [];
 
     files.forEach(file => {
       const filepath = path.join(reportDir, file);
@@ -191,10 +232,15 @@ router.post('/cleanup', (req, res) => {
       
       if (stats.mtime < cutoffDate) {
         fs.unlinkSync(filepath);
+        removed.push(file);
         deletedCount++;
       }
     });
 
+    for (const file of removed) {
+      await dataStore.removeReport(file);
+    }
+
     res.json({
       success: true,
       message: `Cleaned up ${deletedCount} old reports`,
@@ -209,4 +255,18 @@ router.post('/cleanup', (req, res) => {
   }
 });
 
+// Files without a report record predate the data store, so only admins see them
+// Path of a stored report; null for names that are not a plain report filename (e.g. "../store/...")
+function getReportPath(filename) {
+  if (!filename || path.basename(filename) !== filename || !reportFormats.getFormatByFilename(filename)) {
+    return null;
+  }
+  return path.join(process.env.REPORT_DIR || './reports', filename);
+}
+
+async function canAccessReport(user, filename) {
+  const record = await dataStore.getReportByFilename(filename);
+  return record ? userService.canAccess(user, record) : user.role === 'admin';
+}
+
 module.exports = router; 
\ No newline at end of file
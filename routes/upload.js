@@ -2,9 +2,17 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const AdmZip = require('adm-zip');
+const crypto = require('crypto');
 const githubService = require('../services/githubService');
 const fileProcessor = require('../utils/fileProcessor');
+const archiveExtractor = require('../utils/archiveExtractor');
+const languageRegistry = require('../utils/languageRegistry');
+const sessionStore = require('../services/sessionStore');
+const courseService = require('../services/courseService');
+const userService = require('../services/userService');
+const lmsImporter = require('../services/lmsImporter');
+const jobQueue = require('../services/jobQueue');
+const providerRegistry = require('../services/providers');
 
 const router = express.Router();
 
@@ -35,18 +43,12 @@ const upload = multer({
     fileSize: parseInt(process.env.MAX_FILE_SIZE || '52428800') // 50MB default
   },
   fileFilter: (req, file, cb) => {
-    // Allow common code file extensions and ZIP files
-    const allowedExtensions = [
-      '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.cs', 
-      '.php', '.rb', '.go', '.rs', '.swift', '.kt', '.scala', '.html', 
-      '.css', '.scss', '.sass', '.sql', '.sh', '.bat', '.ps1', '.zip'
-    ];
-    
+    // Allow code files, notebooks and ZIP/tar/gzip archives
     const ext = path.extname(file.originalname).toLowerCase();
-    if (allowedExtensions.includes(ext)) {
+    if (fileProcessor.supportedExtensions.includes(ext) || archiveExtractor.isArchive(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('File type not allowed. Please upload code files or ZIP archives.'));
+      cb(new Error('File type not allowed. Please upload code files, notebooks or archives (.zip, .tar, .tar.gz, .tgz).'));
     }
   }
 });
@@ -58,68 +60,30 @@ router.post('/file', upload.single('codeFile'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const target = await findUploadTarget(req);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
     const fileName = req.file.originalname;
     const fileSize = req.file.size;
 
-    let extractedCode = [];
-    
-    // Handle ZIP files
-    if (path.extname(fileName).toLowerCase() === '.zip') {
-      let zip;
-      if (isServerless) {
-        // Use buffer for serverless environment
-        zip = new AdmZip(req.file.buffer);
-      } else {
-        // Use file path for development environment
-        zip = new AdmZip(req.file.path);
-      }
-      
-      const zipEntries = zip.getEntries();
-      
-      for (const entry of zipEntries) {
-        if (!entry.isDirectory) {
-          const entryName = entry.entryName;
-          const content = entry.getData().toString('utf8');
-          
-          // Only process code files
-          const ext = path.extname(entryName).toLowerCase();
-          if (['.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.cs', 
-               '.php', '.rb', '.go', '.rs', '.swift', '.kt', '.scala', '.html', 
-               '.css', '.scss', '.sass', '.sql', '.sh', '.bat', '.ps1'].includes(ext)) {
-            extractedCode.push({
-              filename: entryName,
-              content: content,
-              size: content.length
-            });
-          }
-        }
-      }
-    } else {
-      // Single file
-      let content;
-      if (isServerless) {
-        // Use buffer for serverless environment
-        content = req.file.buffer.toString('utf8');
-      } else {
-        // Use file path for development environment
-        content = fs.readFileSync(req.file.path, 'utf8');
-      }
-      
-      extractedCode.push({
-        filename: fileName,
-        content: content,
-        size: content.length
+    const source = isServerless ? req.file.buffer : req.file.path;
+
+    // Archives go through the safe extractor; single files get the same binary and encoding
+    // checks, and notebooks are split into their code cells either way
+    const { files: extractedCode, skipped } = archiveExtractor.isArchive(fileName)
+      ? fileProcessor.extractArchive(source, fileName)
+      : fileProcessor.readUploadedFile(source, fileName);
+
+    if (extractedCode.length === 0) {
+      return res.status(422).json({
+        error: 'No readable code files found in the upload',
+        skipped
       });
     }
 
-    // Clean up uploaded file (only in development)
-    if (!isServerless && req.file.path) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (error) {
-        console.warn('Could not delete uploaded file:', error.message);
-      }
-    }
+    const stored = await storeUpload(req, target, extractedCode, { source: 'file', originalName: fileName });
 
     res.json({
       success: true,
@@ -128,15 +92,21 @@ router.post('/file', upload.single('codeFile'), async (req, res) => {
         totalFiles: extractedCode.length,
         files: extractedCode.map(file => ({
           filename: file.filename,
-          size: file.size
-        }))
+          size: file.size,
+          language: file.language,
+          encoding: file.encoding
+        })),
+        skipped
       },
-      sessionId: generateSessionId()
+      ...stored
     });
 
   } catch (error) {
     console.error('File upload error:', error);
     res.status(500).json({ error: 'Error processing uploaded file' });
+  } finally {
+    // The extracted files are kept in memory, so the upload itself is never needed again
+    if (req.file) removeUploadedFile(req.file);
   }
 });
 
@@ -155,8 +125,14 @@ router.post('/github', async (req, res) => {
       return res.status(400).json({ error: 'Invalid GitHub URL format' });
     }
 
+    const target = await findUploadTarget(req);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
     const extractedCode = await githubService.extractFromGitHub(githubUrl);
-    
+    const stored = await storeUpload(req, target, extractedCode, { source: 'github', githubUrl });
+
     res.json({
       success: true,
       message: 'GitHub repository processed successfully',
@@ -169,7 +145,7 @@ router.post('/github', async (req, res) => {
           language: file.language
         }))
       },
-      sessionId: generateSessionId()
+      ...stored
     });
 
   } catch (error) {
@@ -178,6 +154,135 @@ router.post('/github', async (req, res) => {
   }
 });
 
+// Import a Moodle, Canvas or Blackboard bulk download and queue the whole cohort.
+// Form fields: archive, layout (auto|moodle|canvas|blackboard|folders), assignmentId,
+// analyze (default true) and options (JSON analysis options).
+router.post('/lms', upload.single('archive'), async (req, res) => {
+  try {
+    if (!req.file || !archiveExtractor.isArchive(req.file.originalname)) {
+      return res.status(400).json({ error: 'A ZIP or tar archive is required' });
+    }
+
+    const { layout = 'auto', assignmentId } = req.body;
+    const analyze = req.body.analyze !== 'false' && req.body.analyze !== false;
+
+    if (layout !== 'auto' && !lmsImporter.layouts.concat('folders').includes(layout)) {
+      return res.status(400).json({ error: 'layout must be one of auto, moodle, canvas, blackboard, folders' });
+    }
+
+    let options;
+    try {
+      options = typeof req.body.options === 'string' ? JSON.parse(req.body.options) : req.body.options || {};
+    } catch (error) {
+      return res.status(400).json({ error: 'options must be valid JSON' });
+    }
+
+    const unknownProviders = providerRegistry.findUnknown(options.providers);
+    if (unknownProviders.length > 0) {
+      return res.status(400).json({ error: `Unknown providers: ${unknownProviders.join(', ')}` });
+    }
+
+    let assignment = null;
+    if (assignmentId) {
+      assignment = await courseService.getAssignment(assignmentId);
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+
+      if (!userService.canAccessCourse(req.user, assignment.courseId)) {
+        return res.status(403).json({ error: 'You do not have access to this course' });
+      }
+    }
+
+    const imported = lmsImporter.import(isServerless ? req.file.buffer : req.file.path, {
+      layout,
+      filename: req.file.originalname
+    });
+
+    if (imported.submissions.length === 0) {
+      return res.status(422).json({
+        error: 'No student submissions were recognized in this archive',
+        layout: imported.layout,
+        skipped: imported.skipped.length
+      });
+    }
+
+    const codeFiles = imported.submissions.flatMap(submission => submission.files.map(file => ({
+      ...file,
+      studentId: submission.studentId,
+      studentName: submission.studentName
+    })));
+    const metadata = { source: 'lms', layout: imported.layout, originalName: req.file.originalname };
+
+    let stored;
+    if (assignment) {
+      for (const submission of imported.submissions) {
+        await courseService.saveSubmission(assignment, { ...submission, source: metadata });
+      }
+      stored = { assignmentId: assignment.id };
+    } else {
+      const session = sessionStore.create(generateSessionId(), codeFiles, metadata, req.user.id);
+      stored = { sessionId: session.sessionId, expiresAt: session.expiresAt };
+    }
+
+    // One job compares every student with each other and with the external sources
+    let analysis = null;
+    if (analyze) {
+      const analysisOptions = {
+        ...options,
+        comparePeers: options.comparePeers !== false,
+        assignmentId: assignment ? assignment.id : options.assignmentId,
+        courseId: assignment ? assignment.courseId : undefined
+      };
+      const analysisId = generateAnalysisId();
+      const job = jobQueue.enqueue('analysis', {
+        codeFiles,
+        referenceFiles: [],
+        options: analysisOptions,
+        sessionId: stored.sessionId || null
+      }, analysisId, {
+        ownerId: req.user.id,
+        courseId: analysisOptions.courseId
+      });
+
+      console.log(`Queued analysis ${analysisId} of ${imported.submissions.length} imported submissions`);
+
+      analysis = {
+        analysisId,
+        status: job.status,
+        statusUrl: `/api/analysis/status/${analysisId}`,
+        resultsUrl: `/api/analysis/results/${analysisId}`
+      };
+    }
+
+    res.status(analysis ? 202 : 200).json({
+      success: true,
+      message: `Imported ${imported.submissions.length} submissions from a ${imported.layout} export`,
+      data: {
+        layout: imported.layout,
+        totalSubmissions: imported.submissions.length,
+        totalFiles: codeFiles.length,
+        skipped: imported.skipped,
+        submissions: imported.submissions.map(submission => ({
+          studentId: submission.studentId,
+          studentName: submission.studentName,
+          late: submission.late,
+          submittedAt: submission.submittedAt,
+          files: submission.files.map(file => ({ filename: file.filename, size: file.size }))
+        })),
+        analysis
+      },
+      ...stored
+    });
+
+  } catch (error) {
+    console.error('LMS import error:', error);
+    res.status(500).json({ error: 'Failed to import LMS export: ' + error.message });
+  } finally {
+    if (req.file) removeUploadedFile(req.file);
+  }
+});
+
 // Process direct code input
 router.post('/code', async (req, res) => {
   try {
@@ -187,13 +292,20 @@ router.post('/code', async (req, res) => {
       return res.status(400).json({ error: 'Code content and language are required' });
     }
 
+    const target = await findUploadTarget(req);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
     const extractedCode = [{
-      filename: filename || `code.${getFileExtension(language)}`,
+      filename: filename || `code.${languageRegistry.getExtension(language)}`,
       content: code,
       size: code.length,
-      language: language
+      language: languageRegistry.identify({ filename, content: code, language })
     }];
 
+    const stored = await storeUpload(req, target, extractedCode, { source: 'code' });
+
     res.json({
       success: true,
       message: 'Code processed successfully',
@@ -204,7 +316,7 @@ router.post('/code', async (req, res) => {
           size: file.size
         }))
       },
-      sessionId: generateSessionId()
+      ...stored
     });
 
   } catch (error) {
@@ -213,34 +325,152 @@ router.post('/code', async (req, res) => {
   }
 });
 
-// Helper functions
-function generateSessionId() {
-  return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+// List the files stored under an upload session
+router.get('/session/:sessionId', (req, res) => {
+  const session = sessionStore.get(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found or expired' });
+  }
+
+  if (!userService.canAccess(req.user, session)) {
+    return res.status(403).json({ error: 'You do not have access to this session' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      sessionId: session.sessionId,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      metadata: session.metadata,
+      totalFiles: session.files.length,
+      files: session.files.map((file, index) => ({
+        index,
+        filename: file.filename,
+        size: file.size,
+        language: file.language
+      }))
+    }
+  });
+});
+
+// Inspect one stored file, including its content
+router.get('/session/:sessionId/files/:fileIndex', (req, res) => {
+  const session = sessionStore.get(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found or expired' });
+  }
+
+  if (!userService.canAccess(req.user, session)) {
+    return res.status(403).json({ error: 'You do not have access to this session' });
+  }
+
+  const file = session.files[parseInt(req.params.fileIndex)];
+  if (!file) {
+    return res.status(404).json({ error: 'File not found in session' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      index: parseInt(req.params.fileIndex),
+      ...file
+    }
+  });
+});
+
+// Drop a session and its stored files
+router.delete('/session/:sessionId', (req, res) => {
+  try {
+    const session = sessionStore.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!userService.canAccess(req.user, session)) {
+      return res.status(403).json({ error: 'You do not have access to this session' });
+    }
+
+    sessionStore.delete(session.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Session deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Session deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete session: ' + error.message });
+  }
+});
+
+// Uploads naming an assignmentId and studentId become that student's submission
+async function findUploadTarget(req) {
+  const { assignmentId, studentId, studentName } = req.body;
+
+  if (!assignmentId && !studentId) return { assignment: null };
+
+  if (!assignmentId || !studentId) {
+    return { status: 400, error: 'assignmentId and studentId must be sent together' };
+  }
+
+  const assignment = await courseService.getAssignment(assignmentId);
+  if (!assignment) {
+    return { status: 404, error: 'Assignment not found' };
+  }
+
+  if (!userService.canAccessCourse(req.user, assignment.courseId)) {
+    return { status: 403, error: 'You do not have access to this course' };
+  }
+
+  return { assignment, studentId, studentName };
 }
 
-function getFileExtension(language) {
-  const extensions = {
-    'javascript': 'js',
-    'typescript': 'ts',
-    'python': 'py',
-    'java': 'java',
-    'cpp': 'cpp',
-    'c': 'c',
-    'csharp': 'cs',
-    'php': 'php',
-    'ruby': 'rb',
-    'go': 'go',
-    'rust': 'rs',
-    'swift': 'swift',
-    'kotlin': 'kt',
-    'scala': 'scala',
-    'html': 'html',
-    'css': 'css',
-    'sql': 'sql',
-    'bash': 'sh'
+// Attach the files to the target submission, or keep them in a temporary session
+async function storeUpload(req, target, files, metadata) {
+  if (target.assignment) {
+    const submission = await courseService.saveSubmission(target.assignment, {
+      studentId: target.studentId,
+      studentName: target.studentName,
+      files,
+      source: metadata
+    });
+
+    return {
+      assignmentId: submission.assignmentId,
+      studentId: submission.studentId,
+      submissionId: submission.id,
+      late: submission.late
+    };
+  }
+
+  const session = sessionStore.create(generateSessionId(), files, metadata, req.user.id);
+  return {
+    sessionId: session.sessionId,
+    expiresAt: session.expiresAt
   };
-  
-  return extensions[language.toLowerCase()] || 'txt';
+}
+
+function removeUploadedFile(file) {
+  if (isServerless || !file.path) return;
+
+  try {
+    fs.unlinkSync(file.path);
+  } catch (error) {
+    console.warn('Could not delete uploaded file:', error.message);
+  }
+}
+
+// Helper functions
+function generateAnalysisId() {
+  return 'analysis_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Session ids are the only handle on uploaded student code, so they must not be guessable
+function generateSessionId() {
+  return 'session_' + crypto.randomUUID();
 }
 
 module.exports = router; 
\ No newline at end of file
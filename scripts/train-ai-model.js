@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// Train the AI-generation detector on labeled samples and write a versioned model file.
+//
+//   npm run train:ai-model -- <samples-dir> [--version v2] [--out file.json] [--test 0.2] [--calibration 0.2]
+//
+// <samples-dir> holds a human/ and an ai/ folder of code files (any supported language, nested folders
+// are fine). Point AI_MODEL_PATH at the written file to use it instead of the shipped model.
+const fs = require('fs');
+const path = require('path');
+const fileProcessor = require('../utils/fileProcessor');
+const languageRegistry = require('../utils/languageRegistry');
+const featureExtractor = require('../services/aiModel/featureExtractor');
+const LogisticModel = require('../services/aiModel/logisticModel');
+
+const LABELS = { human: 0, ai: 1 };
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', '__pycache__', 'venv', '.venv']);
+
+function parseArgs(argv) {
+  const args = { samples: null, version: `local-${new Date().toISOString().slice(0, 10)}`, test: 0.2, calibration: 0.2 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--version') args.version = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--test') args.test = parseFloat(argv[++i]);
+    else if (arg === '--calibration') args.calibration = parseFloat(argv[++i]);
+    else if (arg === '--epochs') args.epochs = parseInt(argv[++i]);
+    else if (arg === '--l2') args.l2 = parseFloat(argv[++i]);
+    else if (!arg.startsWith('--')) args.samples = arg;
+  }
+
+  args.out = args.out || path.join(__dirname, '..', 'services', 'aiModel', `ai-detector-${args.version}.json`);
+  return args;
+}
+
+function listFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) return SKIPPED_DIRECTORIES.has(entry.name) ? [] : listFiles(fullPath);
+    return entry.isFile() && languageRegistry.isSupported(entry.name) ? [fullPath] : [];
+  });
+}
+
+function loadSamples(root) {
+  const samples = [];
+
+  Object.entries(LABELS).forEach(([folder, label]) => {
+    const directory = path.join(root, folder);
+    if (!fs.existsSync(directory)) {
+      throw new Error(`Missing ${directory}; put ${folder}-written samples there`);
+    }
+
+    listFiles(directory).forEach(filePath => {
+      const { files } = fileProcessor.readUploadedFile(filePath, path.relative(directory, filePath));
+      files.forEach(file => {
+        if (file.content.trim().length === 0) return;
+        samples.push({
+          filename: `${folder}/${file.filename}`,
+          label,
+          features: featureExtractor.extract(file.content, file.language)
+        });
+      });
+    });
+  });
+
+  return samples;
+}
+
+// Deterministic shuffle so the same samples always give the same split
+function shuffle(items, seed = 42) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Train / calibration / test split, stratified by label
+function split(samples, testShare, calibrationShare) {
+  const parts = { train: [], calibration: [], test: [] };
+
+  Object.values(LABELS).forEach(label => {
+    const group = shuffle(samples.filter(sample => sample.label === label));
+    const testCount = Math.round(group.length * testShare);
+    const calibrationCount = Math.round(group.length * calibrationShare);
+    parts.test.push(...group.slice(0, testCount));
+    parts.calibration.push(...group.slice(testCount, testCount + calibrationCount));
+    parts.train.push(...group.slice(testCount + calibrationCount));
+  });
+
+  return parts;
+}
+
+function formatMetrics(metrics) {
+  return `accuracy ${(metrics.accuracy * 100).toFixed(1)}%, log loss ${metrics.logLoss.toFixed(3)}, ` +
+    `Brier ${metrics.brier.toFixed(3)}, ECE ${metrics.ece.toFixed(3)} (${metrics.samples} samples)`;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.samples) {
+    console.error('Usage: npm run train:ai-model -- <samples-dir> [--version v2] [--out file.json] [--test 0.2] [--calibration 0.2]');
+    process.exit(1);
+  }
+
+  const samples = loadSamples(path.resolve(args.samples));
+  const counts = {
+    human: samples.filter(sample => sample.label === LABELS.human).length,
+    ai: samples.filter(sample => sample.label === LABELS.ai).length
+  };
+  console.log(`Loaded ${samples.length} samples (${counts.human} human, ${counts.ai} AI)`);
+
+  if (counts.human < 10 || counts.ai < 10) {
+    console.error('Need at least 10 samples of each kind to train and evaluate a model');
+    process.exit(1);
+  }
+
+  const parts = split(samples, args.test, args.calibration);
+  const options = { epochs: args.epochs || 2000, l2: Number.isFinite(args.l2) ? args.l2 : 0.01 };
+
+  const model = LogisticModel.train(parts.train, featureExtractor.names(), {
+    ...options,
+    metadata: {
+      version: args.version,
+      createdAt: new Date().toISOString(),
+      description: `Trained on ${counts.human} human and ${counts.ai} AI-written samples from ${path.basename(path.resolve(args.samples))}`
+    }
+  });
+
+  const uncalibrated = model.evaluate(parts.test);
+  if (parts.calibration.length > 0) model.calibrate(parts.calibration);
+  const metrics = model.evaluate(parts.test);
+
+  console.log(`Test set before calibration: ${formatMetrics(uncalibrated)}`);
+  console.log(`Test set after calibration:  ${formatMetrics(metrics)}`);
+
+  model.training = {
+    samples: counts,
+    split: { train: parts.train.length, calibration: parts.calibration.length, test: parts.test.length },
+    options,
+    metrics
+  };
+
+  fs.writeFileSync(args.out, JSON.stringify(model.toJSON(), null, 2) + '\n');
+  console.log(`Model ${args.version} written to ${args.out}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Training failed:', error.message);
+  process.exit(1);
+}
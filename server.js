@@ -5,12 +5,23 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
+const cron = require('node-cron');
 require('dotenv').config();
 
 // Import routes
 const uploadRoutes = require('./routes/upload');
 const analysisRoutes = require('./routes/analysis');
 const reportRoutes = require('./routes/reports');
+const corpusRoutes = require('./routes/corpus');
+const baseCodeRoutes = require('./routes/baseCode');
+const historyRoutes = require('./routes/history');
+const authRoutes = require('./routes/auth');
+const courseRoutes = require('./routes/courses');
+const { authenticate } = require('./middleware/auth');
+const dataStore = require('./services/dataStore');
+const jobQueue = require('./services/jobQueue');
+const sessionStore = require('./services/sessionStore');
+const searchCache = require('./services/searchCache');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -49,10 +60,15 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
   }
 }
 
-// Routes
-app.use('/api/upload', uploadRoutes);
-app.use('/api/analysis', analysisRoutes);
-app.use('/api/reports', reportRoutes);
+// Routes (everything except sign-in needs a session)
+app.use('/api/auth', authRoutes);
+app.use('/api/upload', authenticate, uploadRoutes);
+app.use('/api/analysis', authenticate, analysisRoutes);
+app.use('/api/reports', authenticate, reportRoutes);
+app.use('/api/corpus', authenticate, corpusRoutes);
+app.use('/api/base-code', authenticate, baseCodeRoutes);
+app.use('/api/history', authenticate, historyRoutes);
+app.use('/api/courses', authenticate, courseRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -81,6 +97,14 @@ app.get('/dashboard', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
 });
 
+app.get('/courses', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'courses.html'));
+});
+
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
 
 
 // Error handling middleware
@@ -97,6 +121,17 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Connect the data store (MongoDB or the embedded fallback)
+dataStore.connect().catch(error => {
+  console.error('Data store initialization failed:', error.message);
+});
+
+// Hourly housekeeping: expired upload sessions, cached search results and finished analysis jobs past their retention period.
+// Scheduled here rather than in the services, so requiring them has no side effects.
+cron.schedule('0 * * * *', () => sessionStore.cleanupExpired());
+if (searchCache.isEnabled()) cron.schedule('30 * * * *', () => searchCache.cleanupExpired());
+cron.schedule('15 * * * *', () => jobQueue.cleanupExpired());
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 CodeGuard server running on port ${PORT}`);
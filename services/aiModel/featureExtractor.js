@@ -0,0 +1,371 @@
+const tokenizer = require('../../utils/tokenizer');
+const languageRegistry = require('../../utils/languageRegistry');
+
+// Features the detector can use, in a fixed order; labels are shown to instructors
+const FEATURES = [
+  { name: 'identifierEntropy', label: 'Spread of identifier usage', format: 'ratio' },
+  { name: 'meanIdentifierLength', label: 'Average identifier length', format: 'number' },
+  { name: 'shortIdentifierRatio', label: 'Share of one- and two-letter identifiers', format: 'ratio' },
+  { name: 'namingConsistency', label: 'Consistency of naming convention', format: 'ratio' },
+  { name: 'commentDensity', label: 'Comment lines per code line', format: 'ratio' },
+  { name: 'docCommentRatio', label: 'Share of comments that are doc comments', format: 'ratio' },
+  { name: 'sentenceCommentRatio', label: 'Comments written as full sentences', format: 'ratio' },
+  { name: 'informalCommentRatio', label: 'TODO, FIXME and informal comments', format: 'ratio' },
+  { name: 'commentedOutCodeRatio', label: 'Commented-out code', format: 'ratio' },
+  { name: 'typeTokenRatio', label: 'Token variety (moving type-token ratio)', format: 'ratio' },
+  { name: 'keywordRatio', label: 'Share of keyword tokens', format: 'ratio' },
+  { name: 'literalRatio', label: 'Share of literal tokens', format: 'ratio' },
+  { name: 'indentConsistency', label: 'Indentation regularity', format: 'ratio' },
+  { name: 'operatorSpacingConsistency', label: 'Operator spacing regularity', format: 'ratio' },
+  { name: 'lineLengthVariation', label: 'Variation in line length', format: 'number' },
+  { name: 'trailingWhitespaceRate', label: 'Lines with trailing whitespace', format: 'ratio' },
+  { name: 'blankLineIrregularity', label: 'Runs of several blank lines', format: 'ratio' },
+  { name: 'errorHandlingRate', label: 'Error handling per code line', format: 'ratio' },
+  { name: 'idiomScore', label: 'Textbook idioms versus quick-and-dirty ones', format: 'number' },
+  { name: 'debugArtifactRate', label: 'Leftover debug output', format: 'ratio' }
+];
+
+// Per-language idioms: "textbook" ones generated code leans on, and habits students leave in
+const IDIOMS = {
+  javascript: {
+    textbook: [/\bconst\s+\w+\s*=/, /=>\s*[{(]?/, /`[^`]*\$\{/, /\basync\s+(?:function\b|\()/, /\.(?:map|filter|reduce)\(/, /\?\?|\?\./],
+    informal: [/\bvar\s+\w+/, /[^=!]==[^=]/, /\bfunction\s*\(\)\s*\{\s*\}/]
+  },
+  typescript: {
+    extends: 'javascript',
+    textbook: [/\binterface\s+\w+/, /:\s*(?:string|number|boolean|void|Promise<)/, /\breadonly\b/],
+    informal: [/:\s*any\b/, /@ts-ignore/]
+  },
+  python: {
+    textbook: [/if\s+__name__\s*==\s*['"]__main__['"]/, /\)\s*->\s*[\w[\]., ]+:/, /\bf['"]/, /\bwith\s+open\(/, /\[[^\]]+\bfor\b[^\]]+\bin\b[^\]]+\]/, /\benumerate\(/],
+    informal: [/\bexcept\s*:/, /\bglobal\s+\w+/, /range\(len\(/, /%\s*\(/]
+  },
+  java: {
+    textbook: [/@Override/, /\bprivate\s+final\b/, /\.stream\(\)/, /\bOptional</, /\btry\s*\(/],
+    informal: [/catch\s*\([^)]*\)\s*\{\s*\}/, /\bpublic\s+static\s+\w+\s+\w+\s*;/, /e\.printStackTrace\(\)/]
+  },
+  cpp: {
+    textbook: [/\bstd::(?:unique_ptr|shared_ptr|vector|string)\b/, /\bauto\s+\w+\s*=/, /\bconst\s+\w+(?:::\w+)*\s*&/, /\bnullptr\b/, /for\s*\([^;)]*:[^)]*\)/],
+    informal: [/using\s+namespace\s+std\s*;/, /#include\s*<bits\/stdc\+\+\.h>/, /\bNULL\b/, /#define\s+\w+\s+\d/]
+  },
+  c: {
+    textbook: [/\bconst\s+\w+\s*\*/, /\bsize_t\b/, /\bstatic\s+\w+/, /if\s*\(\s*!?\s*\w+\s*(?:==\s*NULL)?\s*\)\s*\{?\s*(?:return|fprintf|perror)/],
+    informal: [/\bgets\s*\(/, /#define\s+\w+\s+\d/, /\bgoto\b/]
+  },
+  csharp: {
+    textbook: [/\bvar\s+\w+\s*=/, /\busing\s*\(/, /=>/, /\basync\s+Task\b/, /\?\?|\?\./, /\$"/],
+    informal: [/catch\s*(?:\([^)]*\))?\s*\{\s*\}/, /\bgoto\b/]
+  },
+  go: {
+    textbook: [/if\s+err\s*!=\s*nil/, /\bdefer\b/, /fmt\.Errorf\(.*%w/, /:=\s*range\b/],
+    informal: [/_\s*=\s*err\b/, /\bpanic\(/]
+  }
+};
+
+const DEBUG_OUTPUT = /\b(?:console\.(?:log|debug)|print|println|printf|System\.out\.print(?:ln)?|fmt\.Print(?:ln|f)?|cout|puts|var_dump|dd)\s*(?:\(|<<)/;
+const ERROR_HANDLING = /\b(?:try|catch|except|finally|throw|throws|raise|rescue|ensure|panic|recover)\b|if\s+err\s*!=\s*nil/;
+const INFORMAL_COMMENT = /\b(?:TODO|FIXME|HACK|XXX|BUG|idk|lol|wtf|dunno|temp|tmp|ugh)\b|\?\?|!!|\b(?:I|I'm|my)\b/;
+const CODE_LIKE_COMMENT = /(?:[;{}]\s*$|^\s*(?:if|for|while|return|print|console\.log|int|var|let|const|def)\b.*[(=;:]|^\s*\w+(?:\.\w+)*\s*\(.*\)\s*;?\s*$|^\s*\w+\s*=\s*[^=])/;
+const BINARY_OPERATORS = /(\S?)(===|!==|==|!=|<=|>=|&&|\|\||\+=|-=|\*=|\/=|=)(\S?)/g;
+const TTR_WINDOW = 50;
+const MAX_TOKENS = 20000;
+
+class FeatureExtractor {
+  constructor() {
+    this.features = FEATURES;
+  }
+
+  names() {
+    return FEATURES.map(feature => feature.name);
+  }
+
+  describe(name) {
+    return FEATURES.find(feature => feature.name === name) || { name, label: name, format: 'number' };
+  }
+
+  // Numeric style features for one file; none of them grow with file length,
+  // so a long file is not more "AI-like" just for being long
+  extract(code, language = null) {
+    const text = String(code || '').replace(/\r\n?/g, '\n');
+    const lang = languageRegistry.normalize(language) || languageRegistry.detect(text);
+    const lines = text.split('\n');
+    const comments = this.collectComments(text, lang);
+    const commentLineNumbers = new Set(comments.flatMap(comment => comment.lines));
+    const codeLines = lines.filter((line, index) => line.trim() !== '' && !commentLineNumbers.has(index + 1));
+    const tokens = tokenizer.tokenize(text, lang).slice(0, MAX_TOKENS);
+    const identifiers = tokens.filter(token => token.type === 'identifier').map(token => token.value);
+
+    return {
+      ...this.identifierFeatures(identifiers),
+      ...this.commentFeatures(comments, codeLines.length),
+      ...this.tokenFeatures(tokens),
+      ...this.formattingFeatures(lines, codeLines, lang),
+      ...this.idiomFeatures(text, lang, codeLines)
+    };
+  }
+
+  identifierFeatures(identifiers) {
+    if (identifiers.length === 0) {
+      return { identifierEntropy: 0, meanIdentifierLength: 0, shortIdentifierRatio: 0, namingConsistency: 1 };
+    }
+
+    const counts = new Map();
+    identifiers.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+
+    // Shannon entropy of identifier usage, scaled by its maximum so it stays in 0..1
+    let entropy = 0;
+    counts.forEach(count => {
+      const p = count / identifiers.length;
+      entropy -= p * Math.log2(p);
+    });
+    const maxEntropy = Math.log2(counts.size);
+
+    const unique = Array.from(counts.keys());
+    const camel = unique.filter(name => /^[a-z]+(?:[A-Z][a-z0-9]*)+$/.test(name)).length;
+    const snake = unique.filter(name => /^[a-z]+(?:_[a-z0-9]+)+$/.test(name)).length;
+    const multiWord = camel + snake;
+
+    return {
+      identifierEntropy: maxEntropy > 0 ? entropy / maxEntropy : 0,
+      meanIdentifierLength: unique.reduce((sum, name) => sum + name.length, 0) / unique.length,
+      shortIdentifierRatio: identifiers.filter(name => name.length <= 2).length / identifiers.length,
+      namingConsistency: multiWord > 0 ? Math.max(camel, snake) / multiWord : 1
+    };
+  }
+
+  commentFeatures(comments, codeLineCount) {
+    const commentLines = comments.reduce((sum, comment) => sum + comment.lines.length, 0);
+    const texts = comments.map(comment => comment.text.trim()).filter(Boolean);
+
+    if (texts.length === 0) {
+      return {
+        commentDensity: 0,
+        docCommentRatio: 0,
+        sentenceCommentRatio: 0,
+        informalCommentRatio: 0,
+        commentedOutCodeRatio: 0
+      };
+    }
+
+    const ratio = predicate => texts.filter(predicate).length / texts.length;
+
+    return {
+      commentDensity: commentLines / Math.max(codeLineCount, 1),
+      docCommentRatio: comments.filter(comment => comment.doc).length / comments.length,
+      sentenceCommentRatio: ratio(text => /^[A-Z][^\n]*[.:]$/.test(text.split('\n')[0].trim()) || /^[A-Z]\w*(?:\s+\w+){3,}/.test(text)),
+      informalCommentRatio: ratio(text => INFORMAL_COMMENT.test(text) || /^[a-z]/.test(text)),
+      commentedOutCodeRatio: ratio(text => CODE_LIKE_COMMENT.test(text))
+    };
+  }
+
+  tokenFeatures(tokens) {
+    if (tokens.length === 0) {
+      return { typeTokenRatio: 0, keywordRatio: 0, literalRatio: 0 };
+    }
+
+    // Moving-average type-token ratio, so longer files are not penalized for repeating themselves
+    const values = tokens.map(token => token.value);
+    let typeTokenRatio;
+    if (values.length <= TTR_WINDOW) {
+      typeTokenRatio = new Set(values).size / values.length;
+    } else {
+      let total = 0;
+      let windows = 0;
+      const step = Math.max(1, Math.floor((values.length - TTR_WINDOW) / 200));
+      for (let start = 0; start + TTR_WINDOW <= values.length; start += step) {
+        total += new Set(values.slice(start, start + TTR_WINDOW)).size / TTR_WINDOW;
+        windows++;
+      }
+      typeTokenRatio = total / windows;
+    }
+
+    return {
+      typeTokenRatio,
+      keywordRatio: tokens.filter(token => token.type === 'keyword').length / tokens.length,
+      literalRatio: tokens.filter(token => token.type === 'number' || token.type === 'string').length / tokens.length
+    };
+  }
+
+  formattingFeatures(lines, codeLines, language) {
+    const nonBlank = lines.filter(line => line.trim() !== '');
+    if (nonBlank.length === 0) {
+      return {
+        indentConsistency: 1,
+        operatorSpacingConsistency: 1,
+        lineLengthVariation: 0,
+        trailingWhitespaceRate: 0,
+        blankLineIrregularity: 0
+      };
+    }
+
+    // Each step into a deeper block should indent by the same amount with the same character
+    const indents = codeLines.map(line => line.match(/^[ \t]*/)[0]);
+    const steps = [];
+    indents.forEach((indent, index) => {
+      const previous = index > 0 ? indents[index - 1] : '';
+      if (indent.length > previous.length) {
+        steps.push(/^(?: *|\t*)$/.test(indent) && indent.startsWith(previous) ? indent.slice(previous.length) : null);
+      }
+    });
+    const stepCounts = new Map();
+    steps.filter(step => step !== null).forEach(step => stepCounts.set(step, (stepCounts.get(step) || 0) + 1));
+    const usualStep = Math.max(0, ...stepCounts.values());
+
+    // Binary operators spaced the way the file usually spaces them
+    const { spaced, unspaced } = this.countOperatorSpacing(codeLines);
+    const operators = spaced + unspaced;
+
+    const lengths = codeLines.map(line => line.trimEnd().length);
+    const meanLength = lengths.reduce((sum, length) => sum + length, 0) / Math.max(lengths.length, 1);
+    const deviation = Math.sqrt(lengths.reduce((sum, length) => sum + Math.pow(length - meanLength, 2), 0) / Math.max(lengths.length, 1));
+
+    // PEP 8 asks for two blank lines around top-level definitions; elsewhere one is the norm
+    const longestUsualRun = language === 'python' ? 2 : 1;
+    let blankRuns = 0;
+    let irregularRuns = 0;
+    let run = 0;
+    lines.forEach(line => {
+      if (line.trim() === '') {
+        run++;
+        return;
+      }
+      if (run > 0) {
+        blankRuns++;
+        if (run > longestUsualRun) irregularRuns++;
+      }
+      run = 0;
+    });
+
+    return {
+      indentConsistency: steps.length > 0 ? usualStep / steps.length : 1,
+      operatorSpacingConsistency: operators > 0 ? Math.max(spaced, unspaced) / operators : 1,
+      lineLengthVariation: meanLength > 0 ? deviation / meanLength : 0,
+      trailingWhitespaceRate: nonBlank.filter(line => /[ \t]+$/.test(line)).length / nonBlank.length,
+      blankLineIrregularity: blankRuns > 0 ? irregularRuns / blankRuns : 0
+    };
+  }
+
+  // Assignment, comparison and logical operators with and without spaces around them
+  countOperatorSpacing(codeLines) {
+    let spaced = 0;
+    let unspaced = 0;
+    codeLines.forEach(line => {
+      const code = line.replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""');
+      for (const match of code.matchAll(BINARY_OPERATORS)) {
+        if (/[=!<>+\-*/&|]/.test(match[1]) || /[=>]/.test(match[3])) continue;
+        if (match[1] === '' && match[3] === '') spaced++;
+        else if (match[1] !== '' && match[3] !== '') unspaced++;
+      }
+    });
+    return { spaced, unspaced };
+  }
+
+  idiomFeatures(text, language, codeLines) {
+    const idioms = this.getIdioms(language);
+    const textbook = idioms.textbook.filter(pattern => pattern.test(text)).length;
+    const informal = idioms.informal.filter(pattern => pattern.test(text)).length;
+    const lineCount = Math.max(codeLines.length, 1);
+
+    return {
+      errorHandlingRate: codeLines.filter(line => ERROR_HANDLING.test(line)).length / lineCount,
+      idiomScore: (textbook - informal) / (textbook + informal + 1),
+      debugArtifactRate: codeLines.filter(line => DEBUG_OUTPUT.test(line)).length / lineCount
+    };
+  }
+
+  getIdioms(language) {
+    const own = IDIOMS[language];
+    if (!own) return { textbook: [], informal: [] };
+    if (!own.extends) return own;
+
+    const base = this.getIdioms(own.extends);
+    return {
+      textbook: [...base.textbook, ...own.textbook],
+      informal: [...base.informal, ...own.informal]
+    };
+  }
+
+  // Comments with their text, 1-based line numbers and whether they are doc comments
+  collectComments(text, language) {
+    const { lineComments, blockComments, docStrings } = languageRegistry.getCommentSyntax(language);
+    const strings = languageRegistry.get(language).strings;
+    const comments = [];
+    let line = 1;
+    let i = 0;
+
+    const startsWith = value => text.startsWith(value, i);
+    const countLines = (start, end) => (text.slice(start, end).match(/\n/g) || []).length;
+
+    while (i < text.length) {
+      if (text[i] === '\n') {
+        line++;
+        i++;
+        continue;
+      }
+
+      const lineComment = lineComments.find(startsWith);
+      if (lineComment) {
+        const end = text.indexOf('\n', i);
+        const stop = end === -1 ? text.length : end;
+        const body = text.slice(i + lineComment.length, stop);
+        const previous = comments[comments.length - 1];
+        const doc = /^[/!]/.test(body) && lineComment === '//';
+
+        // Consecutive line comments read as one comment
+        if (previous && previous.kind === 'line' && previous.lines[previous.lines.length - 1] === line - 1 &&
+            text.slice(text.lastIndexOf('\n', i - 1) + 1, i).trim() === '') {
+          previous.text += '\n' + body.replace(/^[/!]/, '').trim();
+          previous.lines.push(line);
+        } else {
+          comments.push({ kind: 'line', text: body.replace(/^[/!]/, '').trim(), lines: [line], doc });
+        }
+        i = stop;
+        continue;
+      }
+
+      const blockComment = blockComments.find(([open]) => startsWith(open));
+      const docString = docStrings.find(startsWith);
+      if (blockComment || (docString && this.startsStatement(text, i))) {
+        const [open, close] = blockComment || [docString, docString];
+        const end = text.indexOf(close, i + open.length);
+        const stop = end === -1 ? text.length : end + close.length;
+        const body = text.slice(i + open.length, end === -1 ? text.length : end);
+        const lineCount = countLines(i, stop) + 1;
+        comments.push({
+          kind: 'block',
+          text: body.replace(/^\*/, '').replace(/^\s*\*\s?/gm, '').trim(),
+          lines: Array.from({ length: lineCount }, (_, offset) => line + offset),
+          doc: Boolean(docString) || /^\*[^/]/.test(body)
+        });
+        line += lineCount - 1;
+        i = stop;
+        continue;
+      }
+
+      const quote = strings.find(startsWith);
+      if (quote) {
+        let j = i + quote.length;
+        while (j < text.length && !text.startsWith(quote, j)) {
+          if (text[j] === '\\') j++;
+          else if (text[j] === '\n' && quote.length === 1 && quote !== '`') break;
+          j++;
+        }
+        const stop = Math.min(j + quote.length, text.length);
+        line += countLines(i, stop);
+        i = stop;
+        continue;
+      }
+
+      i++;
+    }
+
+    return comments;
+  }
+
+  // Docstrings are string literals standing alone as a statement
+  startsStatement(text, index) {
+    return text.slice(text.lastIndexOf('\n', index - 1) + 1, index).trim() === '';
+  }
+}
+
+module.exports = new FeatureExtractor();
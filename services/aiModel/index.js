@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const featureExtractor = require('./featureExtractor');
+const LogisticModel = require('./logisticModel');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, 'ai-detector-v1.json');
+
+class AIModel {
+  constructor() {
+    this.model = null;
+    this.source = null;
+  }
+
+  // The shipped model, or the one AI_MODEL_PATH points at (e.g. retrained on local samples)
+  load() {
+    if (this.model) return this.model;
+
+    const customPath = process.env.AI_MODEL_PATH;
+    if (customPath) {
+      try {
+        return this.use(this.readModel(path.resolve(customPath)), customPath);
+      } catch (error) {
+        console.warn(`Could not load AI model from ${customPath}, using the shipped model:`, error.message);
+      }
+    }
+
+    return this.use(this.readModel(DEFAULT_MODEL_PATH), DEFAULT_MODEL_PATH);
+  }
+
+  readModel(modelPath) {
+    const model = new LogisticModel(JSON.parse(fs.readFileSync(modelPath, 'utf8')));
+    const known = featureExtractor.names();
+    const unknown = model.features.filter(feature => !known.includes(feature.name)).map(feature => feature.name);
+
+    if (unknown.length > 0) {
+      throw new Error(`Model uses unknown features: ${unknown.join(', ')}`);
+    }
+    return model;
+  }
+
+  use(model, source) {
+    this.model = model;
+    this.source = source;
+    console.log(`AI detection model ${model.version} loaded`);
+    return model;
+  }
+
+  // { version, calibrated, probability, logit, features, contributions } for one file.
+  // Only a model fitted on labeled samples (one with training metrics) gives calibrated probabilities
+  score(code, language) {
+    const model = this.load();
+    const features = featureExtractor.extract(code, language);
+    const prediction = model.predict(features);
+
+    return {
+      version: model.version,
+      calibrated: Boolean(model.training),
+      probability: prediction.probability,
+      logit: prediction.logit,
+      baseline: prediction.baseline,
+      features,
+      contributions: prediction.contributions.map(entry => ({
+        ...entry,
+        label: featureExtractor.describe(entry.feature).label
+      }))
+    };
+  }
+
+  describe() {
+    const model = this.load();
+    return {
+      version: model.version,
+      createdAt: model.createdAt,
+      description: model.description,
+      calibrated: Boolean(model.training),
+      features: model.features.map(feature => feature.name),
+      training: model.training
+    };
+  }
+}
+
+module.exports = new AIModel();
@@ -0,0 +1,163 @@
+// Logistic regression over standardized features, with Platt-style calibration on top.
+// The model file is plain JSON so weights can be retrained offline and shipped as a new version.
+const sigmoid = value => 1 / (1 + Math.exp(-value));
+const DEFAULT_CLIP = 4;
+
+class LogisticModel {
+  constructor(definition) {
+    if (!definition || !Array.isArray(definition.features) || definition.features.length === 0) {
+      throw new Error('Model definition needs a non-empty features list');
+    }
+
+    this.version = definition.version || 'unversioned';
+    this.createdAt = definition.createdAt || null;
+    this.description = definition.description || '';
+    this.features = definition.features.map(feature => ({
+      name: feature.name,
+      mean: Number(feature.mean) || 0,
+      std: Number(feature.std) > 0 ? Number(feature.std) : 1,
+      weight: Number(feature.weight) || 0
+    }));
+    this.bias = Number(definition.bias) || 0;
+    // Standardized values are clipped so one extreme feature cannot decide the verdict alone
+    this.clip = Number(definition.clip) > 0 ? Number(definition.clip) : DEFAULT_CLIP;
+    this.calibration = {
+      slope: definition.calibration && Number.isFinite(definition.calibration.slope) ? definition.calibration.slope : 1,
+      intercept: definition.calibration && Number.isFinite(definition.calibration.intercept) ? definition.calibration.intercept : 0
+    };
+    this.training = definition.training || null;
+  }
+
+  // { probability, logit, contributions } where each contribution is in calibrated log-odds,
+  // so they add up (with the baseline) to the logit
+  predict(values) {
+    const { slope, intercept } = this.calibration;
+
+    const contributions = this.features.map(feature => {
+      const value = Number.isFinite(values[feature.name]) ? values[feature.name] : feature.mean;
+      const standardized = Math.max(-this.clip, Math.min(this.clip, (value - feature.mean) / feature.std));
+      return {
+        feature: feature.name,
+        value,
+        standardized,
+        contribution: slope * feature.weight * standardized
+      };
+    });
+
+    const baseline = slope * this.bias + intercept;
+    const logit = contributions.reduce((sum, entry) => sum + entry.contribution, baseline);
+
+    return {
+      probability: sigmoid(logit),
+      logit,
+      baseline,
+      contributions: contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    };
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      createdAt: this.createdAt,
+      description: this.description,
+      features: this.features,
+      bias: this.bias,
+      clip: this.clip,
+      calibration: this.calibration,
+      training: this.training
+    };
+  }
+
+  // Fit weights by L2-regularized gradient descent; samples are { features: {...}, label: 0|1 }
+  static train(samples, featureNames, options = {}) {
+    const { epochs = 2000, learningRate = 0.1, l2 = 0.01 } = options;
+
+    const features = featureNames.map(name => {
+      const values = samples.map(sample => Number(sample.features[name]) || 0);
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+      return { name, mean, std: Math.sqrt(variance) || 1, weight: 0 };
+    });
+
+    const clip = options.clip || DEFAULT_CLIP;
+    const rows = samples.map(sample => features.map(feature => Math.max(-clip, Math.min(clip,
+      ((Number(sample.features[feature.name]) || 0) - feature.mean) / feature.std))));
+    const labels = samples.map(sample => sample.label);
+    const weights = features.map(() => 0);
+    let bias = 0;
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const gradient = weights.map(() => 0);
+      let biasGradient = 0;
+
+      rows.forEach((row, index) => {
+        const error = sigmoid(row.reduce((sum, x, j) => sum + x * weights[j], bias)) - labels[index];
+        row.forEach((x, j) => { gradient[j] += error * x; });
+        biasGradient += error;
+      });
+
+      weights.forEach((weight, j) => {
+        weights[j] -= learningRate * (gradient[j] / rows.length + l2 * weight);
+      });
+      bias -= learningRate * biasGradient / rows.length;
+    }
+
+    features.forEach((feature, j) => { feature.weight = weights[j]; });
+    return new LogisticModel({ ...options.metadata, features, bias, clip });
+  }
+
+  // Platt scaling: fit probability = sigmoid(slope * rawLogit + intercept) on held-out samples
+  calibrate(samples, options = {}) {
+    const { epochs = 2000, learningRate = 0.05 } = options;
+    this.calibration = { slope: 1, intercept: 0 };
+    const logits = samples.map(sample => this.predict(sample.features).logit);
+
+    let slope = 1;
+    let intercept = 0;
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      let slopeGradient = 0;
+      let interceptGradient = 0;
+      logits.forEach((logit, index) => {
+        const error = sigmoid(slope * logit + intercept) - samples[index].label;
+        slopeGradient += error * logit;
+        interceptGradient += error;
+      });
+      slope -= learningRate * slopeGradient / logits.length;
+      intercept -= learningRate * interceptGradient / logits.length;
+    }
+
+    this.calibration = { slope, intercept };
+    return this.calibration;
+  }
+
+  // Accuracy, log loss, Brier score and expected calibration error over labeled samples
+  evaluate(samples, bins = 10) {
+    const epsilon = 1e-12;
+    const predictions = samples.map(sample => ({
+      probability: this.predict(sample.features).probability,
+      label: sample.label
+    }));
+    const count = Math.max(predictions.length, 1);
+
+    const buckets = Array.from({ length: bins }, () => ({ total: 0, confidence: 0, positives: 0 }));
+    predictions.forEach(({ probability, label }) => {
+      const bucket = buckets[Math.min(bins - 1, Math.floor(probability * bins))];
+      bucket.total++;
+      bucket.confidence += probability;
+      bucket.positives += label;
+    });
+
+    return {
+      samples: predictions.length,
+      accuracy: predictions.filter(({ probability, label }) => (probability >= 0.5 ? 1 : 0) === label).length / count,
+      logLoss: -predictions.reduce((sum, { probability, label }) =>
+        sum + label * Math.log(probability + epsilon) + (1 - label) * Math.log(1 - probability + epsilon), 0) / count,
+      brier: predictions.reduce((sum, { probability, label }) => sum + Math.pow(probability - label, 2), 0) / count,
+      ece: buckets.reduce((sum, bucket) => bucket.total === 0
+        ? sum
+        : sum + (bucket.total / count) * Math.abs(bucket.confidence / bucket.total - bucket.positives / bucket.total), 0)
+    };
+  }
+}
+
+module.exports = LogisticModel;
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const fingerprintService = require('./fingerprintService');
+
+class BaseCodeService {
+  constructor() {
+    this.baseDir = path.join(process.env.DATA_DIR || './data', 'base');
+    this.assignments = new Map();
+    this.hashCache = new Map();
+    this.persistent = false;
+
+    // Vercel serverless functions have read-only file system, keep base code in memory there
+    if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+      try {
+        if (!fs.existsSync(this.baseDir)) {
+          fs.mkdirSync(this.baseDir, { recursive: true });
+        }
+        this.persistent = true;
+      } catch (error) {
+        console.warn('Could not create base code directory:', error.message);
+      }
+    }
+  }
+
+  // Add starter code / allowed boilerplate for an assignment
+  addFiles(assignmentId, files, { replace = false } = {}) {
+    const existing = replace ? null : this.load(assignmentId);
+    const baseCode = existing || {
+      assignmentId,
+      createdAt: new Date().toISOString(),
+      files: []
+    };
+
+    files
+      .filter(file => file.content && file.content.trim().length > 0)
+      .forEach(file => {
+        const fingerprint = fingerprintService.fingerprint(file.content, file.language);
+        baseCode.files = baseCode.files.filter(f => f.filename !== file.filename);
+        baseCode.files.push({
+          filename: file.filename,
+          language: file.language,
+          size: file.content.length,
+          hashes: Array.from(new Set(fingerprint.fingerprints.map(fp => fp.hash)))
+        });
+      });
+
+    baseCode.updatedAt = new Date().toISOString();
+    this.save(baseCode);
+    return this.describe(baseCode);
+  }
+
+  getBaseCode(assignmentId) {
+    const baseCode = this.load(assignmentId);
+    return baseCode ? this.describe(baseCode) : null;
+  }
+
+  removeBaseCode(assignmentId) {
+    const existed = this.load(assignmentId) !== null;
+    this.assignments.delete(assignmentId);
+    this.hashCache.delete(assignmentId);
+
+    if (this.persistent) {
+      const filepath = this.getPath(assignmentId);
+      if (fs.existsSync(filepath)) fs.unlinkSync(filepath);
+    }
+
+    return existed;
+  }
+
+  // Every fingerprint that appears in the assignment's base files
+  getExcludedHashes(assignmentId) {
+    if (!assignmentId) return null;
+    if (this.hashCache.has(assignmentId)) return this.hashCache.get(assignmentId);
+
+    const baseCode = this.load(assignmentId);
+    if (!baseCode) return null;
+
+    const hashes = new Set();
+    baseCode.files.forEach(file => file.hashes.forEach(hash => hashes.add(hash)));
+    this.hashCache.set(assignmentId, hashes);
+    return hashes;
+  }
+
+  // How much of a submitted file is base code
+  measureExclusion(content, language, excludeHashes) {
+    const fingerprint = fingerprintService.fingerprint(content, language);
+    const total = fingerprint.fingerprints.length;
+
+    if (!excludeHashes || total === 0) {
+      return { totalFingerprints: total, excludedFingerprints: 0, excludedRatio: 0, excludedLines: [] };
+    }
+
+    const excluded = fingerprint.fingerprints.filter(fp => excludeHashes.has(fp.hash));
+
+    return {
+      totalFingerprints: total,
+      excludedFingerprints: excluded.length,
+      excludedRatio: excluded.length / total,
+      excludedLines: this.mergeLineRanges(excluded)
+    };
+  }
+
+  mergeLineRanges(fingerprints) {
+    const ranges = [];
+    fingerprints
+      .map(fp => ({ startLine: fp.startLine, endLine: fp.endLine }))
+      .sort((a, b) => a.startLine - b.startLine)
+      .forEach(range => {
+        const last = ranges[ranges.length - 1];
+        if (last && range.startLine <= last.endLine + 1) {
+          last.endLine = Math.max(last.endLine, range.endLine);
+        } else {
+          ranges.push({ ...range });
+        }
+      });
+    return ranges;
+  }
+
+  describe(baseCode) {
+    return {
+      assignmentId: baseCode.assignmentId,
+      createdAt: baseCode.createdAt,
+      updatedAt: baseCode.updatedAt,
+      totalFiles: baseCode.files.length,
+      files: baseCode.files.map(file => ({
+        filename: file.filename,
+        language: file.language,
+        size: file.size,
+        fingerprints: file.hashes.length
+      }))
+    };
+  }
+
+  load(assignmentId) {
+    if (this.assignments.has(assignmentId)) return this.assignments.get(assignmentId);
+    if (!this.persistent) return null;
+
+    const filepath = this.getPath(assignmentId);
+    if (!fs.existsSync(filepath)) return null;
+
+    try {
+      const baseCode = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+      this.assignments.set(assignmentId, baseCode);
+      return baseCode;
+    } catch (error) {
+      console.warn(`Could not read base code for ${assignmentId}:`, error.message);
+      return null;
+    }
+  }
+
+  save(baseCode) {
+    this.assignments.set(baseCode.assignmentId, baseCode);
+    this.hashCache.delete(baseCode.assignmentId);
+
+    if (!this.persistent) return;
+
+    try {
+      fs.writeFileSync(this.getPath(baseCode.assignmentId), JSON.stringify(baseCode));
+    } catch (error) {
+      console.warn(`Could not persist base code for ${baseCode.assignmentId}:`, error.message);
+    }
+  }
+
+  getPath(assignmentId) {
+    return path.join(this.baseDir, `${encodeURIComponent(assignmentId)}.json`);
+  }
+}
+
+module.exports = new BaseCodeService();
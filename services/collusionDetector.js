@@ -0,0 +1,207 @@
+const searchService = require('./searchService');
+const fingerprintService = require('./fingerprintService');
+const tokenizer = require('../utils/tokenizer');
+
+class CollusionDetector {
+  constructor() {
+    this.minLineLength = 8;
+  }
+
+  // Compare every submission against every other one (MOSS-style).
+  // Submissions flagged `reference` (e.g. earlier terms) are only compared with the others.
+  compareSubmissions(submissions, options = {}) {
+    const {
+      threshold = 0.5,
+      minMatchLines = 3,
+      maxPairs = 100,
+      excludeHashes = null
+    } = options;
+
+    const prepared = submissions.map(submission => this.prepareSubmission(submission));
+    const ids = prepared.map(submission => submission.id);
+    const matrix = ids.map(() => ids.map(() => 0));
+    const pairs = [];
+    let maxSimilarity = 0;
+    let totalPairs = 0;
+
+    for (let i = 0; i < prepared.length; i++) {
+      matrix[i][i] = 1;
+
+      for (let j = i + 1; j < prepared.length; j++) {
+        if (prepared[i].reference && prepared[j].reference) continue;
+
+        totalPairs++;
+        const pair = this.comparePair(prepared[i], prepared[j], minMatchLines, excludeHashes);
+        matrix[i][j] = pair.similarity;
+        matrix[j][i] = pair.similarity;
+        maxSimilarity = Math.max(maxSimilarity, pair.similarity);
+
+        if (pair.similarity >= threshold || pair.matches.length > 0) {
+          pairs.push(pair);
+        }
+      }
+    }
+
+    pairs.sort((a, b) => b.similarity - a.similarity);
+
+    const suspiciousPairs = pairs
+      .filter(pair => pair.similarity >= threshold)
+      .slice(0, maxPairs)
+      .map((pair, index) => ({
+        rank: index + 1,
+        ...pair,
+        risk: this.getRiskLevel(pair.similarity)
+      }));
+
+    return {
+      submissions: prepared.map(submission => ({
+        id: submission.id,
+        name: submission.name,
+        totalFiles: submission.files.length,
+        reference: submission.reference
+      })),
+      matrix,
+      pairs: suspiciousPairs,
+      summary: {
+        totalSubmissions: prepared.length,
+        totalPairs,
+        suspiciousPairs: suspiciousPairs.length,
+        maxSimilarity,
+        threshold
+      }
+    };
+  }
+
+  comparePair(submissionA, submissionB, minMatchLines, excludeHashes = null) {
+    // Baseline similarity over the whole submission, with shared base code removed
+    const baseline = searchService.calculateSimilarity(submissionA.text, submissionB.text, submissionA.language, { excludeHashes });
+
+    const matches = [];
+    submissionA.files.forEach(fileA => {
+      submissionB.files.forEach(fileB => {
+        matches.push(...this.findMatchingRegions(fileA, fileB, minMatchLines, excludeHashes));
+      });
+    });
+
+    const coverageA = this.calculateCoverage(submissionA, matches, 'a');
+    const coverageB = this.calculateCoverage(submissionB, matches, 'b');
+
+    // Matched regions are stronger evidence than a whole-submission score
+    const similarity = Math.max(baseline, Math.min(coverageA, coverageB), (coverageA + coverageB) / 2 * 0.9);
+
+    return {
+      a: submissionA.id,
+      b: submissionB.id,
+      similarity: Math.min(similarity, 1),
+      baselineSimilarity: baseline,
+      coverage: {
+        a: coverageA,
+        b: coverageB
+      },
+      matches: matches.sort((x, y) => y.lines - x.lines)
+    };
+  }
+
+  // Shared fingerprint regions between two files, ignoring renamed identifiers and literals
+  findMatchingRegions(fileA, fileB, minMatchLines, excludeHashes = null) {
+    const comparison = fingerprintService.compare(fileA.fingerprint, fileB.fingerprint, { excludeHashes });
+
+    return comparison.regions
+      .filter(region => region.lines >= minMatchLines)
+      .map(region => ({
+        fileA: fileA.filename,
+        fileB: fileB.filename,
+        a: region.a,
+        b: region.b,
+        lines: region.lines,
+        fingerprints: region.fingerprints
+      }));
+  }
+
+  calculateCoverage(submission, matches, side) {
+    if (submission.significantLines === 0) return 0;
+
+    const covered = new Set();
+    matches.forEach(match => {
+      const filename = side === 'a' ? match.fileA : match.fileB;
+      const range = match[side];
+      const file = submission.files.find(f => f.filename === filename);
+      if (!file) return;
+
+      file.lines.forEach(line => {
+        if (line.significant && line.number >= range.startLine && line.number <= range.endLine) {
+          covered.add(`${filename}:${line.number}`);
+        }
+      });
+    });
+
+    return covered.size / submission.significantLines;
+  }
+
+  prepareSubmission(submission) {
+    const files = (submission.files || []).map(file => ({
+      filename: file.filename,
+      language: file.language,
+      lines: this.normalizeLines(file.content || '', file.language),
+      fingerprint: fingerprintService.fingerprint(file.content || '', file.language)
+    }));
+
+    return {
+      id: submission.id,
+      name: submission.name || submission.id,
+      reference: Boolean(submission.reference),
+      language: files.length > 0 ? files[0].language : null,
+      files,
+      text: (submission.files || []).map(file => file.content || '').join('\n'),
+      significantLines: files.reduce((sum, file) => sum + file.lines.filter(line => line.significant).length, 0)
+    };
+  }
+
+  // Each line rebuilt from its tokens: comments go by the language's own syntax, so C's
+  // #include and URLs inside strings survive, and spacing differences disappear
+  normalizeLines(content, language = null) {
+    const lineTokens = content.split('\n').map(() => []);
+    tokenizer.tokenize(content, language).forEach(token => {
+      lineTokens[token.line - 1].push(token.value);
+    });
+
+    return lineTokens.map((tokens, index) => {
+      const normalized = tokens.join(' ');
+
+      return {
+        number: index + 1,
+        normalized,
+        significant: normalized.replace(/[{}();\s]/g, '').length >= this.minLineLength
+      };
+    });
+  }
+
+  // Group a flat list of files into submissions by student, falling back to one submission per file
+  groupSubmissions(codeFiles) {
+    const groups = new Map();
+
+    codeFiles.forEach(file => {
+      const id = file.studentId || file.submissionId || file.filename;
+      if (!groups.has(id)) {
+        groups.set(id, {
+          id,
+          name: file.studentName || id,
+          files: []
+        });
+      }
+      groups.get(id).files.push(file);
+    });
+
+    return Array.from(groups.values());
+  }
+
+  getRiskLevel(similarity) {
+    if (similarity >= 0.9) return 'critical';
+    if (similarity >= 0.7) return 'high';
+    if (similarity >= 0.5) return 'medium';
+    if (similarity >= 0.3) return 'low';
+    return 'minimal';
+  }
+}
+
+module.exports = new CollusionDetector();
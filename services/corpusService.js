@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const fingerprintService = require('./fingerprintService');
+const userService = require('./userService');
+const fileProcessor = require('../utils/fileProcessor');
+const languageRegistry = require('../utils/languageRegistry');
+const archiveExtractor = require('../utils/archiveExtractor');
+
+class CorpusService {
+  constructor() {
+    this.corpusDir = path.join(process.env.DATA_DIR || './data', 'corpus');
+    this.contentDir = path.join(this.corpusDir, 'files');
+    this.indexPath = path.join(this.corpusDir, 'index.json');
+    this.documents = new Map();
+    this.postings = new Map();
+    this.persistent = false;
+    this.minSharedFingerprints = 2;
+
+    // Vercel serverless functions have read-only file system, keep the corpus in memory there
+    if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+      try {
+        if (!fs.existsSync(this.contentDir)) {
+          fs.mkdirSync(this.contentDir, { recursive: true });
+        }
+        this.persistent = true;
+      } catch (error) {
+        console.warn('Could not create corpus directory:', error.message);
+      }
+    }
+
+    this.loadIndex();
+  }
+
+  // Ingest a ZIP/tar archive (path or buffer) or a directory of code files
+  ingest(source, tags = {}) {
+    let files;
+
+    if (Buffer.isBuffer(source)) {
+      files = fileProcessor.extractArchive(source).files;
+    } else if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+      files = this.readDirectory(source);
+    } else if (archiveExtractor.isArchive(source)) {
+      files = fileProcessor.extractArchive(source).files;
+    } else {
+      files = fileProcessor.extractCodeFromFiles(source);
+    }
+
+    const added = files
+      .filter(file => file.content && file.content.trim().length > 0)
+      .map(file => this.addDocument(file, tags));
+
+    this.saveIndex();
+
+    console.log(`Ingested ${added.length} files into corpus (${this.describeTags(tags)})`);
+    return added.map(document => this.describeDocument(document));
+  }
+
+  addDocument(file, tags = {}) {
+    const id = generateDocumentId();
+    const fingerprint = fingerprintService.fingerprint(file.content, file.language);
+
+    const document = {
+      id,
+      filename: file.filename,
+      language: languageRegistry.identify(file),
+      // The course the documents belong to decides who may read them; `course` is only a label
+      courseId: tags.courseId || null,
+      course: tags.course || null,
+      assignment: tags.assignment || null,
+      term: tags.term || null,
+      kind: tags.kind || 'submission',
+      owner: file.owner || tags.owner || null,
+      size: file.content.length,
+      lines: file.content.split('\n').length,
+      addedAt: new Date().toISOString(),
+      fingerprints: fingerprint.fingerprints.map(fp => [fp.hash, fp.position, fp.startLine, fp.endLine])
+    };
+
+    this.documents.set(id, document);
+    this.indexDocument(document);
+    this.writeContent(id, file.content);
+
+    return document;
+  }
+
+  removeDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) return false;
+
+    document.fingerprints.forEach(([hash]) => {
+      const ids = this.postings.get(hash);
+      if (!ids) return;
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(hash);
+    });
+
+    this.documents.delete(id);
+
+    if (this.persistent) {
+      const contentPath = this.getContentPath(id);
+      if (fs.existsSync(contentPath)) fs.unlinkSync(contentPath);
+    }
+
+    this.saveIndex();
+    return true;
+  }
+
+  // Documents of the user's courses (all of them for admins), narrowed by the tag filters
+  listDocuments(filters = {}, user = null) {
+    return this.getVisibleDocuments(user)
+      .filter(document => this.matchesFilters(document, filters))
+      .map(document => this.describeDocument(document));
+  }
+
+  getVisibleDocuments(user = null) {
+    const documents = Array.from(this.documents.values());
+    return user ? documents.filter(document => userService.canAccessCourse(user, document.courseId)) : documents;
+  }
+
+  getStats(user = null) {
+    const documents = this.getVisibleDocuments(user);
+    const stats = {
+      documents: documents.length,
+      fingerprints: this.postings.size,
+      courses: {},
+      terms: {}
+    };
+
+    documents.forEach(document => {
+      if (document.course) stats.courses[document.course] = (stats.courses[document.course] || 0) + 1;
+      if (document.term) stats.terms[document.term] = (stats.terms[document.term] || 0) + 1;
+    });
+
+    return stats;
+  }
+
+  // Find corpus documents sharing fingerprints with a snippet; with filters.user, only in their courses
+  search(snippet, language = null, filters = {}) {
+    const { limit = 10, excludeHashes = null, user = null } = filters;
+    const snippetFingerprint = fingerprintService.fingerprint(snippet, language);
+    const counts = new Map();
+
+    const searchHashes = snippetFingerprint.fingerprints
+      .map(fp => fp.hash)
+      .filter(hash => !excludeHashes || !excludeHashes.has(hash));
+
+    new Set(searchHashes).forEach(hash => {
+      const ids = this.postings.get(hash);
+      if (!ids) return;
+      ids.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+    });
+
+    const candidates = Array.from(counts.entries())
+      .filter(([, shared]) => shared >= this.minSharedFingerprints)
+      .map(([id]) => this.documents.get(id))
+      .filter(document => !user || userService.canAccessCourse(user, document.courseId))
+      .filter(document => this.matchesFilters(document, filters))
+      .sort((a, b) => counts.get(b.id) - counts.get(a.id))
+      .slice(0, limit);
+
+    return candidates.map(document => {
+      const comparison = fingerprintService.compare(snippetFingerprint, this.toFingerprint(document), { excludeHashes });
+      const content = this.readContent(document.id);
+      const region = comparison.regions.sort((a, b) => b.fingerprints - a.fingerprints)[0];
+      const sourceSnippet = content && region
+        ? content.split('\n').slice(region.b.startLine - 1, region.b.endLine).join('\n')
+        : content;
+
+      return {
+        title: `${document.filename} (${this.describeTags(document)})`,
+        link: `/api/corpus/documents/${document.id}`,
+        snippet: sourceSnippet,
+        source: 'corpus',
+        corpusDocumentId: document.id,
+        filename: document.filename,
+        course: document.course,
+        assignment: document.assignment,
+        term: document.term,
+        kind: document.kind,
+        owner: document.owner,
+        containment: comparison.containment.a,
+        regions: comparison.regions
+      };
+    });
+  }
+
+  getDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) return null;
+
+    return {
+      ...this.describeDocument(document),
+      content: this.readContent(id)
+    };
+  }
+
+  matchesFilters(document, filters = {}) {
+    const fields = ['courseId', 'course', 'assignment', 'term', 'kind', 'owner'];
+    if (fields.some(field => filters[field] && document[field] !== filters[field])) {
+      return false;
+    }
+
+    // Never match a student's submission against their own earlier copy
+    if (filters.excludeOwner && document.owner === filters.excludeOwner) {
+      return false;
+    }
+
+    return true;
+  }
+
+  toFingerprint(document) {
+    return {
+      fingerprints: document.fingerprints.map(([hash, position, startLine, endLine]) => ({
+        hash,
+        position,
+        startLine,
+        endLine
+      }))
+    };
+  }
+
+  indexDocument(document) {
+    document.fingerprints.forEach(([hash]) => {
+      if (!this.postings.has(hash)) this.postings.set(hash, new Set());
+      this.postings.get(hash).add(document.id);
+    });
+  }
+
+  readDirectory(directory, base = directory) {
+    const files = [];
+
+    fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (archiveExtractor.isVendored(entry.name)) return;
+        files.push(...this.readDirectory(fullPath, base));
+      } else if (fileProcessor.supportedExtensions.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(...fileProcessor.readUploadedFile(fullPath, path.relative(base, fullPath)).files);
+      }
+    });
+
+    return files;
+  }
+
+  describeDocument(document) {
+    const { fingerprints, ...rest } = document;
+    return {
+      ...rest,
+      totalFingerprints: fingerprints.length
+    };
+  }
+
+  describeTags(tags) {
+    return [tags.course, tags.assignment, tags.term].filter(Boolean).join(' / ') || 'untagged';
+  }
+
+  // Document contents live next to the index; serverless keeps them in memory
+  writeContent(id, content) {
+    if (!this.persistent) {
+      this.documents.get(id).content = content;
+      return;
+    }
+    fs.writeFileSync(this.getContentPath(id), content);
+  }
+
+  readContent(id) {
+    if (!this.persistent) {
+      const document = this.documents.get(id);
+      return document ? document.content : null;
+    }
+
+    const contentPath = this.getContentPath(id);
+    return fs.existsSync(contentPath) ? fs.readFileSync(contentPath, 'utf8') : null;
+  }
+
+  loadIndex() {
+    if (!this.persistent || !fs.existsSync(this.indexPath)) return;
+
+    try {
+      const index = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      (index.documents || []).forEach(document => {
+        this.documents.set(document.id, document);
+        this.indexDocument(document);
+      });
+      console.log(`Loaded corpus index with ${this.documents.size} documents`);
+    } catch (error) {
+      console.warn('Could not load corpus index:', error.message);
+    }
+  }
+
+  saveIndex() {
+    if (!this.persistent) return;
+
+    try {
+      fs.writeFileSync(this.indexPath, JSON.stringify({
+        version: 1,
+        updatedAt: new Date().toISOString(),
+        documents: Array.from(this.documents.values())
+      }));
+    } catch (error) {
+      console.warn('Could not save corpus index:', error.message);
+    }
+  }
+
+  getContentPath(id) {
+    return path.join(this.contentDir, `${path.basename(id)}.txt`);
+  }
+}
+
+function generateDocumentId() {
+  return 'doc_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+module.exports = new CorpusService();
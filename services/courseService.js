@@ -0,0 +1,263 @@
+const dataStore = require('./dataStore');
+const userService = require('./userService');
+const baseCodeService = require('./baseCodeService');
+const styleProfiler = require('./styleProfiler');
+const languageRegistry = require('../utils/languageRegistry');
+
+// Course → assignment → student submission hierarchy, kept in the data store
+class CourseService {
+  async createCourse({ code, name, term = null }, owner) {
+    const backend = await dataStore.getBackend();
+    const now = new Date().toISOString();
+    const course = {
+      id: generateId('course'),
+      code,
+      name: name || code,
+      term,
+      ownerId: owner.id,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await backend.insertMany('courses', [course]);
+
+    // Creating a course puts it in the instructor's scope straight away
+    if (!owner.courses.includes(course.id)) {
+      await userService.updateUser(owner.id, { courses: [...owner.courses, course.id] });
+    }
+
+    return course;
+  }
+
+  async listCourses(user, filters = {}) {
+    const backend = await dataStore.getBackend();
+    const query = user.role === 'admin' ? {} : { id: { $in: user.courses } };
+
+    if (filters.term) query.term = filters.term;
+    if (filters.code) query.code = filters.code;
+
+    return backend.find('courses', query, { sort: { createdAt: -1 } });
+  }
+
+  async getCourse(courseId) {
+    const backend = await dataStore.getBackend();
+    return backend.findOne('courses', { id: courseId });
+  }
+
+  async updateCourse(courseId, changes) {
+    const backend = await dataStore.getBackend();
+    const update = this.pick(changes, ['code', 'name', 'term']);
+    update.updatedAt = new Date().toISOString();
+    return backend.updateOne('courses', { id: courseId }, update);
+  }
+
+  // Removes the course with its assignments and their submissions; past analyses stay in history
+  async deleteCourse(courseId) {
+    const backend = await dataStore.getBackend();
+    const assignments = await backend.find('assignments', { courseId });
+
+    for (const assignment of assignments) {
+      await this.deleteAssignment(assignment.id);
+    }
+
+    return (await backend.deleteMany('courses', { id: courseId })) > 0;
+  }
+
+  async createAssignment(courseId, { name, description = null, language = null, deadline = null }) {
+    const backend = await dataStore.getBackend();
+    const now = new Date().toISOString();
+    const assignment = {
+      id: generateId('assignment'),
+      courseId,
+      name,
+      description,
+      language,
+      deadline: deadline ? new Date(deadline).toISOString() : null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await backend.insertMany('assignments', [assignment]);
+    return this.describeAssignment(assignment);
+  }
+
+  async listAssignments(courseId) {
+    const backend = await dataStore.getBackend();
+    const assignments = await backend.find('assignments', { courseId }, { sort: { createdAt: 1 } });
+
+    return Promise.all(assignments.map(async assignment => ({
+      ...this.describeAssignment(assignment),
+      submissions: await backend.count('studentSubmissions', { assignmentId: assignment.id })
+    })));
+  }
+
+  async getAssignment(assignmentId) {
+    const backend = await dataStore.getBackend();
+    const assignment = await backend.findOne('assignments', { id: assignmentId });
+    return assignment ? this.describeAssignment(assignment) : null;
+  }
+
+  async updateAssignment(assignmentId, changes) {
+    const backend = await dataStore.getBackend();
+    const update = this.pick(changes, ['name', 'description', 'language', 'deadline']);
+
+    if (update.deadline) update.deadline = new Date(update.deadline).toISOString();
+    update.updatedAt = new Date().toISOString();
+
+    const assignment = await backend.updateOne('assignments', { id: assignmentId }, update);
+    return assignment ? this.describeAssignment(assignment) : null;
+  }
+
+  async deleteAssignment(assignmentId) {
+    const backend = await dataStore.getBackend();
+    await backend.deleteMany('studentSubmissions', { assignmentId });
+    baseCodeService.removeBaseCode(assignmentId);
+    return (await backend.deleteMany('assignments', { id: assignmentId })) > 0;
+  }
+
+  // A student has one submission per assignment; handing in again replaces the files.
+  // Imports pass the LMS's own submittedAt / late flag instead of the upload time.
+  async saveSubmission(assignment, { studentId, studentName = null, files, source = null, submittedAt = null, late = false }) {
+    const backend = await dataStore.getBackend();
+    const id = `${assignment.id}_${studentId}`;
+    const existing = await backend.findOne('studentSubmissions', { id });
+    const submittedDate = submittedAt ? new Date(submittedAt) : new Date();
+
+    const submission = {
+      id,
+      courseId: assignment.courseId,
+      assignmentId: assignment.id,
+      studentId,
+      studentName: studentName || (existing && existing.studentName) || studentId,
+      files: files.map(file => ({
+        filename: file.filename,
+        language: languageRegistry.identify(file),
+        size: file.size !== undefined ? file.size : file.content.length,
+        content: file.content
+      })),
+      source,
+      attempts: existing ? existing.attempts + 1 : 1,
+      late: late || Boolean(assignment.deadline && submittedDate > new Date(assignment.deadline)),
+      submittedAt: submittedDate.toISOString()
+    };
+
+    // A sudden change from the student's own earlier style is worth a second look
+    try {
+      submission.styleDrift = await styleProfiler.analyzeSubmission(submission);
+    } catch (error) {
+      console.warn(`Style drift for ${id} could not be computed:`, error.message);
+      submission.styleDrift = null;
+    }
+
+    await backend.deleteMany('studentSubmissions', { id });
+    await backend.insertMany('studentSubmissions', [submission]);
+    await this.refreshLaterStyleDrift(submission);
+    return this.describeSubmission(submission);
+  }
+
+  async listSubmissions(assignmentId) {
+    const backend = await dataStore.getBackend();
+    const submissions = await backend.find('studentSubmissions', { assignmentId }, { sort: { studentId: 1 } });
+    return submissions.map(submission => this.describeSubmission(submission));
+  }
+
+  // Full submission including file contents
+  async getSubmission(assignmentId, studentId) {
+    const backend = await dataStore.getBackend();
+    return backend.findOne('studentSubmissions', { id: `${assignmentId}_${studentId}` });
+  }
+
+  async deleteSubmission(assignmentId, studentId) {
+    const backend = await dataStore.getBackend();
+    return (await backend.deleteMany('studentSubmissions', { id: `${assignmentId}_${studentId}` })) > 0;
+  }
+
+  // Style drift of one submission plus the student's profile behind it, against the student's
+  // history in every course the user can see. Computed on read, nothing is stored.
+  async getStyleDrift(assignmentId, studentId, user) {
+    const submission = await this.getSubmission(assignmentId, studentId);
+    if (!submission) return null;
+
+    const courseIds = this.getCourseScope(user);
+    const drift = await styleProfiler.analyzeSubmission(submission, { courseIds });
+    return { ...drift, profile: await styleProfiler.getProfile(studentId, courseIds) };
+  }
+
+  // Style drift of every submission to an assignment, biggest change first
+  async listStyleDrift(assignmentId, user) {
+    const backend = await dataStore.getBackend();
+    const submissions = await backend.find('studentSubmissions', { assignmentId });
+    const courseIds = this.getCourseScope(user);
+    const drifts = [];
+
+    for (const submission of submissions) {
+      drifts.push({ studentName: submission.studentName, ...(await styleProfiler.analyzeSubmission(submission, { courseIds })) });
+    }
+
+    return drifts.sort((a, b) => (b.score === null ? -1 : b.score) - (a.score === null ? -1 : a.score));
+  }
+
+  // A submission imported with an earlier date changes the baseline of the student's later ones
+  async refreshLaterStyleDrift(submission) {
+    const backend = await dataStore.getBackend();
+    const later = (await backend.find('studentSubmissions', { studentId: submission.studentId, courseId: submission.courseId }))
+      .filter(candidate => candidate.id !== submission.id && new Date(candidate.submittedAt) > new Date(submission.submittedAt));
+
+    for (const candidate of later) {
+      try {
+        const styleDrift = await styleProfiler.analyzeSubmission(candidate);
+        await backend.updateOne('studentSubmissions', { id: candidate.id }, { styleDrift });
+      } catch (error) {
+        console.warn(`Style drift for ${candidate.id} could not be updated:`, error.message);
+      }
+    }
+  }
+
+  // Course ids a user's queries are limited to; null for admins, who see every course
+  getCourseScope(user) {
+    return user.role === 'admin' ? null : user.courses;
+  }
+
+  // Every submitted file of an assignment, tagged with its student, ready for analysis
+  async getAssignmentFiles(assignmentId) {
+    const backend = await dataStore.getBackend();
+    const submissions = await backend.find('studentSubmissions', { assignmentId }, { sort: { studentId: 1 } });
+
+    return submissions.flatMap(submission => submission.files.map(file => ({
+      ...file,
+      studentId: submission.studentId,
+      studentName: submission.studentName
+    })));
+  }
+
+  describeAssignment(assignment) {
+    const baseCode = baseCodeService.getBaseCode(assignment.id);
+
+    return {
+      ...assignment,
+      baseCode: baseCode ? { totalFiles: baseCode.totalFiles, updatedAt: baseCode.updatedAt } : null
+    };
+  }
+
+  describeSubmission({ files, ...submission }) {
+    return {
+      ...submission,
+      totalFiles: files.length,
+      files: files.map(file => ({ filename: file.filename, language: file.language, size: file.size }))
+    };
+  }
+
+  pick(source, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (source[field] !== undefined) picked[field] = source[field];
+    });
+    return picked;
+  }
+}
+
+function generateId(prefix) {
+  return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+module.exports = new CourseService();
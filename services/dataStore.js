@@ -0,0 +1,245 @@
+const path = require('path');
+const EmbeddedStore = require('./store/embeddedStore');
+const MongoStore = require('./store/mongoStore');
+
+const RISK_LEVELS = ['minimal', 'low', 'medium', 'high', 'critical'];
+
+// Submissions, analyses, file results (with their matches) and reports.
+// MongoDB when MONGODB_URI is set, otherwise JSON files under DATA_DIR/store.
+class DataStore {
+  constructor() {
+    this.backend = null;
+    this.ready = null;
+  }
+
+  connect() {
+    if (!this.ready) {
+      this.ready = this.initialize();
+    }
+    return this.ready;
+  }
+
+  async initialize() {
+    const uri = process.env.MONGODB_URI;
+
+    // env.example ships a placeholder value, so only real connection strings count
+    if (uri && /^mongodb(\+srv)?:\/\//.test(uri)) {
+      try {
+        const mongoStore = new MongoStore(uri);
+        await mongoStore.connect();
+        this.backend = mongoStore;
+        return;
+      } catch (error) {
+        console.warn('Could not connect to MongoDB, falling back to embedded data store:', error.message);
+      }
+    }
+
+    this.backend = new EmbeddedStore(path.join(process.env.DATA_DIR || './data', 'store'));
+    await this.backend.connect();
+  }
+
+  async getBackend() {
+    await this.connect();
+    return this.backend;
+  }
+
+  // Store a finished analysis; saving the same analysis again replaces it
+  async saveAnalysis(results, { assignmentId = null, courseId = null, ownerId = null, codeFiles = [] } = {}) {
+    const backend = await this.getBackend();
+    const analysisId = results.analysisId;
+    const completedAt = new Date().toISOString();
+    const studentIds = Array.from(new Set(codeFiles.map(file => file.studentId).filter(Boolean)));
+    const maxScore = Math.max(0, ...results.files.map(file => file.plagiarismScore || 0));
+    const risk = this.getRiskLevel(maxScore);
+
+    await this.removeAnalysis(analysisId);
+
+    await backend.insertMany('analyses', [{
+      id: analysisId,
+      sessionId: results.sessionId || null,
+      assignmentId,
+      courseId,
+      ownerId,
+      studentIds,
+      status: 'completed',
+      totalFiles: results.totalFiles,
+      plagiarismScore: results.summary.plagiarismScore,
+      aiGeneratedScore: results.summary.aiGeneratedScore,
+      risk,
+      riskRank: RISK_LEVELS.indexOf(risk),
+      summary: results.summary,
+      sources: results.sources,
+      peerComparison: results.peerComparison || null,
+      createdAt: results.timestamp,
+      completedAt
+    }]);
+
+    await backend.insertMany('fileResults', results.files.map((file, fileIndex) => ({
+      ...file,
+      id: `${analysisId}_${fileIndex}`,
+      analysisId,
+      fileIndex,
+      studentId: (codeFiles[fileIndex] && codeFiles[fileIndex].studentId) || null,
+      risk: this.getRiskLevel(file.plagiarismScore || 0)
+    })));
+
+    const submissions = studentIds.map(studentId => {
+      const files = results.files.filter((file, fileIndex) =>
+        codeFiles[fileIndex] && codeFiles[fileIndex].studentId === studentId);
+
+      return {
+        id: `${analysisId}_${studentId}`,
+        studentId,
+        assignmentId,
+        courseId,
+        ownerId,
+        analysisId,
+        files: files.map(file => ({ filename: file.filename, language: file.language, size: file.size })),
+        plagiarismScore: Math.max(0, ...files.map(file => file.plagiarismScore || 0)),
+        aiGeneratedScore: Math.max(0, ...files.map(file => file.aiGeneratedScore || 0)),
+        createdAt: results.timestamp
+      };
+    });
+
+    if (submissions.length > 0) {
+      await backend.insertMany('submissions', submissions);
+    }
+
+    return { analysisId, risk, files: results.files.length, submissions: submissions.length };
+  }
+
+  async removeAnalysis(analysisId) {
+    const backend = await this.getBackend();
+    const deleted = await backend.deleteMany('analyses', { id: analysisId });
+    await backend.deleteMany('fileResults', { analysisId });
+    await backend.deleteMany('submissions', { analysisId });
+    return deleted > 0;
+  }
+
+  // Past analyses by student, assignment, date range and minimum risk level.
+  // `scope` is an extra query limiting results to what the caller may see.
+  // Filters usually come straight from req.query, where ?studentId[$ne]=x parses to an object;
+  // values are turned into strings so they can never become query operators
+  async findAnalyses(filters = {}, scope = {}) {
+    const backend = await this.getBackend();
+    const query = { ...scope };
+
+    if (filters.studentId) query.studentIds = String(filters.studentId);
+    if (filters.assignmentId) query.assignmentId = String(filters.assignmentId);
+    if (filters.courseId) query.courseId = String(filters.courseId);
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+    if (filters.risk) query.riskRank = { $gte: RISK_LEVELS.indexOf(filters.risk) };
+
+    const limit = Math.min(parseInt(filters.limit) || 20, 100);
+    const offset = parseInt(filters.offset) || 0;
+
+    const [total, analyses] = await Promise.all([
+      backend.count('analyses', query),
+      backend.find('analyses', query, { sort: { createdAt: -1 }, skip: offset, limit })
+    ]);
+
+    return {
+      total,
+      limit,
+      offset,
+      analyses: analyses.map(({ sources, peerComparison, riskRank, ...analysis }) => analysis)
+    };
+  }
+
+  // Rebuild the full results object an analysis returned when it finished
+  async getAnalysis(analysisId) {
+    const backend = await this.getBackend();
+    const analysis = await backend.findOne('analyses', { id: analysisId });
+    if (!analysis) return null;
+
+    const files = await backend.find('fileResults', { analysisId }, { sort: { fileIndex: 1 } });
+
+    const results = {
+      analysisId: analysis.id,
+      sessionId: analysis.sessionId,
+      assignmentId: analysis.assignmentId,
+      courseId: analysis.courseId || null,
+      ownerId: analysis.ownerId || null,
+      timestamp: analysis.createdAt,
+      completedAt: analysis.completedAt,
+      totalFiles: analysis.totalFiles,
+      summary: analysis.summary,
+      files: files.map(({ id, analysisId: fileAnalysisId, fileIndex, risk, ...file }) => file),
+      sources: analysis.sources
+    };
+
+    if (analysis.peerComparison) {
+      results.peerComparison = analysis.peerComparison;
+    }
+
+    return results;
+  }
+
+  async findSubmissions(filters = {}, scope = {}) {
+    const backend = await this.getBackend();
+    const query = { ...scope };
+
+    if (filters.studentId) query.studentId = String(filters.studentId);
+    if (filters.assignmentId) query.assignmentId = String(filters.assignmentId);
+    if (filters.courseId) query.courseId = String(filters.courseId);
+
+    return backend.find('submissions', query, { sort: { createdAt: -1 }, limit: Math.min(parseInt(filters.limit) || 50, 200) });
+  }
+
+  async saveReport(report) {
+    const backend = await this.getBackend();
+    const record = {
+      id: report.reportId,
+      analysisId: report.analysisId || null,
+      courseId: report.courseId || null,
+      ownerId: report.ownerId || null,
+      format: report.format,
+      filename: report.filename,
+      size: report.size,
+      // Serverless reports are streamed back once and never written to disk
+      stored: Boolean(report.filepath),
+      createdAt: new Date().toISOString()
+    };
+
+    await backend.insertMany('reports', [record]);
+    return record;
+  }
+
+  async listReports(filters = {}, scope = {}) {
+    const backend = await this.getBackend();
+    const query = { ...scope, stored: true };
+
+    if (filters.analysisId) query.analysisId = String(filters.analysisId);
+    if (filters.format) query.format = String(filters.format);
+
+    return backend.find('reports', query, { sort: { createdAt: -1 } });
+  }
+
+  async getReportByFilename(filename) {
+    const backend = await this.getBackend();
+    return backend.findOne('reports', { filename });
+  }
+
+  async removeReport(filename) {
+    const backend = await this.getBackend();
+    return backend.deleteMany('reports', { filename });
+  }
+
+  getRiskLevel(score) {
+    if (score >= 0.9) return 'critical';
+    if (score >= 0.7) return 'high';
+    if (score >= 0.5) return 'medium';
+    if (score >= 0.3) return 'low';
+    return 'minimal';
+  }
+
+  isRiskLevel(risk) {
+    return RISK_LEVELS.includes(risk);
+  }
+}
+
+module.exports = new DataStore();
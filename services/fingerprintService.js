@@ -0,0 +1,170 @@
+const codeParser = require('../utils/codeParser');
+
+class FingerprintService {
+  constructor() {
+    this.kgramSize = parseInt(process.env.FINGERPRINT_KGRAM || '5');
+    this.windowSize = parseInt(process.env.FINGERPRINT_WINDOW || '4');
+  }
+
+  // Build a winnowed fingerprint set for a piece of code
+  fingerprint(code, language = null) {
+    const tokens = codeParser.canonicalize(code || '', language).tokens;
+    const hashes = this.hashKgrams(tokens);
+    const selected = this.winnow(hashes);
+
+    return {
+      language: language || 'unknown',
+      totalTokens: tokens.length,
+      kgramSize: this.kgramSize,
+      windowSize: this.windowSize,
+      fingerprints: selected.map(entry => ({
+        hash: entry.hash,
+        position: entry.position,
+        startLine: tokens[entry.position].line,
+        endLine: tokens[entry.position + this.kgramSize - 1].endLine
+      }))
+    };
+  }
+
+  hashKgrams(tokens) {
+    const hashes = [];
+
+    for (let i = 0; i + this.kgramSize <= tokens.length; i++) {
+      // Canonical names still depend on declaration order, so hash identifiers by kind only
+      const kgram = tokens.slice(i, i + this.kgramSize)
+        .map(token => (token.type === 'identifier' ? 'V' : token.normalized))
+        .join(' ');
+      hashes.push({ hash: this.hash(kgram), position: i });
+    }
+
+    return hashes;
+  }
+
+  // Winnowing (Schleimer et al.): keep the rightmost minimum hash of every window
+  winnow(hashes) {
+    if (hashes.length === 0) return [];
+    if (hashes.length <= this.windowSize) {
+      const min = hashes.reduce((best, entry) => (entry.hash <= best.hash ? entry : best));
+      return [min];
+    }
+
+    const selected = [];
+    let lastPosition = -1;
+
+    for (let start = 0; start + this.windowSize <= hashes.length; start++) {
+      let min = hashes[start];
+      for (let i = start + 1; i < start + this.windowSize; i++) {
+        if (hashes[i].hash <= min.hash) min = hashes[i];
+      }
+
+      if (min.position !== lastPosition) {
+        selected.push(min);
+        lastPosition = min.position;
+      }
+    }
+
+    return selected;
+  }
+
+  // 32-bit FNV-1a
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Compare two fingerprint sets and report the regions they share
+  compare(fingerprintA, fingerprintB, options = {}) {
+    const { excludeHashes = null, maxGap = this.kgramSize + this.windowSize } = options;
+
+    const filterExcluded = (fingerprints) => (excludeHashes
+      ? fingerprints.filter(fp => !excludeHashes.has(fp.hash))
+      : fingerprints);
+
+    const listA = filterExcluded(fingerprintA.fingerprints);
+    const listB = filterExcluded(fingerprintB.fingerprints);
+
+    const indexB = new Map();
+    listB.forEach(fp => {
+      if (!indexB.has(fp.hash)) indexB.set(fp.hash, []);
+      indexB.get(fp.hash).push(fp);
+    });
+
+    const setA = new Set(listA.map(fp => fp.hash));
+    const shared = new Set([...setA].filter(hash => indexB.has(hash)));
+    const setBSize = indexB.size;
+
+    const similarity = setA.size + setBSize > 0 ? (2 * shared.size) / (setA.size + setBSize) : 0;
+
+    // Pair every shared fingerprint in A with its nearest unused occurrence in B
+    const pairs = [];
+    const usedB = new Set();
+    listA.forEach(fpA => {
+      if (!shared.has(fpA.hash)) return;
+      const candidates = indexB.get(fpA.hash);
+      const previous = pairs.length > 0 ? pairs[pairs.length - 1].b.position : -Infinity;
+      const next = candidates.find(fpB => !usedB.has(fpB) && fpB.position >= previous) ||
+        candidates.find(fpB => !usedB.has(fpB)) ||
+        candidates[0];
+      usedB.add(next);
+      pairs.push({ a: fpA, b: next });
+    });
+
+    return {
+      similarity,
+      containment: {
+        a: setA.size > 0 ? shared.size / setA.size : 0,
+        b: setBSize > 0 ? shared.size / setBSize : 0
+      },
+      sharedFingerprints: shared.size,
+      regions: this.mergeRegions(pairs, maxGap)
+    };
+  }
+
+  // Merge matched fingerprint pairs that run in parallel in both files into line regions
+  mergeRegions(pairs, maxGap) {
+    const regions = [];
+    let current = null;
+
+    pairs.forEach(pair => {
+      const continues = current &&
+        pair.a.position - current.lastA <= maxGap &&
+        pair.b.position > current.lastB &&
+        pair.b.position - current.lastB <= maxGap;
+
+      if (continues) {
+        current.a.endLine = Math.max(current.a.endLine, pair.a.endLine);
+        current.b.endLine = Math.max(current.b.endLine, pair.b.endLine);
+        current.lastA = pair.a.position;
+        current.lastB = pair.b.position;
+        current.fingerprints++;
+        return;
+      }
+
+      current = {
+        a: { startLine: pair.a.startLine, endLine: pair.a.endLine },
+        b: { startLine: pair.b.startLine, endLine: pair.b.endLine },
+        lastA: pair.a.position,
+        lastB: pair.b.position,
+        fingerprints: 1
+      };
+      regions.push(current);
+    });
+
+    return regions.map(({ a, b, fingerprints }) => ({
+      a,
+      b,
+      fingerprints,
+      lines: a.endLine - a.startLine + 1
+    }));
+  }
+
+  compareCode(codeA, codeB, language = null, options = {}) {
+    return this.compare(this.fingerprint(codeA, language), this.fingerprint(codeB, language), options);
+  }
+}
+
+module.exports = new FingerprintService();
@@ -1,11 +1,37 @@
 const { Octokit } = require('octokit');
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fileProcessor = require('../utils/fileProcessor');
+const languageRegistry = require('../utils/languageRegistry');
+const tokenizer = require('../utils/tokenizer');
+
+// Code search rejects longer queries, and every extra term narrows the results further
+const MAX_QUERY_LENGTH = 256;
+const MAX_QUERY_TERMS = 5;
 
 class GitHubService {
   constructor() {
     this.octokit = new Octokit({
       auth: process.env.GITHUB_TOKEN
     });
+    this.cacheDir = path.join(process.env.DATA_DIR || './data', 'github-cache');
+    this.contentCache = new Map();
+    this.maxCachedContents = 500;
+    this.persistentCache = false;
+
+    // Vercel serverless functions have read-only file system, cache in memory only there
+    if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+      try {
+        if (!fs.existsSync(this.cacheDir)) {
+          fs.mkdirSync(this.cacheDir, { recursive: true });
+        }
+        this.persistentCache = true;
+      } catch (error) {
+        console.warn('Could not create GitHub cache directory:', error.message);
+      }
+    }
   }
 
   async extractFromGitHub(githubUrl) {
@@ -34,7 +60,7 @@ class GitHubService {
               path: file.path,
               content: content,
               size: content.length,
-              language: this.getLanguageFromExtension(file.name)
+              language: languageRegistry.detect(content, file.name)
             });
           }
         } catch (error) {
@@ -42,8 +68,11 @@ class GitHubService {
         }
       }
 
-      console.log(`Extracted ${extractedCode.length} code files from ${owner}/${repo}`);
-      return extractedCode;
+      // Notebooks are analyzed per code cell, like uploaded ones
+      const expanded = fileProcessor.expandNotebooks(extractedCode).files;
+
+      console.log(`Extracted ${expanded.length} code files from ${owner}/${repo}`);
+      return expanded;
 
     } catch (error) {
       console.error('GitHub extraction error:', error);
@@ -107,55 +136,62 @@ class GitHubService {
     }
   }
 
-  isCodeFile(filename) {
-    const codeExtensions = [
-      '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.cs', 
-      '.php', '.rb', '.go', '.rs', '.swift', '.kt', '.scala', '.html', 
-      '.css', '.scss', '.sass', '.sql', '.sh', '.bat', '.ps1', '.vue',
-      '.jsx', '.tsx', '.json', '.xml', '.yaml', '.yml', '.md', '.txt'
-    ];
-
-    const ext = filename.toLowerCase().substring(filename.lastIndexOf('.'));
-    return codeExtensions.includes(ext);
+  // File contents keyed by blob SHA never change, so they are cached without expiry
+  async getCachedFileContent(owner, repo, filePath, sha = null) {
+    if (!sha) {
+      return this.getFileContent(owner, repo, filePath);
+    }
+
+    if (this.contentCache.has(sha)) {
+      return this.contentCache.get(sha);
+    }
+
+    const cachePath = path.join(this.cacheDir, `${path.basename(sha)}.txt`);
+    if (this.persistentCache && fs.existsSync(cachePath)) {
+      const cached = fs.readFileSync(cachePath, 'utf8');
+      this.rememberContent(sha, cached);
+      return cached;
+    }
+
+    const content = await this.getFileContent(owner, repo, filePath);
+    if (content === null) return null;
+
+    // The path may have changed since the blob was indexed; only the blob itself goes under its SHA
+    if (this.getBlobSha(content) !== sha) {
+      return content;
+    }
+
+    this.rememberContent(sha, content);
+    if (this.persistentCache) {
+      try {
+        fs.writeFileSync(cachePath, content);
+      } catch (error) {
+        console.warn(`Could not cache ${owner}/${repo}/${filePath}:`, error.message);
+      }
+    }
+
+    return content;
   }
 
-  getLanguageFromExtension(filename) {
-    const languageMap = {
-      '.js': 'javascript',
-      '.jsx': 'javascript',
-      '.ts': 'typescript',
-      '.tsx': 'typescript',
-      '.py': 'python',
-      '.java': 'java',
-      '.cpp': 'cpp',
-      '.c': 'c',
-      '.cs': 'csharp',
-      '.php': 'php',
-      '.rb': 'ruby',
-      '.go': 'go',
-      '.rs': 'rust',
-      '.swift': 'swift',
-      '.kt': 'kotlin',
-      '.scala': 'scala',
-      '.html': 'html',
-      '.css': 'css',
-      '.scss': 'scss',
-      '.sass': 'sass',
-      '.sql': 'sql',
-      '.sh': 'bash',
-      '.bat': 'batch',
-      '.ps1': 'powershell',
-      '.vue': 'vue',
-      '.json': 'json',
-      '.xml': 'xml',
-      '.yaml': 'yaml',
-      '.yml': 'yaml',
-      '.md': 'markdown',
-      '.txt': 'text'
-    };
-
-    const ext = filename.toLowerCase().substring(filename.lastIndexOf('.'));
-    return languageMap[ext] || 'unknown';
+  // Git object id of a file's content
+  getBlobSha(content) {
+    const data = Buffer.from(content, 'utf8');
+    return crypto.createHash('sha1')
+      .update(`blob ${data.length}\0`)
+      .update(data)
+      .digest('hex');
+  }
+
+  rememberContent(sha, content) {
+    // Drop the oldest entry once the in-memory cache is full
+    if (this.contentCache.size >= this.maxCachedContents) {
+      this.contentCache.delete(this.contentCache.keys().next().value);
+    }
+    this.contentCache.set(sha, content);
+  }
+
+  isCodeFile(filename) {
+    return languageRegistry.isSupported(filename);
   }
 
   async searchGitHubRepositories(query, language = null) {
@@ -186,12 +222,37 @@ class GitHubService {
     }
   }
 
+  // A code search query for a snippet: its longest identifiers, in the order they appear.
+  // Null when the snippet has nothing distinctive to search for
+  buildCodeQuery(snippet, language = null) {
+    const identifiers = [...new Set(tokenizer.tokenize(snippet, language)
+      .filter(token => token.type === 'identifier' && token.value.length >= 3)
+      .map(token => token.value))];
+    const distinctive = new Set([...identifiers]
+      .sort((a, b) => b.length - a.length)
+      .slice(0, MAX_QUERY_TERMS));
+
+    const qualifier = this.getLanguageQualifier(language);
+    let query = '';
+    identifiers.filter(identifier => distinctive.has(identifier)).forEach(identifier => {
+      const candidate = query ? `${query} ${identifier}` : identifier;
+      if (candidate.length + qualifier.length + 1 < MAX_QUERY_LENGTH) query = candidate;
+    });
+
+    return query || null;
+  }
+
+  // GitHub names some languages differently from our ids ("C++", "C#")
+  getLanguageQualifier(language) {
+    const name = language ? languageRegistry.getGitHubLanguage(language) : null;
+    if (!name) return '';
+    return /^[\w-]+$/.test(name) ? `language:${name}` : `language:"${name}"`;
+  }
+
   async searchCode(query, language = null) {
     try {
-      let searchQuery = query;
-      if (language) {
-        searchQuery += ` language:${language}`;
-      }
+      const qualifier = this.getLanguageQualifier(language);
+      const searchQuery = qualifier ? `${query} ${qualifier}` : query;
 
       const response = await this.octokit.rest.search.code({
         q: searchQuery,
@@ -203,13 +264,16 @@ class GitHubService {
       return response.data.items.map(item => ({
         name: item.name,
         path: item.path,
+        owner: item.repository.owner.login,
+        repo: item.repository.name,
         repository: item.repository.full_name,
+        sha: item.sha,
         url: item.html_url,
         language: item.language
       }));
     } catch (error) {
       console.error('GitHub code search error:', error);
-      return [];
+      throw error;
     }
   }
 }
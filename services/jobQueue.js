@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.jobDir = path.join(process.env.DATA_DIR || './data', 'jobs');
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY || '1');
+    this.jobs = new Map();
+    this.results = new Map();
+    this.events = new Map();
+    this.eventSequence = 0;
+    this.maxEventsPerJob = 1000;
+    this.handlers = {};
+    this.queue = [];
+    this.running = 0;
+    this.persistent = false;
+    // Progress is written at most this often; status changes are written straight away
+    this.saveInterval = 1000;
+    this.dirtyJobs = new Set();
+    this.writes = new Map();
+    this.flushTimer = null;
+    this.retentionDays = parseFloat(process.env.JOB_RETENTION_DAYS || '7');
+
+    // Vercel serverless functions have read-only file system, keep jobs in memory there
+    if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+      try {
+        if (!fs.existsSync(this.jobDir)) {
+          fs.mkdirSync(this.jobDir, { recursive: true });
+        }
+        this.persistent = true;
+      } catch (error) {
+        console.warn('Could not create jobs directory:', error.message);
+      }
+    }
+
+    this.loadJobs();
+  }
+
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+    this.processNext();
+  }
+
+  // `scope` ({ ownerId, courseId }) decides who may see the job and its results
+  enqueue(type, payload, id, scope = {}) {
+    const job = {
+      id,
+      type,
+      status: 'queued',
+      payload,
+      scope: {
+        ownerId: scope.ownerId || null,
+        courseId: scope.courseId || null
+      },
+      progress: {
+        totalFiles: 0,
+        completedFiles: 0,
+        currentFile: null,
+        files: []
+      },
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(id, job);
+    this.queue.push(id);
+    // The submitted files are written once; job records after that only carry status and progress
+    this.savePayload(id, payload);
+    this.saveJob(job, { immediate: true });
+    this.publish(id, 'job:queued', { status: job.status });
+
+    setImmediate(() => this.processNext());
+    return job;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  getResults(id) {
+    if (this.results.has(id)) {
+      return this.results.get(id);
+    }
+
+    if (!this.persistent) return null;
+
+    const filepath = this.getResultsPath(id);
+    if (!fs.existsSync(filepath)) return null;
+
+    try {
+      const results = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+      this.results.set(id, results);
+      return results;
+    } catch (error) {
+      console.error(`Could not read results for job ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  updateProgress(id, progress) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    job.progress = { ...job.progress, ...progress };
+    this.saveJob(job);
+  }
+
+  // Record a pipeline event for a job and notify live subscribers
+  publish(id, type, data = {}) {
+    const event = {
+      id: ++this.eventSequence,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    if (!this.events.has(id)) {
+      this.events.set(id, []);
+    }
+
+    const history = this.events.get(id);
+    history.push(event);
+    if (history.length > this.maxEventsPerJob) {
+      history.shift();
+    }
+
+    this.emit('job:event', id, event);
+    return event;
+  }
+
+  getEvents(id) {
+    return this.events.get(id) || [];
+  }
+
+  subscribe(id, listener) {
+    const handler = (jobId, event) => {
+      if (jobId === id) listener(event);
+    };
+
+    this.on('job:event', handler);
+    return () => this.removeListener('job:event', handler);
+  }
+
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  processNext() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const index = this.queue.findIndex(id => this.handlers[this.jobs.get(id).type]);
+      if (index === -1) return;
+
+      const [id] = this.queue.splice(index, 1);
+      this.runJob(this.jobs.get(id));
+    }
+  }
+
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+    this.running++;
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.saveJob(job, { immediate: true });
+    this.publish(job.id, 'job:started', { status: job.status });
+
+    const context = {
+      updateProgress: (progress) => this.updateProgress(job.id, progress),
+      publish: (type, data) => this.publish(job.id, type, data)
+    };
+
+    try {
+      const results = await handler(job, context);
+
+      this.results.set(job.id, results);
+      await this.saveResults(job.id, results);
+
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      this.saveJob(job, { immediate: true });
+      this.publish(job.id, 'job:completed', { status: job.status, resultsUrl: `/api/analysis/results/${job.id}` });
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.completedAt = new Date().toISOString();
+      this.saveJob(job, { immediate: true });
+      this.publish(job.id, 'job:failed', { status: job.status, error: job.error });
+    } finally {
+      // The submitted files are not kept once the job is finished, whatever the outcome
+      job.payload = null;
+      this.removeFile(this.getPayloadPath(job.id));
+      this.running--;
+      this.scheduleEventCleanup(job.id);
+      this.processNext();
+    }
+  }
+
+  // Late subscribers can still replay a finished job's events for a while
+  scheduleEventCleanup(id) {
+    const timer = setTimeout(() => this.events.delete(id), 10 * 60 * 1000);
+    if (timer.unref) timer.unref();
+  }
+
+  // Restore jobs from disk; anything interrupted by a restart is queued again
+  loadJobs() {
+    if (!this.persistent) return;
+
+    try {
+      const files = fs.readdirSync(this.jobDir).filter(file => file.endsWith('.job.json'));
+
+      files.forEach(file => {
+        try {
+          const job = JSON.parse(fs.readFileSync(path.join(this.jobDir, file), 'utf8'));
+          if (job.status === 'queued' || job.status === 'running') {
+            // Job records written before payloads had their own file still carry it inline
+            job.payload = job.payload || this.loadPayload(job.id);
+            if (!job.payload) {
+              console.warn(`Dropping job ${job.id}: its submitted files are missing`);
+              job.status = 'failed';
+              job.error = 'Submitted files were lost before the job could run';
+              job.completedAt = new Date().toISOString();
+              this.jobs.set(job.id, job);
+              this.saveJob(job, { immediate: true });
+              return;
+            }
+            job.status = 'queued';
+            job.startedAt = null;
+            this.queue.push(job.id);
+          }
+          this.jobs.set(job.id, job);
+        } catch (error) {
+          console.warn(`Skipping unreadable job file ${file}:`, error.message);
+        }
+      });
+
+      this.queue.sort((a, b) => new Date(this.jobs.get(a).createdAt) - new Date(this.jobs.get(b).createdAt));
+
+      if (this.queue.length > 0) {
+        console.log(`Restored ${this.queue.length} pending analysis jobs`);
+      }
+    } catch (error) {
+      console.warn('Could not load jobs:', error.message);
+    }
+  }
+
+  // Mark the job record for writing; progress updates are batched, `immediate` writes now
+  saveJob(job, { immediate = false } = {}) {
+    if (!this.persistent) return Promise.resolve();
+
+    this.dirtyJobs.add(job.id);
+    if (immediate) return this.flushJobs();
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushJobs(), this.saveInterval);
+      if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+    return Promise.resolve();
+  }
+
+  flushJobs() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const ids = Array.from(this.dirtyJobs);
+    this.dirtyJobs.clear();
+    return Promise.all(ids.map(id => this.writeJob(id)));
+  }
+
+  // Writes of one job are chained, so an older snapshot never lands after a newer one
+  writeJob(id) {
+    const previous = this.writes.get(id) || Promise.resolve();
+    const write = previous
+      .then(() => {
+        const job = this.jobs.get(id);
+        if (!job) return;
+        const { payload, ...record } = job;
+        return fs.promises.writeFile(this.getJobPath(id), JSON.stringify(record));
+      })
+      .catch(error => console.warn(`Could not persist job ${id}:`, error.message))
+      .finally(() => {
+        if (this.writes.get(id) === write) this.writes.delete(id);
+      });
+
+    this.writes.set(id, write);
+    return write;
+  }
+
+  savePayload(id, payload) {
+    if (!this.persistent) return;
+
+    try {
+      fs.writeFileSync(this.getPayloadPath(id), JSON.stringify(payload));
+    } catch (error) {
+      console.warn(`Could not persist files for job ${id}:`, error.message);
+    }
+  }
+
+  loadPayload(id) {
+    const filepath = this.getPayloadPath(id);
+    if (!fs.existsSync(filepath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (error) {
+      console.warn(`Could not read files for job ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  async saveResults(id, results) {
+    if (!this.persistent) return;
+
+    try {
+      await fs.promises.writeFile(this.getResultsPath(id), JSON.stringify(results));
+    } catch (error) {
+      console.warn(`Could not persist results for job ${id}:`, error.message);
+    }
+  }
+
+  // Forget finished jobs after JOB_RETENTION_DAYS; their analyses stay in the data store
+  cleanupExpired() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    let deleted = 0;
+
+    this.jobs.forEach((job, id) => {
+      if (!this.isFinished(job) || new Date(job.completedAt).getTime() > cutoff) return;
+
+      this.jobs.delete(id);
+      this.results.delete(id);
+      this.events.delete(id);
+      [this.getJobPath(id), this.getResultsPath(id), this.getPayloadPath(id)].forEach(filepath => this.removeFile(filepath));
+      deleted++;
+    });
+
+    if (deleted > 0) {
+      console.log(`Cleaned up ${deleted} finished analysis jobs`);
+    }
+
+    return deleted;
+  }
+
+  removeFile(filepath) {
+    if (!this.persistent) return;
+
+    fs.promises.unlink(filepath).catch(error => {
+      if (error.code !== 'ENOENT') console.warn(`Could not delete ${filepath}:`, error.message);
+    });
+  }
+
+  getJobPath(id) {
+    return path.join(this.jobDir, `${path.basename(id)}.job.json`);
+  }
+
+  getResultsPath(id) {
+    return path.join(this.jobDir, `${path.basename(id)}.results.json`);
+  }
+
+  getPayloadPath(id) {
+    return path.join(this.jobDir, `${path.basename(id)}.payload.json`);
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,46 @@
+// Common shape for every LLM backend asked for an AI-generation opinion
+class BaseAdapter {
+  constructor({ name, label, configKeys = [], modelKey = null, defaultModel = null }) {
+    this.name = name;
+    this.label = label || name;
+    // [{ key, required, description }] read from the environment
+    this.configKeys = configKeys;
+    // Environment variable that overrides the model name
+    this.modelKey = modelKey;
+    this.defaultModel = defaultModel;
+  }
+
+  isConfigured() {
+    return this.configKeys
+      .filter(config => config.required)
+      .every(config => Boolean(process.env[config.key]));
+  }
+
+  getModel() {
+    return (this.modelKey && process.env[this.modelKey]) || this.defaultModel;
+  }
+
+  getTimeout() {
+    return parseInt(process.env.AI_LLM_TIMEOUT_MS || '30000');
+  }
+
+  // Return the model's raw reply to { system, prompt, schema }; the registry validates it
+  async generate(request) {
+    throw new Error(`LLM adapter ${this.name} does not implement generate`);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      label: this.label,
+      model: this.getModel(),
+      configured: this.isConfigured(),
+      configKeys: this.configKeys.map(config => ({
+        ...config,
+        present: Boolean(process.env[config.key])
+      }))
+    };
+  }
+}
+
+module.exports = BaseAdapter;
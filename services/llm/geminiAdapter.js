@@ -0,0 +1,38 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseAdapter = require('./baseAdapter');
+
+class GeminiAdapter extends BaseAdapter {
+  constructor() {
+    super({
+      name: 'gemini',
+      label: 'Google Gemini',
+      modelKey: 'GEMINI_MODEL',
+      defaultModel: 'gemini-1.5-pro',
+      configKeys: [
+        { key: 'GEMINI_API_KEY', required: true, description: 'Google AI Studio API key' },
+        { key: 'GEMINI_MODEL', required: false, description: 'Model name (defaults to gemini-1.5-pro)' }
+      ]
+    });
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    }
+    return this.client;
+  }
+
+  async generate({ system, prompt }) {
+    const model = this.getClient().getGenerativeModel({
+      model: this.getModel(),
+      systemInstruction: system,
+      generationConfig: { temperature: 0, responseMimeType: 'application/json' }
+    }, { timeout: this.getTimeout() });
+
+    const result = await model.generateContent(prompt);
+    return result.response.text();
+  }
+}
+
+module.exports = new GeminiAdapter();
@@ -0,0 +1,191 @@
+const geminiAdapter = require('./geminiAdapter');
+const openaiAdapter = require('./openaiAdapter');
+const localAdapter = require('./localAdapter');
+const mockAdapter = require('./mockAdapter');
+const responseSchema = require('./responseSchema');
+
+// Picked in this order when AI_LLM_PROVIDER is not set; the mock is never picked implicitly
+const AUTO_SELECT = ['gemini', 'openai', 'local'];
+
+const SYSTEM_PROMPT = `You review student source code for an academic integrity tool.
+Judge how likely it is that the code was generated by an AI assistant rather than written by a student.
+Weigh code structure, naming, comment style and frequency, error handling and overall consistency.
+Reply with a single JSON object and nothing else:
+{"aiProbability": <number from 0 to 1>, "reasoning": "<one or two sentences>", "indicators": ["<short observation>", ...]}`;
+
+class LlmRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    if (!adapter.name || typeof adapter.generate !== 'function') {
+      throw new Error('LLM adapters need a name and a generate method');
+    }
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  // The backend AI_LLM_PROVIDER names, or the first configured one; null turns the LLM off
+  resolve() {
+    const selected = (process.env.AI_LLM_PROVIDER || '').trim().toLowerCase();
+
+    if (selected === 'none') return null;
+
+    if (selected) {
+      const adapter = this.get(selected);
+      if (!adapter) {
+        console.warn(`Unknown AI_LLM_PROVIDER "${selected}", AI detection runs without an LLM`);
+        return null;
+      }
+      if (!adapter.isConfigured()) {
+        console.warn(`${adapter.label} is not configured, AI detection runs without an LLM`);
+        return null;
+      }
+      return adapter;
+    }
+
+    return AUTO_SELECT.map(name => this.get(name)).find(adapter => adapter && adapter.isConfigured()) || null;
+  }
+
+  describe() {
+    const active = this.resolve();
+    return {
+      active: active ? active.name : null,
+      adapters: this.list().map(adapter => adapter.describe())
+    };
+  }
+
+  getLimits() {
+    return {
+      chunkSize: parseInt(process.env.AI_LLM_CHUNK_SIZE || '6000'),
+      maxChunks: parseInt(process.env.AI_LLM_MAX_CHUNKS || '8')
+    };
+  }
+
+  // Whole lines of at most chunkSize characters, cut at a blank line when one is close by
+  chunk(code, chunkSize, maxChunks) {
+    const lines = code.replace(/\s+$/, '').split('\n');
+    const chunks = [];
+    let start = 0;
+
+    while (start < lines.length && chunks.length < maxChunks) {
+      let end = start;
+      let length = 0;
+      while (end < lines.length && (end === start || length + lines[end].length + 1 <= chunkSize)) {
+        length += lines[end].length + 1;
+        end++;
+      }
+
+      if (end < lines.length) {
+        for (let cut = end - 1; cut > start + (end - start) / 2; cut--) {
+          if (lines[cut].trim() === '') {
+            end = cut + 1;
+            break;
+          }
+        }
+      }
+
+      const content = lines.slice(start, end).join('\n').slice(0, chunkSize);
+      if (content.trim()) {
+        chunks.push({ startLine: start + 1, endLine: end, content });
+      }
+      start = end;
+    }
+
+    return { chunks, truncated: start < lines.length, totalLines: lines.length };
+  }
+
+  buildPrompt(chunk, index, count, totalLines, language) {
+    const part = count > 1 ? `Part ${index + 1} of ${count}, ` : '';
+    return `Language: ${language}
+${part}lines ${chunk.startLine}-${chunk.endLine} of ${totalLines}
+
+\`\`\`${language}
+${chunk.content}
+\`\`\``;
+  }
+
+  // One chunk's validated { aiProbability, reasoning, indicators }; an invalid reply gets one retry
+  async requestAssessment(adapter, prompt) {
+    const schema = responseSchema.forStructuredOutput();
+    let lastError = null;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const reminder = lastError
+        ? `\n\nYour previous reply was rejected (${lastError}). Reply with the JSON object only.`
+        : '';
+      const reply = await adapter.generate({ system: SYSTEM_PROMPT, prompt: prompt + reminder, schema });
+
+      try {
+        const parsed = responseSchema.parse(reply);
+        const errors = responseSchema.validate(parsed);
+        if (errors.length === 0) return parsed;
+        lastError = errors.join('; ');
+      } catch (error) {
+        lastError = error.message;
+      }
+    }
+
+    throw new Error(`Invalid response from ${adapter.label}: ${lastError}`);
+  }
+
+  // AI-generation opinion from the active backend, assessed chunk by chunk and
+  // combined weighted by chunk length
+  async assess(code, language) {
+    const adapter = this.resolve();
+    if (!adapter) {
+      return { available: false, provider: null, aiProbability: 0, reasoning: 'No LLM backend configured' };
+    }
+
+    const { chunkSize, maxChunks } = this.getLimits();
+    const { chunks, truncated, totalLines } = this.chunk(code, chunkSize, maxChunks);
+    const results = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      try {
+        const assessment = await this.requestAssessment(adapter, this.buildPrompt(chunk, i, chunks.length, totalLines, language));
+        results.push({ startLine: chunk.startLine, endLine: chunk.endLine, weight: chunk.content.length, ...assessment });
+      } catch (error) {
+        console.error(`${adapter.label} analysis error (lines ${chunk.startLine}-${chunk.endLine}):`, error.message);
+        results.push({ startLine: chunk.startLine, endLine: chunk.endLine, error: error.message });
+      }
+    }
+
+    const assessed = results.filter(result => !result.error);
+    const base = { provider: adapter.name, model: adapter.getModel(), chunks: results, truncated };
+
+    if (assessed.length === 0) {
+      const failure = results.length > 0 ? results[0].error : 'Nothing to analyze';
+      return { ...base, available: false, aiProbability: 0, reasoning: 'Analysis failed: ' + failure };
+    }
+
+    const totalWeight = assessed.reduce((sum, result) => sum + result.weight, 0);
+    const reasoning = assessed.length === 1
+      ? assessed[0].reasoning
+      : assessed.map(result => `Lines ${result.startLine}-${result.endLine}: ${result.reasoning}`).join('\n');
+
+    return {
+      ...base,
+      available: true,
+      aiProbability: assessed.reduce((sum, result) => sum + result.aiProbability * result.weight, 0) / totalWeight,
+      reasoning,
+      indicators: [...new Set(assessed.flatMap(result => result.indicators))].slice(0, 10)
+    };
+  }
+}
+
+const registry = new LlmRegistry();
+
+[geminiAdapter, openaiAdapter, localAdapter, mockAdapter].forEach(adapter => registry.register(adapter));
+
+module.exports = registry;
@@ -0,0 +1,34 @@
+const OpenAICompatibleAdapter = require('./openaiCompatibleAdapter');
+
+// Any OpenAI-compatible server running next to CodeGuard (Ollama, llama.cpp, vLLM, LM Studio),
+// so code never leaves the machine
+class LocalAdapter extends OpenAICompatibleAdapter {
+  constructor() {
+    super({
+      name: 'local',
+      label: 'Local model (OpenAI-compatible)',
+      modelKey: 'AI_LLM_MODEL',
+      defaultModel: 'llama3.1',
+      configKeys: [
+        { key: 'AI_LLM_BASE_URL', required: true, description: 'OpenAI-compatible endpoint, e.g. http://localhost:11434/v1 for Ollama' },
+        { key: 'AI_LLM_MODEL', required: false, description: 'Model name served by the endpoint (defaults to llama3.1)' },
+        { key: 'AI_LLM_API_KEY', required: false, description: 'Key for endpoints that require one' }
+      ]
+    });
+  }
+
+  getClientOptions() {
+    return {
+      baseURL: process.env.AI_LLM_BASE_URL,
+      // The SDK insists on a key; local servers ignore it
+      apiKey: process.env.AI_LLM_API_KEY || 'local'
+    };
+  }
+
+  // Not every local server supports json_schema, but all of them take plain JSON mode
+  getResponseFormat() {
+    return { type: 'json_object' };
+  }
+}
+
+module.exports = new LocalAdapter();
@@ -0,0 +1,46 @@
+const BaseAdapter = require('./baseAdapter');
+
+// Offline stand-in for tests and demos: replies with queued responses, or with
+// AI_LLM_MOCK_PROBABILITY when the queue is empty. Only used when selected explicitly.
+class MockAdapter extends BaseAdapter {
+  constructor() {
+    super({
+      name: 'mock',
+      label: 'Mock (offline)',
+      defaultModel: 'mock',
+      configKeys: [
+        { key: 'AI_LLM_MOCK_PROBABILITY', required: false, description: 'Probability the mock reports (defaults to 0.5)' }
+      ]
+    });
+    this.responses = [];
+    this.requests = [];
+  }
+
+  // Queue raw replies (strings, objects or Errors to throw) for the next calls
+  queue(...responses) {
+    this.responses.push(...responses);
+  }
+
+  reset() {
+    this.responses = [];
+    this.requests = [];
+  }
+
+  async generate(request) {
+    this.requests.push(request);
+
+    const response = this.responses.shift();
+    if (response instanceof Error) throw response;
+    if (typeof response === 'string') return response;
+    if (response) return JSON.stringify(response);
+
+    const probability = parseFloat(process.env.AI_LLM_MOCK_PROBABILITY || '0.5');
+    return JSON.stringify({
+      aiProbability: probability,
+      reasoning: 'Mock assessment',
+      indicators: []
+    });
+  }
+}
+
+module.exports = new MockAdapter();
@@ -0,0 +1,22 @@
+const OpenAICompatibleAdapter = require('./openaiCompatibleAdapter');
+
+class OpenAIAdapter extends OpenAICompatibleAdapter {
+  constructor() {
+    super({
+      name: 'openai',
+      label: 'OpenAI',
+      modelKey: 'OPENAI_MODEL',
+      defaultModel: 'gpt-4o-mini',
+      configKeys: [
+        { key: 'OPENAI_API_KEY', required: true, description: 'OpenAI API key' },
+        { key: 'OPENAI_MODEL', required: false, description: 'Model name (defaults to gpt-4o-mini)' }
+      ]
+    });
+  }
+
+  getClientOptions() {
+    return { apiKey: process.env.OPENAI_API_KEY };
+  }
+}
+
+module.exports = new OpenAIAdapter();
@@ -0,0 +1,43 @@
+const OpenAI = require('openai');
+const BaseAdapter = require('./baseAdapter');
+
+// Chat-completions backends: OpenAI itself and servers that speak the same API
+class OpenAICompatibleAdapter extends BaseAdapter {
+  constructor(options) {
+    super(options);
+    this.client = null;
+  }
+
+  // { apiKey, baseURL } for the OpenAI client
+  getClientOptions() {
+    throw new Error(`LLM adapter ${this.name} does not implement getClientOptions`);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ ...this.getClientOptions(), timeout: this.getTimeout(), maxRetries: 1 });
+    }
+    return this.client;
+  }
+
+  getResponseFormat(schema) {
+    return { type: 'json_schema', json_schema: { name: 'ai_assessment', schema, strict: true } };
+  }
+
+  async generate({ system, prompt, schema }) {
+    const completion = await this.getClient().chat.completions.create({
+      model: this.getModel(),
+      temperature: 0,
+      response_format: this.getResponseFormat(schema),
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ]
+    });
+
+    const choice = completion.choices && completion.choices[0];
+    return choice && choice.message ? choice.message.content || '' : '';
+  }
+}
+
+module.exports = OpenAICompatibleAdapter;
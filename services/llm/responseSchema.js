@@ -0,0 +1,91 @@
+// The JSON reply every LLM backend must produce, and a small JSON-schema validator for it.
+// Replies that do not validate are rejected rather than mined for stray numbers.
+const ASSESSMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    aiProbability: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string', maxLength: 2000 },
+    indicators: { type: 'array', items: { type: 'string', maxLength: 200 }, maxItems: 10 }
+  },
+  required: ['aiProbability', 'reasoning', 'indicators'],
+  additionalProperties: false
+};
+
+// Keywords OpenAI structured outputs reject; they are still enforced by validate()
+const UNSUPPORTED_IN_STRUCTURED_OUTPUT = ['minimum', 'maximum', 'maxLength', 'maxItems'];
+
+class ResponseSchema {
+  constructor() {
+    this.assessment = ASSESSMENT_SCHEMA;
+  }
+
+  // A copy of the schema that OpenAI-style structured output accepts
+  forStructuredOutput(schema = ASSESSMENT_SCHEMA) {
+    if (Array.isArray(schema)) return schema.map(item => this.forStructuredOutput(item));
+    if (!schema || typeof schema !== 'object') return schema;
+
+    return Object.fromEntries(Object.entries(schema)
+      .filter(([key]) => !UNSUPPORTED_IN_STRUCTURED_OUTPUT.includes(key))
+      .map(([key, value]) => [key, this.forStructuredOutput(value)]));
+  }
+
+  // Parse a reply that should be a JSON object, tolerating markdown fences around it
+  parse(text) {
+    const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const start = trimmed.indexOf('{');
+      const end = trimmed.lastIndexOf('}');
+      if (start === -1 || end <= start) throw new Error('Reply is not JSON');
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      } catch (innerError) {
+        throw new Error(`Reply is not valid JSON: ${innerError.message}`);
+      }
+    }
+  }
+
+  // List of problems with value against schema; empty when it is valid
+  validate(value, schema = ASSESSMENT_SCHEMA, location = '$') {
+    const errors = [];
+    const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+    if (schema.type === 'integer' ? !Number.isInteger(value) : schema.type && schema.type !== type) {
+      return [`${location} should be ${schema.type}, got ${type}`];
+    }
+    if (type === 'number' && !Number.isFinite(value)) {
+      return [`${location} should be a finite number`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${location} should be one of ${schema.enum.join(', ')}`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${location} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${location} should be <= ${schema.maximum}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${location} should be at most ${schema.maxLength} characters`);
+
+    if (type === 'array') {
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${location} should have at most ${schema.maxItems} items`);
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${location}[${index}]`)));
+      }
+    }
+
+    if (type === 'object') {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) errors.push(`${location}.${key} is required`);
+      });
+      Object.keys(value).forEach(key => {
+        if (properties[key]) {
+          errors.push(...this.validate(value[key], properties[key], `${location}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${location}.${key} is not allowed`);
+        }
+      });
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new ResponseSchema();
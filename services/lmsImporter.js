@@ -0,0 +1,208 @@
+const fileProcessor = require('../utils/fileProcessor');
+const languageRegistry = require('../utils/languageRegistry');
+const archiveExtractor = require('../utils/archiveExtractor');
+
+// Bulk-download layouts, matched against the first path segment of each archive entry.
+// `file` is the original filename when the segment is a file rather than a per-student folder.
+const LAYOUTS = {
+  // "Jane Doe_123456_assignsubmission_file_/main.py" or "Jane Doe_123456_assignsubmission_file_main.py"
+  moodle: {
+    pattern: /^(.+?)_(\d+)_assignsubmission_[a-z]+_(.*)$/,
+    parse: match => ({ studentName: match[1], studentId: match[2], file: match[3] })
+  },
+  // "doejane_late_4521_99812_main.py" (user id, then submission/attachment id)
+  canvas: {
+    pattern: /^([a-z0-9-]+?)(_late)?_(\d+)_(\d+)_(.+)$/,
+    parse: match => ({ studentName: match[1], studentId: match[3], file: match[5], late: Boolean(match[2]) })
+  },
+  // "Lab 1_jdoe_attempt_2025-10-01-14-30-00_main.py" plus a "...attempt_<time>.txt" receipt
+  blackboard: {
+    pattern: /^(.*)_([^_]+)_attempt_(\d{4}(?:-\d{2}){5})(?:_(.+)|\.txt)$/,
+    parse: match => ({
+      studentId: match[2],
+      file: match[4] || null,
+      attempt: match[3],
+      submittedAt: parseBlackboardTime(match[3])
+    })
+  }
+};
+
+class LmsImporter {
+  constructor() {
+    this.layouts = Object.keys(LAYOUTS);
+  }
+
+  // Split an LMS export (ZIP or tar, path or buffer) into per-student submissions.
+  // `skipped` lists every archive entry that did not end up in a submission, with the reason.
+  import(source, { layout = 'auto', filename } = {}) {
+    const archive = this.readArchive(source, filename);
+    const entries = this.stripCommonRoot(archive.entries);
+    const detected = layout === 'auto' ? this.detectLayout(entries) : layout;
+    const students = new Map();
+    const skipped = [...archive.skipped];
+    const receipts = new Map();
+
+    entries.forEach(entry => {
+      const student = this.identify(entry, detected);
+
+      if (!student) {
+        skipped.push({ filename: entry.path, reason: 'unrecognized-layout' });
+        return;
+      }
+
+      // Blackboard receipts carry the student's full name, not code
+      if (detected === 'blackboard' && !student.file && entry.path.endsWith('.txt')) {
+        receipts.set(student.studentId, this.readReceiptName(entry.content));
+        return;
+      }
+
+      const filename = student.file;
+      if (!this.isCodeFile(filename)) {
+        skipped.push({ filename: entry.path, reason: 'unsupported-type' });
+        return;
+      }
+
+      if (!students.has(student.studentId)) {
+        students.set(student.studentId, {
+          studentId: student.studentId,
+          studentName: student.studentName || student.studentId,
+          late: false,
+          submittedAt: null,
+          attempt: null,
+          files: []
+        });
+      }
+
+      const submission = students.get(student.studentId);
+
+      // Blackboard keeps every attempt; only the latest one counts
+      if (student.attempt && submission.attempt && student.attempt !== submission.attempt) {
+        if (student.attempt < submission.attempt) {
+          skipped.push({ filename: entry.path, reason: 'older-attempt' });
+          return;
+        }
+        new Set(submission.files.map(file => file.path))
+          .forEach(entryPath => skipped.push({ filename: entryPath, reason: 'older-attempt' }));
+        submission.files = [];
+      }
+
+      submission.attempt = student.attempt || submission.attempt;
+      submission.submittedAt = student.submittedAt || submission.submittedAt;
+      submission.late = submission.late || Boolean(student.late);
+
+      // Notebooks turn into one file per code cell
+      const expanded = fileProcessor.expandNotebooks([{
+        filename,
+        content: entry.content,
+        size: entry.content.length,
+        language: languageRegistry.detect(entry.content, filename)
+      }]);
+      expanded.skipped.forEach(file => skipped.push({ filename: entry.path, reason: file.reason }));
+      expanded.files.forEach(file => submission.files.push({ ...file, path: entry.path }));
+    });
+
+    receipts.forEach((studentName, studentId) => {
+      if (studentName && students.has(studentId)) students.get(studentId).studentName = studentName;
+    });
+
+    const submissions = Array.from(students.values())
+      .filter(submission => submission.files.length > 0)
+      .map(({ attempt, ...submission }) => ({
+        ...submission,
+        files: submission.files.map(({ path: entryPath, ...file }) => file)
+      }))
+      .sort((a, b) => a.studentId.localeCompare(b.studentId));
+
+    console.log(`Imported ${submissions.length} submissions from ${detected} export (${skipped.length} entries skipped)`);
+
+    return { layout: detected, submissions, skipped };
+  }
+
+  // Every text file in the archive as { path, content }, with nested archives unpacked in place
+  readArchive(source, filename) {
+    const extracted = archiveExtractor.extract(source, {
+      nested: true,
+      extensions: fileProcessor.supportedExtensions,
+      filename
+    });
+
+    return {
+      entries: extracted.files.map(file => ({ path: file.filename, content: file.content })),
+      skipped: extracted.skipped
+    };
+  }
+
+  // Pick the layout most entries agree on; plain per-student folders are the fallback
+  detectLayout(entries) {
+    const scores = this.layouts.map(layout => ({
+      layout,
+      matches: entries.filter(entry => LAYOUTS[layout].pattern.test(this.getTopSegment(entry))).length
+    }));
+    const best = scores.sort((a, b) => b.matches - a.matches)[0];
+
+    if (best.matches > 0 && best.matches >= entries.length / 2) {
+      return best.layout;
+    }
+
+    return 'folders';
+  }
+
+  identify(entry, layout) {
+    const segments = entry.path.split('/');
+
+    if (layout === 'folders') {
+      if (segments.length < 2) return null;
+      return { studentId: segments[0], studentName: segments[0], file: segments.slice(1).join('/') };
+    }
+
+    const match = LAYOUTS[layout].pattern.exec(segments[0]);
+    if (!match) return null;
+
+    const student = LAYOUTS[layout].parse(match);
+
+    // The matched segment was a folder or nested ZIP, the file is what follows it
+    if (segments.length > 1) {
+      student.file = segments.slice(1).join('/');
+    }
+
+    // Blackboard receipts have no file part but still identify the student
+    if (!student.file && layout !== 'blackboard') return null;
+    return student;
+  }
+
+  getTopSegment(entry) {
+    return entry.path.split('/')[0];
+  }
+
+  // Exports are often wrapped in a single folder named after the assignment
+  stripCommonRoot(entries) {
+    let stripped = entries;
+
+    while (stripped.length > 0 && stripped.every(entry => entry.path.includes('/'))) {
+      const root = this.getTopSegment(stripped[0]);
+      if (!stripped.every(entry => this.getTopSegment(entry) === root)) break;
+      if (Object.values(LAYOUTS).some(layout => layout.pattern.test(root))) break;
+
+      stripped = stripped.map(entry => ({ ...entry, path: entry.path.slice(root.length + 1) }));
+    }
+
+    return stripped;
+  }
+
+  readReceiptName(content) {
+    const match = /^Name:\s*(.+?)\s*(?:\([^)]*\))?\s*$/m.exec(content);
+    return match ? match[1] : null;
+  }
+
+  isCodeFile(filename) {
+    return Boolean(filename) && languageRegistry.isSupported(filename);
+  }
+}
+
+// "2025-10-01-14-30-00" → ISO timestamp
+function parseBlackboardTime(value) {
+  const [year, month, day, hour, minute, second] = value.split('-').map(Number);
+  return new Date(year, month - 1, day, hour, minute, second).toISOString();
+}
+
+module.exports = new LmsImporter();
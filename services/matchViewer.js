@@ -0,0 +1,89 @@
+const fingerprintService = require('./fingerprintService');
+const githubService = require('./githubService');
+const corpusService = require('./corpusService');
+const userService = require('./userService');
+
+class MatchViewer {
+  constructor() {
+    this.minRegionLines = 1;
+  }
+
+  // Align one file result with one of its matches for a side-by-side view
+  async buildComparison(fileResult, match, options = {}) {
+    const source = await this.loadSource(match, options.user);
+    if (!source) return null;
+
+    const comparison = fingerprintService.compareCode(fileResult.content, source.text, fileResult.language, {
+      excludeHashes: options.excludeHashes || null
+    });
+    const offset = source.startLine - 1;
+    const focus = match.snippetLines || null;
+
+    const regions = comparison.regions
+      .filter(region => region.lines >= this.minRegionLines)
+      .map((region, index) => ({
+        id: index,
+        file: region.a,
+        source: {
+          startLine: region.b.startLine + offset,
+          endLine: region.b.endLine + offset
+        },
+        lines: region.lines,
+        fingerprints: region.fingerprints,
+        // Regions inside the snippet that produced this match, as opposed to elsewhere in the file
+        inSnippet: Boolean(focus) && region.a.startLine <= focus.endLine && region.a.endLine >= focus.startLine
+      }));
+
+    return {
+      file: {
+        filename: fileResult.filename,
+        studentId: fileResult.studentId || null,
+        studentName: fileResult.studentName || null,
+        language: fileResult.language,
+        startLine: 1,
+        lines: fileResult.content.split('\n')
+      },
+      source: {
+        source: match.source,
+        title: match.title,
+        link: match.link,
+        startLine: source.startLine,
+        complete: source.complete,
+        lines: source.text.split('\n')
+      },
+      similarity: match.similarity,
+      risk: match.risk,
+      focus: {
+        file: focus,
+        source: match.sourceLines || null
+      },
+      regions
+    };
+  }
+
+  // Prefer the whole source file; fall back to the excerpt stored on the match.
+  // Whole corpus documents are only shown to users of the document's course
+  async loadSource(match, user = null) {
+    if (match.source === 'github' && match.owner && match.repo && match.path) {
+      const content = await githubService.getCachedFileContent(match.owner, match.repo, match.path, match.sha);
+      if (content) return { text: content, startLine: 1, complete: true };
+    }
+
+    if (match.source === 'corpus' && match.corpusDocumentId) {
+      const document = corpusService.getDocument(match.corpusDocumentId);
+      if (document && document.content && userService.canAccessCourse(user, document.courseId)) return { text: document.content, startLine: 1, complete: true };
+    }
+
+    if (match.sourceSnippet) {
+      return {
+        text: match.sourceSnippet,
+        startLine: match.sourceLines ? match.sourceLines.startLine : 1,
+        complete: false
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new MatchViewer();
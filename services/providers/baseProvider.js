@@ -0,0 +1,64 @@
+// Common shape for every match source searched by analyzeFile
+class BaseProvider {
+  constructor({
+    name,
+    label,
+    legacyOption = null,
+    capabilities = {},
+    rateLimit = null,
+    configKeys = []
+  }) {
+    this.name = name;
+    this.label = label || name;
+    // Boolean analysis option that toggled this source before providers existed
+    this.legacyOption = legacyOption;
+    this.capabilities = {
+      languages: '*',
+      network: true,
+      sourceContent: false,
+      ...capabilities
+    };
+    // { requests, interval } - at most `requests` searches per `interval` ms
+    this.rateLimit = rateLimit;
+    // [{ key, required, description }] read from the environment
+    this.configKeys = configKeys;
+  }
+
+  isConfigured() {
+    return this.configKeys
+      .filter(config => config.required)
+      .every(config => Boolean(process.env[config.key]));
+  }
+
+  supportsLanguage(language) {
+    const { languages } = this.capabilities;
+    return languages === '*' || !language || languages.includes(language);
+  }
+
+  // Return raw matches: { title, link, sourceSnippet, ...details }
+  async search(snippet, context) {
+    throw new Error(`Provider ${this.name} does not implement search`);
+  }
+
+  // Anything besides the snippet and language that changes this provider's results; it becomes
+  // part of the search cache key
+  getCacheScope(context) {
+    return null;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      label: this.label,
+      configured: this.isConfigured(),
+      capabilities: this.capabilities,
+      rateLimit: this.rateLimit,
+      configKeys: this.configKeys.map(config => ({
+        ...config,
+        present: Boolean(process.env[config.key])
+      }))
+    };
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,34 @@
+const BaseProvider = require('./baseProvider');
+const corpusService = require('../corpusService');
+
+class CorpusProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'corpus',
+      label: 'Local corpus',
+      legacyOption: 'searchCorpus',
+      capabilities: { network: false, sourceContent: true }
+    });
+  }
+
+  // options.corpus narrows the search by course, assignment, term or kind; `user` (who runs the
+  // analysis) limits it to documents of their courses
+  async search(snippet, { language, file, options = {}, excludeHashes = null, user = null }) {
+    if (!user) return [];
+
+    const results = corpusService.search(snippet, language, {
+      ...options.corpus,
+      excludeOwner: file && file.studentId,
+      excludeHashes,
+      user
+    });
+
+    return results.map(({ snippet: documentSnippet, source, ...details }) => ({
+      ...details,
+      sourceSnippet: documentSnippet,
+      matchedLines: details.regions.map(region => ({ snippet: region.a, source: region.b, lines: region.lines }))
+    }));
+  }
+}
+
+module.exports = new CorpusProvider();
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+const githubService = require('../githubService');
+const searchService = require('../searchService');
+
+class GitHubProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'github',
+      label: 'GitHub',
+      legacyOption: 'searchGitHub',
+      capabilities: { sourceContent: true },
+      // Code search allows 10 requests per minute for authenticated users
+      rateLimit: { requests: 10, interval: 60000 },
+      configKeys: [
+        { key: 'GITHUB_TOKEN', required: true, description: 'Personal access token for the code search API' }
+      ]
+    });
+    // Base code hash sets are cached per assignment, so their digests can be too
+    this.scopes = new WeakMap();
+  }
+
+  async search(snippet, { language, excludeHashes = null }) {
+    // The snippet itself is too long for a query; search for its identifiers and align afterwards
+    const query = githubService.buildCodeQuery(snippet, language);
+    if (!query) return [];
+
+    const results = await githubService.searchCode(query, language);
+    const matches = [];
+
+    // Code search only returns file locations, so fetch each hit and find the copied lines
+    for (const item of results) {
+      const content = await githubService.getCachedFileContent(item.owner, item.repo, item.path, item.sha);
+      if (!content) continue;
+
+      const alignment = searchService.alignSnippet(snippet, content, language, { excludeHashes });
+      if (!alignment) continue;
+
+      const { startLine, endLine } = alignment.sourceLines;
+      matches.push({
+        title: `${item.repository}/${item.path}`,
+        link: `${item.url}#L${startLine}-L${endLine}`,
+        sourceSnippet: alignment.sourceSnippet,
+        sourceLines: alignment.sourceLines,
+        matchedLines: alignment.matchedLines,
+        owner: item.owner,
+        repo: item.repo,
+        repository: item.repository,
+        path: item.path,
+        sha: item.sha,
+        language: item.language
+      });
+    }
+
+    return matches;
+  }
+
+  // Alignment skips the assignment's base code, so results differ between assignments
+  getCacheScope({ excludeHashes = null }) {
+    if (!excludeHashes || excludeHashes.size === 0) return null;
+
+    if (!this.scopes.has(excludeHashes)) {
+      this.scopes.set(excludeHashes, crypto.createHash('sha256')
+        .update(Array.from(excludeHashes).sort().join(','))
+        .digest('hex'));
+    }
+    return this.scopes.get(excludeHashes);
+  }
+}
+
+module.exports = new GitHubProvider();
@@ -0,0 +1,97 @@
+const githubProvider = require('./githubProvider');
+const stackOverflowProvider = require('./stackOverflowProvider');
+const webProvider = require('./webProvider');
+const corpusProvider = require('./corpusProvider');
+const searchCache = require('../searchCache');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.calls = new Map();
+  }
+
+  register(provider) {
+    if (!provider.name || typeof provider.search !== 'function') {
+      throw new Error('Providers need a name and a search method');
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  describe() {
+    return this.list().map(provider => provider.describe());
+  }
+
+  // Names in options.providers that are not registered
+  findUnknown(names) {
+    if (!Array.isArray(names)) return [];
+    return names.filter(name => !this.providers.has(name));
+  }
+
+  // Providers selected by options.providers, or by the legacy search* flags
+  resolve(options = {}, language = null) {
+    const selected = Array.isArray(options.providers)
+      ? options.providers.map(name => this.get(name)).filter(Boolean)
+      : this.list().filter(provider => !provider.legacyOption || options[provider.legacyOption] !== false);
+
+    return selected.filter(provider => {
+      if (!provider.isConfigured()) {
+        console.warn(`${provider.label} provider is not configured, skipping`);
+        return false;
+      }
+      return provider.supportsLanguage(language);
+    });
+  }
+
+  // Cached results skip the rate limit, since they never reach the provider
+  async search(provider, snippet, context = {}) {
+    const results = await searchCache.fetch(provider, snippet, context, async () => {
+      await this.throttle(provider);
+      return provider.search(snippet, context);
+    });
+    return results.map(match => this.normalize(provider, match, snippet));
+  }
+
+  // Every match carries the student's snippet and the source's own text separately
+  normalize(provider, match, snippet) {
+    return {
+      ...match,
+      source: provider.name,
+      title: match.title || provider.label,
+      link: match.link || null,
+      snippet,
+      sourceSnippet: match.sourceSnippet || null
+    };
+  }
+
+  // Reserve the next free slot in the provider's rate limit window
+  async throttle(provider) {
+    if (!provider.rateLimit) return;
+
+    const { requests, interval } = provider.rateLimit;
+    const now = Date.now();
+    const recent = (this.calls.get(provider.name) || []).filter(time => time > now - interval);
+    const startAt = recent.length >= requests ? recent[recent.length - requests] + interval : now;
+
+    recent.push(startAt);
+    this.calls.set(provider.name, recent);
+
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+}
+
+const registry = new ProviderRegistry();
+
+[githubProvider, stackOverflowProvider, webProvider, corpusProvider].forEach(provider => registry.register(provider));
+
+module.exports = registry;
@@ -0,0 +1,29 @@
+const BaseProvider = require('./baseProvider');
+const searchService = require('../searchService');
+
+class StackOverflowProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'stackoverflow',
+      label: 'Stack Overflow',
+      legacyOption: 'searchStackOverflow',
+      capabilities: { sourceContent: true },
+      // Stack Exchange throttles clients above 30 requests per second
+      rateLimit: { requests: 30, interval: 1000 },
+      configKeys: [
+        { key: 'STACKOVERFLOW_API_KEY', required: false, description: 'Raises the daily Stack Exchange quota' }
+      ]
+    });
+  }
+
+  async search(snippet, { language }) {
+    const results = await searchService.searchStackOverflow(snippet, language);
+
+    return results.map(({ snippet: answerCode, source, ...details }) => ({
+      ...details,
+      sourceSnippet: answerCode
+    }));
+  }
+}
+
+module.exports = new StackOverflowProvider();
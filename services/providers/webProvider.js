@@ -0,0 +1,28 @@
+const BaseProvider = require('./baseProvider');
+const searchService = require('../searchService');
+
+class WebProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'web',
+      label: 'Web',
+      legacyOption: 'searchWeb',
+      capabilities: { sourceContent: true },
+      rateLimit: { requests: 1, interval: 1000 },
+      configKeys: [
+        { key: 'SERPAPI_KEY', required: true, description: 'SerpAPI key for Google results' }
+      ]
+    });
+  }
+
+  async search(snippet, { language }) {
+    const results = await searchService.searchWeb(snippet, language);
+
+    return results.map(({ snippet: pageSnippet, source, ...details }) => ({
+      ...details,
+      sourceSnippet: pageSnippet
+    }));
+  }
+}
+
+module.exports = new WebProvider();
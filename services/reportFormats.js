@@ -0,0 +1,413 @@
+// Text report formats produced alongside the pdfkit report
+class ReportFormats {
+  constructor() {
+    this.schemaVersion = '1.0';
+    this.formats = {
+      pdf: { extension: 'pdf', contentType: 'application/pdf' },
+      html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+      json: { extension: 'json', contentType: 'application/json' },
+      csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+      sarif: { extension: 'sarif', contentType: 'application/sarif+json' }
+    };
+    this.riskLevels = {
+      critical: 'error',
+      high: 'error',
+      medium: 'warning',
+      low: 'note',
+      minimal: 'note'
+    };
+  }
+
+  isSupported(format) {
+    return Object.prototype.hasOwnProperty.call(this.formats, format);
+  }
+
+  getFormat(format) {
+    return this.formats[format] || null;
+  }
+
+  // Format of a stored report, taken from its extension
+  getFormatByFilename(filename) {
+    const extension = filename.substring(filename.lastIndexOf('.') + 1).toLowerCase();
+    const name = Object.keys(this.formats).find(key => this.formats[key].extension === extension);
+    return name ? { name, ...this.formats[name] } : null;
+  }
+
+  render(format, data, options = {}) {
+    switch (format) {
+      case 'html':
+        return this.renderHtml(data, options);
+      case 'json':
+        return this.renderJson(data, options);
+      case 'csv':
+        return this.renderCsv(data);
+      case 'sarif':
+        return this.renderSarif(data);
+      default:
+        throw new Error(`Unsupported text report format: ${format}`);
+    }
+  }
+
+  renderJson(data, options = {}) {
+    return JSON.stringify({
+      schemaVersion: this.schemaVersion,
+      generator: 'CodeGuard',
+      generatedAt: new Date().toISOString(),
+      reportId: options.reportId || null,
+      analysis: data
+    }, null, 2);
+  }
+
+  // One row per match; files without matches still get a row
+  renderCsv(data) {
+    const header = [
+      'analysisId', 'studentId', 'studentName', 'filename', 'language', 'plagiarismScore', 'aiGeneratedScore', 'baseCodeExcluded',
+      'matchRank', 'source', 'title', 'link', 'similarity', 'risk',
+      'fileStartLine', 'fileEndLine', 'sourceStartLine', 'sourceEndLine'
+    ];
+    const rows = [header];
+
+    data.files.forEach(file => {
+      const fileColumns = [
+        data.analysisId,
+        file.studentId || '',
+        file.studentName || '',
+        file.filename,
+        file.language,
+        this.formatScore(file.plagiarismScore),
+        this.formatScore(file.aiGeneratedScore),
+        file.baseCode ? this.formatScore(file.baseCode.excludedRatio) : ''
+      ];
+
+      if (file.matches.length === 0) {
+        rows.push([...fileColumns, '', '', '', '', '', '', '', '', '', '']);
+        return;
+      }
+
+      file.matches.forEach((match, index) => {
+        const fileLines = this.getFileLines(match);
+        const sourceLines = this.getSourceLines(match);
+        rows.push([
+          ...fileColumns,
+          index + 1,
+          match.source,
+          match.title || '',
+          match.link || '',
+          this.formatScore(match.similarity),
+          match.risk,
+          fileLines ? fileLines.startLine : '',
+          fileLines ? fileLines.endLine : '',
+          sourceLines ? sourceLines.startLine : '',
+          sourceLines ? sourceLines.endLine : ''
+        ]);
+      });
+    });
+
+    return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // SARIF 2.1.0 so matches show up next to the code in review tools
+  renderSarif(data) {
+    const rules = [
+      {
+        id: 'CG001',
+        name: 'ExternalSourceMatch',
+        shortDescription: { text: 'Code matches an external or archived source' }
+      },
+      {
+        id: 'CG002',
+        name: 'AIGeneratedCode',
+        shortDescription: { text: 'Code shows patterns of AI-generated code' }
+      },
+      {
+        id: 'CG003',
+        name: 'PeerSubmissionMatch',
+        shortDescription: { text: 'Code matches another submission in the cohort' }
+      }
+    ];
+    const results = [];
+
+    data.files.forEach(file => {
+      file.matches.forEach(match => {
+        const fileLines = this.getFileLines(match) || { startLine: 1, endLine: 1 };
+        const result = {
+          ruleId: 'CG001',
+          level: this.riskLevels[match.risk] || 'note',
+          message: {
+            text: `${(match.similarity * 100).toFixed(1)}% similar to ${match.title || match.source} (${match.source})`
+          },
+          locations: [this.sarifLocation(this.getFilePath(file), fileLines)],
+          properties: {
+            ...this.getStudent(file),
+            source: match.source,
+            similarity: match.similarity,
+            risk: match.risk
+          }
+        };
+
+        if (match.link) {
+          result.relatedLocations = [{
+            id: 1,
+            physicalLocation: {
+              artifactLocation: { uri: match.link },
+              ...(this.getSourceLines(match) ? { region: this.getSourceLines(match) } : {})
+            },
+            message: { text: match.title || match.source }
+          }];
+        }
+
+        results.push(result);
+      });
+
+      if (file.aiGeneratedScore > 0.5) {
+        results.push({
+          ruleId: 'CG002',
+          level: file.aiGeneratedScore >= 0.8 ? 'error' : 'warning',
+          message: { text: `AI-generated score ${(file.aiGeneratedScore * 100).toFixed(1)}%` },
+          locations: [this.sarifLocation(this.getFilePath(file), { startLine: 1 })],
+          properties: { ...this.getStudent(file), aiGeneratedScore: file.aiGeneratedScore }
+        });
+      }
+    });
+
+    if (data.peerComparison) {
+      data.peerComparison.pairs.forEach(pair => {
+        pair.matches.forEach(match => {
+          results.push({
+            ruleId: 'CG003',
+            level: this.riskLevels[pair.risk] || 'note',
+            message: {
+              text: `${match.lines} lines shared between ${pair.a} and ${pair.b} (${(pair.similarity * 100).toFixed(1)}% overall)`
+            },
+            locations: [this.sarifLocation(match.fileA, match.a)],
+            relatedLocations: [{ id: 1, ...this.sarifLocation(match.fileB, match.b) }],
+            properties: { submissions: [pair.a, pair.b], similarity: pair.similarity }
+          });
+        });
+      });
+    }
+
+    return JSON.stringify({
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'CodeGuard',
+            informationUri: 'https://github.com/GS-Tejas-hub/CodeGaurd---Academic-Integrity-Project',
+            rules
+          }
+        },
+        automationDetails: { id: data.analysisId },
+        results
+      }]
+    }, null, 2);
+  }
+
+  sarifLocation(filename, lines) {
+    const region = { startLine: lines.startLine };
+    if (lines.endLine) region.endLine = lines.endLine;
+
+    return {
+      physicalLocation: {
+        artifactLocation: { uri: filename },
+        region
+      }
+    };
+  }
+
+  // Self-contained page: inline styles, no scripts or external assets
+  renderHtml(data, options = {}) {
+    const title = options.customTitle || 'CodeGuard Analysis Report';
+    const summary = data.summary;
+
+    const files = data.files.map((file, index) => `
+      <section class="file">
+        <h2 id="file-${index + 1}">${index + 1}. ${this.escapeHtml(this.describeFile(file))}</h2>
+        <p class="meta">Language: ${this.escapeHtml(file.language)} |
+          Plagiarism: <strong style="color: ${this.getScoreColor(file.plagiarismScore)}">${this.formatPercent(file.plagiarismScore)}</strong> |
+          AI-Generated: <strong style="color: ${this.getScoreColor(file.aiGeneratedScore)}">${this.formatPercent(file.aiGeneratedScore)}</strong>
+          ${file.baseCode ? ` | Base code excluded: ${this.formatPercent(file.baseCode.excludedRatio)}` : ''}
+        </p>
+        ${file.matches.length === 0 ? '<p class="clean">No plagiarism matches found.</p>' : `
+          <table>
+            <thead><tr><th>#</th><th>Source</th><th>Title</th><th>Similarity</th><th>Risk</th><th>Lines</th></tr></thead>
+            <tbody>
+              ${file.matches.map((match, matchIndex) => {
+                const fileLines = this.getFileLines(match);
+                return `<tr>
+                  <td>${matchIndex + 1}</td>
+                  <td>${this.escapeHtml(match.source)}</td>
+                  <td>${match.link ? `<a href="${this.escapeHtml(match.link)}">${this.escapeHtml(match.title || match.link)}</a>` : this.escapeHtml(match.title || '')}</td>
+                  <td>${this.formatPercent(match.similarity)}</td>
+                  <td class="risk-${match.risk}">${match.risk}</td>
+                  <td>${fileLines ? `${fileLines.startLine}-${fileLines.endLine}` : ''}</td>
+                </tr>`;
+              }).join('')}
+            </tbody>
+          </table>
+          ${options.includeCodeSnippets === false ? '' : file.matches
+            .filter(match => ['critical', 'high'].includes(match.risk) && match.sourceSnippet)
+            .slice(0, 3)
+            .map(match => this.renderHtmlEvidence(file, match))
+            .join('')}
+        `}
+      </section>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this.escapeHtml(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #2c3e50; max-width: 1100px; margin: 40px auto; padding: 0 20px; }
+  h1 { text-align: center; margin-bottom: 5px; }
+  .subtitle, .meta { color: #7f8c8d; }
+  .subtitle { text-align: center; }
+  .stats { display: flex; gap: 20px; margin: 30px 0; }
+  .stat { flex: 1; background: #f8f9fa; border-radius: 10px; padding: 15px; text-align: center; }
+  .stat strong { display: block; font-size: 1.6rem; }
+  .file { border-left: 4px solid #667eea; padding-left: 15px; margin-bottom: 30px; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border-bottom: 1px solid #e9ecef; padding: 6px 8px; text-align: left; }
+  .clean { color: #27ae60; }
+  .risk-critical { color: #e74c3c; font-weight: bold; }
+  .risk-high { color: #e67e22; font-weight: bold; }
+  .risk-medium { color: #f39c12; }
+  .evidence { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 15px 0; }
+  .evidence h4 { margin: 0 0 5px; font-size: 0.85rem; color: #7f8c8d; }
+  pre { background: #f8f9fa; padding: 10px; overflow-x: auto; font-size: 0.8rem; margin: 0; }
+  pre .hl { background: #fde2e2; display: block; }
+  pre .ln { color: #adb5bd; display: inline-block; width: 3em; text-align: right; margin-right: 1em; user-select: none; }
+  footer { color: #95a5a6; font-size: 0.8rem; text-align: center; margin-top: 40px; }
+</style>
+</head>
+<body>
+<h1>${this.escapeHtml(title)}</h1>
+<p class="subtitle">Academic Plagiarism Detection Report</p>
+<p class="meta">Analysis ID: ${this.escapeHtml(data.analysisId)} | Generated: ${new Date(data.timestamp).toLocaleString()} | Total Files: ${data.totalFiles}</p>
+<div class="stats">
+  <div class="stat"><strong style="color: ${this.getScoreColor(summary.plagiarismScore)}">${this.formatPercent(summary.plagiarismScore)}</strong>Plagiarism Score</div>
+  <div class="stat"><strong style="color: ${this.getScoreColor(summary.aiGeneratedScore)}">${this.formatPercent(summary.aiGeneratedScore)}</strong>AI-Generated Score</div>
+  <div class="stat"><strong>${summary.totalMatches}</strong>Total Matches</div>
+  <div class="stat"><strong>${summary.highRiskFiles.length}</strong>High Risk Files</div>
+</div>
+<nav>
+  <h3>Files</h3>
+  <ol>${data.files.map((file, index) => `<li><a href="#file-${index + 1}">${this.escapeHtml(this.describeFile(file))}</a></li>`).join('')}</ol>
+</nav>
+${files}
+<footer>Report generated by CodeGuard - Academic Plagiarism Detection System. Please review all findings manually before taking any action.</footer>
+</body>
+</html>
+`;
+  }
+
+  renderHtmlEvidence(file, match) {
+    const fileLines = this.getFileLines(match) || match.snippetLines;
+    const highlighted = (match.matchedLines || []).filter(region => region.file);
+    const sourceStart = match.sourceLines ? match.sourceLines.startLine : 1;
+
+    const studentCode = file.content && match.snippetLines
+      ? file.content.split('\n').slice(match.snippetLines.startLine - 1, match.snippetLines.endLine)
+      : match.snippet.split('\n');
+    const studentStart = match.snippetLines ? match.snippetLines.startLine : 1;
+
+    const renderLines = (lines, startLine, isHighlighted) => lines.map((line, index) => {
+      const lineNumber = startLine + index;
+      const content = `<span class="ln">${lineNumber}</span>${this.escapeHtml(line)}`;
+      return isHighlighted(lineNumber) ? `<span class="hl">${content}</span>` : `${content}\n`;
+    }).join('');
+
+    return `
+      <div class="evidence">
+        <div>
+          <h4>Submission${fileLines ? ` (lines ${fileLines.startLine}-${fileLines.endLine})` : ''}</h4>
+          <pre>${renderLines(studentCode, studentStart, lineNumber =>
+            highlighted.some(region => lineNumber >= region.file.startLine && lineNumber <= region.file.endLine))}</pre>
+        </div>
+        <div>
+          <h4>${this.escapeHtml(match.title || match.source)} (${this.formatPercent(match.similarity)} similar)</h4>
+          <pre>${renderLines(match.sourceSnippet.split('\n'), sourceStart, () => false)}</pre>
+        </div>
+      </div>
+    `;
+  }
+
+  // "Student name (id) - main.py"; submissions of an assignment often share filenames
+  describeFile(file) {
+    if (!file.studentId && !file.studentName) return file.filename;
+
+    const student = file.studentName && file.studentId && file.studentName !== file.studentId
+      ? `${file.studentName} (${file.studentId})`
+      : file.studentName || file.studentId;
+    return `${student} - ${file.filename}`;
+  }
+
+  // SARIF artifact path, kept apart per student
+  getFilePath(file) {
+    return file.studentId ? `${file.studentId}/${file.filename}` : file.filename;
+  }
+
+  getStudent(file) {
+    return file.studentId ? { studentId: file.studentId, studentName: file.studentName || null } : {};
+  }
+
+  // Span of the student's file covered by a match
+  getFileLines(match) {
+    const regions = (match.matchedLines || []).filter(region => region.file);
+    if (regions.length > 0) {
+      return {
+        startLine: Math.min(...regions.map(region => region.file.startLine)),
+        endLine: Math.max(...regions.map(region => region.file.endLine))
+      };
+    }
+    return match.snippetLines || null;
+  }
+
+  getSourceLines(match) {
+    if (match.sourceLines) return match.sourceLines;
+
+    const regions = (match.matchedLines || []).filter(region => region.source);
+    if (regions.length === 0) return null;
+    return {
+      startLine: Math.min(...regions.map(region => region.source.startLine)),
+      endLine: Math.max(...regions.map(region => region.source.endLine))
+    };
+  }
+
+  getScoreColor(score) {
+    if (score >= 0.8) return '#e74c3c';
+    if (score >= 0.6) return '#e67e22';
+    if (score >= 0.4) return '#f39c12';
+    if (score >= 0.2) return '#f1c40f';
+    return '#27ae60';
+  }
+
+  formatScore(score) {
+    return typeof score === 'number' ? score.toFixed(4) : '';
+  }
+
+  formatPercent(score) {
+    return `${((score || 0) * 100).toFixed(1)}%`;
+  }
+
+  escapeCsv(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Titles come from the web; keep spreadsheets from evaluating them as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new ReportFormats();
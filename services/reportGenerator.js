@@ -1,6 +1,9 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const matchViewer = require('./matchViewer');
+const baseCodeService = require('./baseCodeService');
+const reportFormats = require('./reportFormats');
 
 class ReportGenerator {
   constructor() {
@@ -18,6 +21,12 @@ class ReportGenerator {
         // Continue without creating directory - will handle in generateReport
       }
     }
+
+    // Side-by-side evidence is printed for these matches
+    this.evidenceRisks = ['critical', 'high'];
+    this.maxEvidencePerFile = 3;
+    this.maxEvidenceLines = 40;
+    this.regionColors = ['#fde2e2', '#fff3cd', '#d4edda', '#d1ecf1', '#e2d9f3', '#fce4ec'];
   }
 
   async generateReport(analysisData, options = {}) {
@@ -26,14 +35,20 @@ class ReportGenerator {
         includeCodeSnippets = true,
         includeAIAnalysis = true,
         includeSourceDetails = true,
-        customTitle = 'CodeGuard Analysis Report'
+        customTitle = 'CodeGuard Analysis Report',
+        format = 'pdf'
       } = options;
 
       const reportId = generateReportId();
-      const filename = `report_${reportId}.pdf`;
       
       // Check if we're in a serverless environment
       const isServerless = process.env.NODE_ENV === 'production' && process.env.VERCEL;
+
+      if (format !== 'pdf') {
+        return this.generateTextReport(analysisData, { ...options, format, reportId, isServerless });
+      }
+
+      const filename = `report_${reportId}.pdf`;
       
       let filepath;
       let stream;
@@ -48,30 +63,41 @@ class ReportGenerator {
         stream = fs.createWriteStream(filepath);
       }
 
+      // Aligned source excerpts are loaded up front because drawing is synchronous
+      const evidence = includeCodeSnippets ? await this.loadEvidence(analysisData) : new Map();
+
+      // Buffer pages so the table of contents and page numbers can be filled in last
       const doc = new PDFDocument({
         size: 'A4',
-        margin: 50
+        margin: 50,
+        bufferPages: true
       });
 
       if (stream) {
         doc.pipe(stream);
       }
 
+      const toc = [];
+
       // Generate report content
       this.generateHeader(doc, customTitle, analysisData);
-      this.generateSummary(doc, analysisData);
+      const tocPages = this.reserveTableOfContents(doc, analysisData);
+
+      this.generateSummary(doc, analysisData, toc);
       
       if (includeAIAnalysis) {
-        this.generateAIAnalysis(doc, analysisData);
+        this.generateAIAnalysis(doc, analysisData, toc);
       }
       
-      this.generateFileAnalysis(doc, analysisData, includeCodeSnippets);
+      this.generateFileAnalysis(doc, analysisData, includeCodeSnippets, toc, evidence);
       
       if (includeSourceDetails) {
-        this.generateSourceDetails(doc, analysisData);
+        this.generateSourceDetails(doc, analysisData, toc);
       }
       
       this.generateFooter(doc, analysisData);
+      this.generateTableOfContents(doc, toc, tocPages);
+      this.addPageNumbers(doc, analysisData);
 
       doc.end();
 
@@ -86,6 +112,8 @@ class ReportGenerator {
               filename,
               filepath: null,
               reportId,
+              format: 'pdf',
+              contentType: reportFormats.getFormat('pdf').contentType,
               size: buffer.length,
               buffer: buffer
             });
@@ -100,6 +128,8 @@ class ReportGenerator {
               filename,
               filepath,
               reportId,
+              format: 'pdf',
+              contentType: reportFormats.getFormat('pdf').contentType,
               size: fs.statSync(filepath).size
             });
           });
@@ -114,6 +144,22 @@ class ReportGenerator {
     }
   }
 
+  // HTML, JSON, CSV and SARIF reports are plain strings written in one go
+  generateTextReport(analysisData, options) {
+    const { format, reportId, isServerless } = options;
+    const { extension, contentType } = reportFormats.getFormat(format);
+    const filename = `report_${reportId}.${extension}`;
+    const buffer = Buffer.from(reportFormats.render(format, analysisData, options), 'utf8');
+
+    if (isServerless) {
+      return { filename, filepath: null, reportId, format, contentType, size: buffer.length, buffer };
+    }
+
+    const filepath = path.join(this.reportDir, filename);
+    fs.writeFileSync(filepath, buffer);
+    return { filename, filepath, reportId, format, contentType, size: buffer.length };
+  }
+
   generateHeader(doc, title, data) {
     // Title
     doc.fontSize(24)
@@ -151,7 +197,93 @@ class ReportGenerator {
     this.addSeparator(doc);
   }
 
-  generateSummary(doc, data) {
+  // Keep the first page for the title and contents; more pages if there are many files
+  reserveTableOfContents(doc, data) {
+    const entries = 4 + data.files.length;
+    const firstPageY = doc.y;
+    const firstPageEntries = Math.floor((this.getPageBottom(doc) - firstPageY - 40) / 16);
+    const extraPages = Math.max(0, Math.ceil((entries - firstPageEntries) / 45));
+
+    const pages = [{ index: 0, y: firstPageY }];
+    for (let i = 0; i < extraPages; i++) {
+      doc.addPage();
+      pages.push({ index: i + 1, y: doc.page.margins.top });
+    }
+
+    doc.addPage();
+    return pages;
+  }
+
+  generateTableOfContents(doc, toc, tocPages) {
+    let pageIndex = 0;
+    doc.switchToPage(tocPages[0].index);
+    let y = tocPages[0].y;
+
+    doc.fontSize(16)
+       .font('Helvetica-Bold')
+       .fillColor('#2c3e50')
+       .text('Table of Contents', 50, y);
+    y = doc.y + 10;
+
+    toc.forEach(entry => {
+      if (y + 16 > this.getPageBottom(doc) && pageIndex < tocPages.length - 1) {
+        pageIndex++;
+        doc.switchToPage(tocPages[pageIndex].index);
+        y = tocPages[pageIndex].y;
+      }
+
+      const indent = 50 + entry.level * 15;
+      doc.fontSize(entry.level === 0 ? 11 : 10)
+         .font(entry.level === 0 ? 'Helvetica-Bold' : 'Helvetica')
+         .fillColor('#34495e')
+         .text(entry.title, indent, y, { width: 420 - indent, lineBreak: false, ellipsis: true, goTo: entry.destination });
+
+      doc.text(String(entry.page + 1), 470, y, { width: 75, align: 'right', lineBreak: false, goTo: entry.destination });
+      y += 16;
+    });
+  }
+
+  // Record a heading for the table of contents and make it a link target
+  addSection(doc, toc, title, level = 0) {
+    const range = doc.bufferedPageRange();
+    const destination = `section_${toc.length}`;
+
+    doc.addNamedDestination(destination, 'XYZ', null, doc.y, null);
+    toc.push({ title, level, destination, page: range.start + range.count - 1 });
+  }
+
+  addPageNumbers(doc, data) {
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+
+      // Writing inside the bottom margin would otherwise start a new page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      doc.fontSize(8)
+         .font('Helvetica')
+         .fillColor('#95a5a6')
+         .text(`CodeGuard report ${data.analysisId}`, 50, doc.page.height - 35, { width: 300, lineBreak: false });
+      doc.text(`Page ${i + 1} of ${range.count}`, 395, doc.page.height - 35, { width: 150, align: 'right', lineBreak: false });
+
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  ensureSpace(doc, height) {
+    if (doc.y + height > this.getPageBottom(doc)) {
+      doc.addPage();
+    }
+  }
+
+  getPageBottom(doc) {
+    return doc.page.height - doc.page.margins.bottom;
+  }
+
+  generateSummary(doc, data, toc) {
+    this.addSection(doc, toc, 'Executive Summary');
     doc.fontSize(16)
        .font('Helvetica-Bold')
        .fillColor('#2c3e50')
@@ -202,7 +334,7 @@ class ReportGenerator {
          .fillColor('#34495e');
 
       summary.highRiskFiles.forEach(file => {
-        doc.text(`• ${file.filename} (Score: ${(file.score * 100).toFixed(1)}%)`);
+        doc.text(`• ${reportFormats.describeFile(file)} (Score: ${(file.score * 100).toFixed(1)}%)`);
       });
     }
 
@@ -210,7 +342,9 @@ class ReportGenerator {
     this.addSeparator(doc);
   }
 
-  generateAIAnalysis(doc, data) {
+  generateAIAnalysis(doc, data, toc) {
+    this.ensureSpace(doc, 80);
+    this.addSection(doc, toc, 'AI-Generated Code Analysis');
     doc.fontSize(16)
        .font('Helvetica-Bold')
        .fillColor('#2c3e50')
@@ -218,7 +352,18 @@ class ReportGenerator {
 
     doc.moveDown(0.5);
 
-    const aiFiles = data.files.filter(file => file.aiGeneratedScore > 0.5);
+    const uncalibrated = data.files.some(file => file.aiAnalysis && file.aiAnalysis.analysis &&
+      file.aiAnalysis.analysis.model && file.aiAnalysis.analysis.model.calibrated === false);
+    if (uncalibrated) {
+      doc.fontSize(9)
+         .font('Helvetica-Oblique')
+         .fillColor('#7f8c8d')
+         .text('AI scores come from the uncalibrated seed model: they rank files for review and are not probabilities.');
+      doc.moveDown(0.5);
+    }
+
+    // A file also counts when one of its blocks looks AI-written, even if the file as a whole does not
+    const aiFiles = data.files.filter(file => file.aiGeneratedScore > 0.5 || this.getSuspiciousBlocks(file).length > 0);
     
     if (aiFiles.length === 0) {
       doc.fontSize(11)
@@ -235,7 +380,7 @@ class ReportGenerator {
         doc.fontSize(10)
            .font('Helvetica')
            .fillColor('#34495e')
-           .text(`• ${file.filename} (AI Score: ${(file.aiGeneratedScore * 100).toFixed(1)}%)`);
+           .text(`• ${reportFormats.describeFile(file)} (AI Score: ${(file.aiGeneratedScore * 100).toFixed(1)}%)`);
 
         if (file.aiAnalysis && file.aiAnalysis.patterns) {
           file.aiAnalysis.patterns.slice(0, 3).forEach(pattern => {
@@ -245,6 +390,20 @@ class ReportGenerator {
                .text(`  - ${pattern.description}`);
           });
         }
+
+        const blocks = this.getSuspiciousBlocks(file).slice(0, 3);
+        if (blocks.length > 0) {
+          doc.fontSize(9)
+             .font('Helvetica-Bold')
+             .fillColor('#34495e')
+             .text('  Most suspicious blocks:');
+          blocks.forEach(block => {
+            doc.fontSize(9)
+               .font('Helvetica')
+               .fillColor('#7f8c8d')
+               .text(`  - Lines ${block.startLine}-${block.endLine} ${block.name} (${block.type}): ${(block.probability * 100).toFixed(1)}%`);
+          });
+        }
       });
     }
 
@@ -252,7 +411,15 @@ class ReportGenerator {
     this.addSeparator(doc);
   }
 
-  generateFileAnalysis(doc, data, includeCodeSnippets) {
+  // Blocks scored above 0.5 by the AI detector, most likely first
+  getSuspiciousBlocks(file) {
+    const blocks = (file.aiAnalysis && file.aiAnalysis.blocks) || [];
+    return blocks.filter(block => block.probability > 0.5).sort((a, b) => b.probability - a.probability);
+  }
+
+  generateFileAnalysis(doc, data, includeCodeSnippets, toc, evidence) {
+    this.ensureSpace(doc, 80);
+    this.addSection(doc, toc, 'Detailed File Analysis');
     doc.fontSize(16)
        .font('Helvetica-Bold')
        .fillColor('#2c3e50')
@@ -262,10 +429,12 @@ class ReportGenerator {
 
     data.files.forEach((file, index) => {
       // File header
+      this.ensureSpace(doc, 60);
+      this.addSection(doc, toc, `${index + 1}. ${reportFormats.describeFile(file)}`, 1);
       doc.fontSize(12)
          .font('Helvetica-Bold')
          .fillColor('#34495e')
-         .text(`${index + 1}. ${file.filename}`);
+         .text(`${index + 1}. ${reportFormats.describeFile(file)}`);
 
       doc.fontSize(10)
          .font('Helvetica')
@@ -286,6 +455,13 @@ class ReportGenerator {
          .fillColor(aiColor)
          .text(`AI Score: ${(file.aiGeneratedScore * 100).toFixed(1)}%`);
 
+      if (file.baseCode) {
+        doc.fontSize(10)
+           .font('Helvetica')
+           .fillColor('#7f8c8d')
+           .text(`Base Code Excluded: ${(file.baseCode.excludedRatio * 100).toFixed(1)}% (assignment ${file.baseCode.assignmentId})`);
+      }
+
       // Matches
       if (file.matches.length > 0) {
         doc.fontSize(10)
@@ -325,26 +501,12 @@ class ReportGenerator {
            .text('✅ No plagiarism matches found.');
       }
 
-      // Code snippets (if requested and matches exist)
-      if (includeCodeSnippets && file.matches.length > 0) {
-        doc.moveDown(0.5);
-        doc.fontSize(9)
-           .font('Helvetica-Bold')
-           .fillColor('#34495e')
-           .text('Code Snippets:');
-
-        file.matches.slice(0, 2).forEach((match, matchIndex) => {
-          if (match.snippet && match.snippet.length > 0) {
-            doc.fontSize(8)
-               .font('Courier')
-               .fillColor('#2c3e50')
-               .text(`Match ${matchIndex + 1} (${(match.similarity * 100).toFixed(1)}% similar):`);
-
-            const snippet = match.snippet.substring(0, 200) + (match.snippet.length > 200 ? '...' : '');
-            doc.fontSize(7)
-               .font('Courier')
-               .fillColor('#7f8c8d')
-               .text(snippet, { indent: 10 });
+      // Submitted code next to the matching source for high-risk matches
+      if (includeCodeSnippets) {
+        file.matches.forEach((match, matchIndex) => {
+          const comparison = evidence.get(`${index}:${matchIndex}`);
+          if (comparison) {
+            this.generateMatchEvidence(doc, match, comparison, matchIndex + 1);
           }
         });
       }
@@ -353,7 +515,136 @@ class ReportGenerator {
     });
   }
 
-  generateSourceDetails(doc, data) {
+  async loadEvidence(data) {
+    const evidence = new Map();
+
+    for (let fileIndex = 0; fileIndex < data.files.length; fileIndex++) {
+      const file = data.files[fileIndex];
+      if (!file.content) continue;
+
+      const excludeHashes = file.baseCode ? baseCodeService.getExcludedHashes(file.baseCode.assignmentId) : null;
+      const candidates = file.matches
+        .map((match, matchIndex) => ({ match, matchIndex }))
+        .filter(({ match }) => this.evidenceRisks.includes(match.risk))
+        .slice(0, this.maxEvidencePerFile);
+
+      for (const { match, matchIndex } of candidates) {
+        try {
+          const comparison = await matchViewer.buildComparison(file, match, { excludeHashes });
+          if (comparison && comparison.regions.length > 0) {
+            evidence.set(`${fileIndex}:${matchIndex}`, comparison);
+          }
+        } catch (error) {
+          console.warn(`Could not load evidence for ${file.filename}:`, error.message);
+        }
+      }
+    }
+
+    return evidence;
+  }
+
+  // Two columns of numbered code lines with the shared regions shaded
+  generateMatchEvidence(doc, match, comparison, matchNumber) {
+    const focusRegions = comparison.regions.filter(region => region.inSnippet);
+    const regions = focusRegions.length > 0 ? focusRegions : comparison.regions;
+
+    const fileRange = this.getEvidenceRange(comparison.file, comparison.focus.file || this.spanRegions(regions, 'file'));
+    const sourceRange = this.getEvidenceRange(comparison.source, this.spanRegions(regions, 'source'));
+
+    const columnWidth = 240;
+    const columns = [
+      { x: 50, view: comparison.file, range: fileRange, side: 'file', title: `Submission: ${reportFormats.describeFile(comparison.file)}` },
+      { x: 305, view: comparison.source, range: sourceRange, side: 'source', title: `Source: ${match.title || match.source}` }
+    ];
+    const rowHeight = 8.5;
+    const rows = Math.max(fileRange.endLine - fileRange.startLine, sourceRange.endLine - sourceRange.startLine) + 1;
+
+    doc.moveDown(0.5);
+    this.ensureSpace(doc, 60);
+    doc.fontSize(9)
+       .font('Helvetica-Bold')
+       .fillColor('#34495e')
+       .text(`Evidence for match ${matchNumber} (${(match.similarity * 100).toFixed(1)}% similar, ${match.risk} risk)`, 50);
+
+    const drawHeaders = () => {
+      const y = doc.y + 2;
+      columns.forEach(column => {
+        doc.fontSize(7)
+           .font('Helvetica-Bold')
+           .fillColor('#7f8c8d')
+           .text(column.title, column.x, y, { width: columnWidth, lineBreak: false, ellipsis: true });
+      });
+      doc.y = y + 10;
+    };
+
+    drawHeaders();
+
+    for (let row = 0; row < rows; row++) {
+      if (doc.y + rowHeight > this.getPageBottom(doc)) {
+        doc.addPage();
+        drawHeaders();
+      }
+
+      const y = doc.y;
+      columns.forEach(column => {
+        const lineNumber = column.range.startLine + row;
+        if (lineNumber > column.range.endLine) return;
+
+        const region = comparison.regions.find(r => lineNumber >= r[column.side].startLine && lineNumber <= r[column.side].endLine);
+        if (region) {
+          doc.rect(column.x, y - 1, columnWidth, rowHeight)
+             .fill(this.regionColors[region.id % this.regionColors.length]);
+        }
+
+        const text = (column.view.lines[lineNumber - column.view.startLine] || '').replace(/\t/g, '  ');
+        doc.fontSize(6.5)
+           .font('Courier')
+           .fillColor('#95a5a6')
+           .text(String(lineNumber).padStart(4), column.x + 2, y, { width: 20, lineBreak: false });
+        doc.fillColor('#2c3e50')
+           .text(this.truncateLine(text, 56), column.x + 22, y, { width: columnWidth - 24, lineBreak: false });
+      });
+
+      doc.y = y + rowHeight;
+    }
+
+    const hidden = columns.filter(column => column.range.truncated > 0);
+    if (hidden.length > 0) {
+      doc.fontSize(7)
+         .font('Helvetica-Oblique')
+         .fillColor('#7f8c8d')
+         .text(hidden.map(column => `${column.range.truncated} more ${column.side} lines not shown`).join(' | '), 50);
+    }
+
+    doc.x = 50;
+    doc.moveDown(0.5);
+  }
+
+  // Lines to print for one side: the matched span with a little context, capped in length
+  getEvidenceRange(view, span) {
+    const firstLine = view.startLine;
+    const lastLine = view.startLine + view.lines.length - 1;
+    const startLine = Math.max(firstLine, span.startLine - 2);
+    const wantedEnd = Math.min(lastLine, span.endLine + 2);
+    const endLine = Math.min(wantedEnd, startLine + this.maxEvidenceLines - 1);
+
+    return { startLine, endLine, truncated: wantedEnd - endLine };
+  }
+
+  spanRegions(regions, side) {
+    return {
+      startLine: Math.min(...regions.map(region => region[side].startLine)),
+      endLine: Math.max(...regions.map(region => region[side].endLine))
+    };
+  }
+
+  truncateLine(text, maxLength) {
+    return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+  }
+
+  generateSourceDetails(doc, data, toc) {
+    this.ensureSpace(doc, 80);
+    this.addSection(doc, toc, 'Source Analysis');
     doc.fontSize(16)
        .font('Helvetica-Bold')
        .fillColor('#2c3e50')
@@ -362,7 +653,7 @@ class ReportGenerator {
     doc.moveDown(0.5);
 
     const sources = data.sources;
-    const sourceTypes = ['github', 'stackoverflow', 'web'];
+    const sourceTypes = Object.keys(sources || {});
 
     sourceTypes.forEach(sourceType => {
       if (sources[sourceType] && sources[sourceType].length > 0) {
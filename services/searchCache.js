@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const EMPTY_METRICS = () => ({ hits: 0, misses: 0, coalesced: 0, errors: 0 });
+
+// Search results from external providers keyed by snippet content, so re-analyzing an assignment
+// or the same boilerplate in many submissions does not spend API quota again.
+// Entries live in memory and as JSON files under DATA_DIR/search-cache until they expire.
+class SearchCache {
+  constructor() {
+    this.cacheDir = path.join(process.env.DATA_DIR || './data', 'search-cache');
+    this.ttlHours = parseFloat(process.env.SEARCH_CACHE_TTL_HOURS || '24');
+    this.maxEntries = parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES || '1000');
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.metrics = new Map();
+    // Keys with a file on disk, listed once so describe() never has to read the directory
+    this.diskKeys = null;
+    this.persistent = false;
+
+    // Vercel serverless functions have read-only file system, cache in memory only there
+    if (this.isEnabled() && (process.env.NODE_ENV !== 'production' || !process.env.VERCEL)) {
+      try {
+        if (!fs.existsSync(this.cacheDir)) {
+          fs.mkdirSync(this.cacheDir, { recursive: true });
+        }
+        this.persistent = true;
+      } catch (error) {
+        console.warn('Could not create search cache directory:', error.message);
+      }
+    }
+  }
+
+  // SEARCH_CACHE_TTL_HOURS=0 turns caching off
+  isEnabled() {
+    return this.ttlHours > 0;
+  }
+
+  // Only network providers are cached; the local corpus changes with every submission
+  isCacheable(provider) {
+    return this.isEnabled() && provider.capabilities.network;
+  }
+
+  // Return cached matches for the snippet, or run search() once and remember what it found.
+  // Concurrent lookups of the same key share one request; failed searches are not cached.
+  async fetch(provider, snippet, context, search) {
+    if (!this.isCacheable(provider)) return search();
+
+    const key = this.getKey(provider, snippet, context);
+    const cached = this.read(key);
+    if (cached) {
+      this.record(provider.name, 'hits');
+      return cached.matches;
+    }
+
+    if (this.inFlight.has(key)) {
+      this.record(provider.name, 'coalesced');
+      return this.inFlight.get(key);
+    }
+
+    this.record(provider.name, 'misses');
+    const request = search()
+      .then(matches => {
+        this.write(key, provider, context.language, matches);
+        return matches;
+      })
+      .catch(error => {
+        this.record(provider.name, 'errors');
+        throw error;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  // Provider, language, anything else the provider says shapes its results, and the snippet
+  // with line endings, trailing whitespace and common indentation normalized away
+  getKey(provider, snippet, context = {}) {
+    const scope = provider.getCacheScope(context);
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([provider.name, context.language || '', scope || '', this.normalizeSnippet(snippet)]))
+      .digest('hex');
+  }
+
+  // Line structure is kept because matches carry line numbers relative to the snippet
+  normalizeSnippet(snippet) {
+    const lines = snippet.replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/\s+$/, ''));
+    const indents = lines.filter(line => line).map(line => line.match(/^\s*/)[0].length);
+    const margin = indents.length > 0 ? Math.min(...indents) : 0;
+    return lines.map(line => line.slice(margin)).join('\n').trim();
+  }
+
+  read(key) {
+    let entry = this.entries.get(key);
+
+    if (!entry && this.persistent) {
+      const filepath = this.getEntryPath(key);
+      if (fs.existsSync(filepath)) {
+        try {
+          entry = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+          this.remember(key, entry);
+        } catch (error) {
+          console.warn(`Could not read cached search ${key}:`, error.message);
+          return null;
+        }
+      }
+    }
+
+    if (!entry) return null;
+
+    if (new Date(entry.expiresAt) < new Date()) {
+      this.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  write(key, provider, language, matches) {
+    const now = new Date();
+    const entry = {
+      key,
+      provider: provider.name,
+      language: language || null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlHours * 60 * 60 * 1000).toISOString(),
+      matches
+    };
+
+    this.remember(key, entry);
+
+    if (this.persistent) {
+      try {
+        fs.writeFileSync(this.getEntryPath(key), JSON.stringify(entry));
+        this.getDiskKeys().add(key);
+      } catch (error) {
+        console.warn('Could not persist search results:', error.message);
+      }
+    }
+  }
+
+  remember(key, entry) {
+    // Drop the oldest entry once the in-memory cache is full; the file stays on disk
+    if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, entry);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+
+    if (this.persistent) {
+      const filepath = this.getEntryPath(key);
+      if (fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+      }
+      this.getDiskKeys().delete(key);
+    }
+  }
+
+  // Remove every entry, optionally only one provider's
+  clear(providerName = null) {
+    let removed = 0;
+
+    this.entries.forEach((entry, key) => {
+      if (!providerName || entry.provider === providerName) {
+        this.entries.delete(key);
+        if (!this.persistent) removed++;
+      }
+    });
+
+    if (this.persistent) {
+      this.listEntryFiles().forEach(({ filepath, entry }) => {
+        if (!providerName || !entry || entry.provider === providerName) {
+          this.removeEntryFile(filepath);
+          removed++;
+        }
+      });
+    }
+
+    return removed;
+  }
+
+  cleanupExpired() {
+    const now = new Date();
+    let deleted = 0;
+
+    this.entries.forEach((entry, key) => {
+      if (new Date(entry.expiresAt) < now) {
+        this.entries.delete(key);
+      }
+    });
+
+    if (this.persistent) {
+      this.listEntryFiles().forEach(({ filepath, entry }) => {
+        if (!entry || new Date(entry.expiresAt) < now) {
+          this.removeEntryFile(filepath);
+          deleted++;
+        }
+      });
+    }
+
+    if (deleted > 0) {
+      console.log(`Cleaned up ${deleted} expired search cache entries`);
+    }
+
+    return deleted;
+  }
+
+  // [{ filepath, entry }] with entry null for files that cannot be parsed
+  listEntryFiles() {
+    try {
+      return fs.readdirSync(this.cacheDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          const filepath = path.join(this.cacheDir, file);
+          try {
+            return { filepath, entry: JSON.parse(fs.readFileSync(filepath, 'utf8')) };
+          } catch (error) {
+            return { filepath, entry: null };
+          }
+        });
+    } catch (error) {
+      console.warn('Could not list search cache:', error.message);
+      return [];
+    }
+  }
+
+  removeEntryFile(filepath) {
+    fs.unlinkSync(filepath);
+    this.getDiskKeys().delete(path.basename(filepath, '.json'));
+  }
+
+  getDiskKeys() {
+    if (!this.diskKeys) {
+      try {
+        this.diskKeys = new Set(fs.readdirSync(this.cacheDir)
+          .filter(file => file.endsWith('.json'))
+          .map(file => path.basename(file, '.json')));
+      } catch (error) {
+        this.diskKeys = new Set();
+      }
+    }
+    return this.diskKeys;
+  }
+
+  getEntryPath(key) {
+    return path.join(this.cacheDir, `${path.basename(key)}.json`);
+  }
+
+  record(providerName, metric) {
+    if (!this.metrics.has(providerName)) {
+      this.metrics.set(providerName, EMPTY_METRICS());
+    }
+    this.metrics.get(providerName)[metric]++;
+  }
+
+  // Settings, entry counts and hit/miss counters since the server started
+  describe() {
+    const providers = Object.fromEntries(this.metrics);
+    const total = Object.values(providers).reduce((sum, metrics) => {
+      Object.keys(sum).forEach(metric => { sum[metric] += metrics[metric]; });
+      return sum;
+    }, EMPTY_METRICS());
+    const lookups = total.hits + total.misses + total.coalesced;
+
+    return {
+      enabled: this.isEnabled(),
+      persistent: this.persistent,
+      ttlHours: this.ttlHours,
+      entries: {
+        memory: this.entries.size,
+        disk: this.persistent ? this.getDiskKeys().size : null,
+        inFlight: this.inFlight.size
+      },
+      metrics: {
+        ...total,
+        // Coalesced lookups did not reach the provider either
+        hitRate: lookups > 0 ? (total.hits + total.coalesced) / lookups : null,
+        providers
+      }
+    };
+  }
+}
+
+module.exports = new SearchCache();
@@ -1,10 +1,14 @@
 const axios = require('axios');
 const stringSimilarity = require('string-similarity');
+const fingerprintService = require('./fingerprintService');
+const codeParser = require('../utils/codeParser');
+const languageRegistry = require('../utils/languageRegistry');
 
 class SearchService {
   constructor() {
     this.serpApiKey = process.env.SERPAPI_KEY;
     this.stackOverflowApiKey = process.env.STACKOVERFLOW_API_KEY;
+    this.minFingerprints = 3;
   }
 
   async searchWeb(query, language = null) {
@@ -41,22 +45,24 @@ class SearchService {
       return [];
     } catch (error) {
       console.error('Web search error:', error.message);
-      return [];
+      throw error;
     }
   }
 
   async searchStackOverflow(query, language = null) {
     try {
+      // Stack Overflow tags differ from our ids for some languages ("c++", "c#")
+      const tag = language ? languageRegistry.getSearchTag(language) || language : null;
       let searchQuery = query;
-      if (language) {
-        searchQuery += ` [${language}]`;
+      if (tag) {
+        searchQuery += ` [${tag}]`;
       }
 
       const response = await axios.get('https://api.stackexchange.com/2.3/search/advanced', {
         params: {
           site: 'stackoverflow',
           q: searchQuery,
-          tagged: language || '',
+          tagged: tag || '',
           sort: 'relevance',
           order: 'desc',
           pagesize: 10,
@@ -102,7 +108,7 @@ class SearchService {
       return [];
     } catch (error) {
       console.error('Stack Overflow search error:', error.message);
-      return [];
+      throw error;
     }
   }
 
@@ -150,7 +156,45 @@ class SearchService {
     return similarities.sort((a, b) => b.similarity - a.similarity);
   }
 
-  calculateSimilarity(text1, text2) {
+  calculateSimilarity(text1, text2, language = null, options = {}) {
+    const fingerprint1 = fingerprintService.fingerprint(text1, language);
+    const fingerprint2 = fingerprintService.fingerprint(text2, language);
+
+    // Short or prose-like text (e.g. web result snippets) does not yield enough k-grams to winnow
+    if (fingerprint1.fingerprints.length < this.minFingerprints ||
+        fingerprint2.fingerprints.length < this.minFingerprints) {
+      return this.calculateTextSimilarity(text1, text2);
+    }
+
+    // options.excludeHashes drops base-code fingerprints before scoring
+    return fingerprintService.compare(fingerprint1, fingerprint2, options).similarity;
+  }
+
+  // Locate the part of a longer source file that a snippet was taken from
+  alignSnippet(snippet, sourceText, language = null, options = {}) {
+    const comparison = fingerprintService.compareCode(snippet, sourceText, language, options);
+    if (comparison.regions.length === 0) return null;
+
+    const regions = comparison.regions.slice().sort((a, b) => b.fingerprints - a.fingerprints);
+    const snippetLines = snippet.split('\n').length;
+    const best = regions[0];
+
+    // Keep regions that sit close to the best one so reordered helpers stay in the excerpt
+    const related = regions.filter(region =>
+      Math.abs(region.b.startLine - best.b.startLine) <= snippetLines * 2);
+    const startLine = Math.min(...related.map(region => region.b.startLine));
+    const endLine = Math.max(...related.map(region => region.b.endLine));
+
+    return {
+      sourceSnippet: sourceText.split('\n').slice(startLine - 1, endLine).join('\n'),
+      sourceLines: { startLine, endLine },
+      matchedLines: related
+        .sort((a, b) => a.a.startLine - b.a.startLine)
+        .map(region => ({ snippet: region.a, source: region.b, lines: region.lines }))
+    };
+  }
+
+  calculateTextSimilarity(text1, text2) {
     // Normalize text for comparison
     const normalizeText = (text) => {
       return text
@@ -201,46 +245,9 @@ class SearchService {
     }
   }
 
-  extractCodeFingerprint(code) {
-    // Create a fingerprint of the code for faster comparison
-    return {
-      length: code.length,
-      lines: code.split('\n').length,
-      characters: code.replace(/\s/g, '').length,
-      keywords: this.extractKeywords(code),
-      structure: this.analyzeCodeStructure(code)
-    };
-  }
-
-  extractKeywords(code) {
-    // Extract programming keywords from code
-    const keywords = [
-      'function', 'class', 'if', 'else', 'for', 'while', 'return', 'import', 'export',
-      'const', 'let', 'var', 'def', 'print', 'console.log', 'public', 'private', 'static',
-      'try', 'catch', 'finally', 'throw', 'new', 'this', 'super', 'extends', 'implements'
-    ];
-
-    const normalizedCode = code.toLowerCase();
-    const foundKeywords = keywords.filter(keyword => 
-      normalizedCode.includes(keyword)
-    );
-
-    return foundKeywords;
-  }
-
-  analyzeCodeStructure(code) {
-    // Analyze code structure patterns
-    const structure = {
-      hasFunctions: /function\s+\w+\s*\(/.test(code) || /def\s+\w+\s*\(/.test(code),
-      hasClasses: /class\s+\w+/.test(code),
-      hasLoops: /for\s*\(/.test(code) || /while\s*\(/.test(code),
-      hasConditionals: /if\s*\(/.test(code) || /else\s*{/.test(code),
-      hasComments: /\/\//.test(code) || /\/\*/.test(code) || /#/.test(code),
-      hasImports: /import\s+/.test(code) || /require\s*\(/.test(code),
-      hasExports: /export\s+/.test(code) || /module\.exports/.test(code)
-    };
-
-    return structure;
+  extractCodeFingerprint(code, language = null) {
+    // Winnowed k-gram fingerprint of the normalized token stream
+    return fingerprintService.fingerprint(code, language);
   }
 
   async batchSearch(codeFiles) {
@@ -250,7 +257,7 @@ class SearchService {
       console.log(`Searching for matches in ${file.filename}...`);
       
       // Extract key code snippets for search
-      const snippets = this.extractSearchSnippets(file.content);
+      const snippets = this.extractSearchSnippets(file.content, file.language);
       
       for (const snippet of snippets) {
         const results = await this.searchCodeSnippets(snippet, file.language);
@@ -265,44 +272,13 @@ class SearchService {
     return allResults;
   }
 
-  extractSearchSnippets(code) {
-    // Extract meaningful code snippets for search
-    const lines = code.split('\n');
-    const snippets = [];
-    
-    // Extract function definitions
-    const functionRegex = /(?:function\s+\w+\s*\([^)]*\)\s*\{[\s\S]*?\n\s*\})|(?:def\s+\w+\s*\([^)]*\):[\s\S]*?)(?=\n\s*\n|\n\s*def|\n\s*class|$)/g;
-    let match;
-    
-    while ((match = functionRegex.exec(code)) !== null) {
-      snippets.push(match[0]);
-    }
-
-    // Extract class definitions
-    const classRegex = /(?:class\s+\w+[\s\S]*?)(?=\n\s*\n|\n\s*class|$)/g;
-    while ((match = classRegex.exec(code)) !== null) {
-      snippets.push(match[0]);
-    }
-
-    // If no functions or classes found, extract lines with significant content
-    if (snippets.length === 0) {
-      const significantLines = lines.filter(line => 
-        line.trim().length > 20 && 
-        !line.trim().startsWith('//') && 
-        !line.trim().startsWith('#') &&
-        !line.trim().startsWith('/*')
-      );
-      
-      // Group significant lines into chunks
-      for (let i = 0; i < significantLines.length; i += 5) {
-        const chunk = significantLines.slice(i, i + 5).join('\n');
-        if (chunk.length > 50) {
-          snippets.push(chunk);
-        }
-      }
-    }
+  extractSearchSnippets(code, language = null) {
+    return this.extractSearchUnits(code, language).map(unit => unit.code);
+  }
 
-    return snippets.slice(0, 10); // Limit to 10 snippets per file
+  extractSearchUnits(code, language = null) {
+    // Functions and classes from the structural parser, or significant line chunks
+    return codeParser.extractUnits(code, language);
   }
 }
 
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+class SessionStore {
+  constructor() {
+    this.sessionDir = path.join(process.env.DATA_DIR || './data', 'sessions');
+    this.ttlHours = parseFloat(process.env.SESSION_TTL_HOURS || '24');
+    this.sessions = new Map();
+    this.persistent = false;
+
+    // Vercel serverless functions have read-only file system, keep sessions in memory there
+    if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+      try {
+        if (!fs.existsSync(this.sessionDir)) {
+          fs.mkdirSync(this.sessionDir, { recursive: true });
+        }
+        this.persistent = true;
+      } catch (error) {
+        console.warn('Could not create sessions directory:', error.message);
+      }
+    }
+  }
+
+  // ownerId is the uploading user; only they (and admins) can read the session back
+  create(sessionId, files, metadata = {}, ownerId = null) {
+    const now = new Date();
+    const session = {
+      sessionId,
+      ownerId,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlHours * 60 * 60 * 1000).toISOString(),
+      metadata,
+      files: files.map(file => ({
+        filename: file.filename,
+        path: file.path,
+        content: file.content,
+        size: file.size !== undefined ? file.size : file.content.length,
+        language: file.language,
+        // Set when the upload was split per student (LMS exports)
+        studentId: file.studentId,
+        studentName: file.studentName
+      }))
+    };
+
+    this.sessions.set(sessionId, session);
+    this.save(session);
+    return session;
+  }
+
+  get(sessionId) {
+    let session = this.sessions.get(sessionId);
+
+    if (!session && this.persistent) {
+      const filepath = this.getSessionPath(sessionId);
+      if (fs.existsSync(filepath)) {
+        try {
+          session = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+          this.sessions.set(sessionId, session);
+        } catch (error) {
+          console.warn(`Could not read session ${sessionId}:`, error.message);
+          return null;
+        }
+      }
+    }
+
+    if (!session) return null;
+
+    if (new Date(session.expiresAt) < new Date()) {
+      this.delete(sessionId);
+      return null;
+    }
+
+    return session;
+  }
+
+  getFiles(sessionId) {
+    const session = this.get(sessionId);
+    return session ? session.files : null;
+  }
+
+  delete(sessionId) {
+    const existed = this.sessions.delete(sessionId);
+    let removed = false;
+
+    if (this.persistent) {
+      const filepath = this.getSessionPath(sessionId);
+      if (fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+        removed = true;
+      }
+    }
+
+    return existed || removed;
+  }
+
+  cleanupExpired() {
+    const now = new Date();
+    let deleted = 0;
+
+    this.sessions.forEach((session, sessionId) => {
+      if (new Date(session.expiresAt) < now) {
+        this.delete(sessionId);
+        deleted++;
+      }
+    });
+
+    if (this.persistent) {
+      try {
+        fs.readdirSync(this.sessionDir)
+          .filter(file => file.endsWith('.json'))
+          .forEach(file => {
+            const filepath = path.join(this.sessionDir, file);
+            try {
+              const { expiresAt } = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+              if (new Date(expiresAt) < now) {
+                fs.unlinkSync(filepath);
+                deleted++;
+              }
+            } catch (error) {
+              console.warn(`Could not check session file ${file}:`, error.message);
+            }
+          });
+      } catch (error) {
+        console.warn('Session cleanup error:', error.message);
+      }
+    }
+
+    if (deleted > 0) {
+      console.log(`Cleaned up ${deleted} expired upload sessions`);
+    }
+
+    return deleted;
+  }
+
+  save(session) {
+    if (!this.persistent) return;
+
+    try {
+      fs.writeFileSync(this.getSessionPath(session.sessionId), JSON.stringify(session));
+    } catch (error) {
+      console.warn(`Could not persist session ${session.sessionId}:`, error.message);
+    }
+  }
+
+  getSessionPath(sessionId) {
+    return path.join(this.sessionDir, `${path.basename(sessionId)}.json`);
+  }
+}
+
+module.exports = new SessionStore();
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON-file document store used when no MongoDB is configured.
+// Understands the small subset of Mongo query syntax the data store uses.
+class EmbeddedStore {
+  constructor(baseDir) {
+    this.name = 'embedded';
+    this.baseDir = baseDir;
+    this.collections = new Map();
+    this.persistent = false;
+
+    // Vercel serverless functions have read-only file system, keep documents in memory there
+    if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+      try {
+        if (!fs.existsSync(this.baseDir)) {
+          fs.mkdirSync(this.baseDir, { recursive: true });
+        }
+        this.persistent = true;
+      } catch (error) {
+        console.warn('Could not create data store directory:', error.message);
+      }
+    }
+  }
+
+  async connect() {
+    console.log(`Using embedded data store${this.persistent ? ` at ${this.baseDir}` : ' (in memory)'}`);
+  }
+
+  async insertMany(collection, documents) {
+    const store = this.getCollection(collection);
+    documents.forEach(document => {
+      const stored = this.serialize(document);
+      store.set(stored.id, stored);
+      this.writeDocument(collection, stored);
+    });
+    return documents.length;
+  }
+
+  // Insert unless a document with the same id exists; false when it does
+  async insertUnique(collection, document) {
+    const store = this.getCollection(collection);
+    if (store.has(document.id)) return false;
+
+    const stored = this.serialize(document);
+    store.set(stored.id, stored);
+    this.writeDocument(collection, stored);
+    return true;
+  }
+
+  async find(collection, query = {}, options = {}) {
+    const { sort = null, skip = 0, limit = 0 } = options;
+    let documents = Array.from(this.getCollection(collection).values())
+      .filter(document => this.matches(document, query));
+
+    if (sort) {
+      const [[field, direction]] = Object.entries(sort);
+      documents.sort((a, b) => {
+        if (a[field] === b[field]) return 0;
+        return (a[field] > b[field] ? 1 : -1) * direction;
+      });
+    }
+
+    documents = documents.slice(skip, limit > 0 ? skip + limit : undefined);
+    return documents.map(document => JSON.parse(JSON.stringify(document)));
+  }
+
+  async findOne(collection, query = {}) {
+    const [document] = await this.find(collection, query, { limit: 1 });
+    return document || null;
+  }
+
+  async count(collection, query = {}) {
+    return Array.from(this.getCollection(collection).values())
+      .filter(document => this.matches(document, query)).length;
+  }
+
+  async updateOne(collection, query, changes) {
+    const store = this.getCollection(collection);
+    const document = Array.from(store.values()).find(candidate => this.matches(candidate, query));
+    if (!document) return null;
+
+    Object.assign(document, this.serialize(changes));
+    this.writeDocument(collection, document);
+    return JSON.parse(JSON.stringify(document));
+  }
+
+  async deleteMany(collection, query = {}) {
+    const store = this.getCollection(collection);
+    let deleted = 0;
+
+    Array.from(store.values())
+      .filter(document => this.matches(document, query))
+      .forEach(document => {
+        store.delete(document.id);
+        this.removeDocument(collection, document.id);
+        deleted++;
+      });
+
+    return deleted;
+  }
+
+  matches(document, query) {
+    return Object.entries(query).every(([field, condition]) => {
+      if (field === '$or') {
+        return condition.some(alternative => this.matches(document, alternative));
+      }
+
+      const value = document[field];
+
+      if (condition && typeof condition === 'object' && !(condition instanceof Date) && !Array.isArray(condition)) {
+        return Object.entries(condition).every(([operator, operand]) =>
+          this.compare(value, operator, this.normalizeValue(operand)));
+      }
+
+      const expected = this.normalizeValue(condition);
+      return Array.isArray(value) ? value.includes(expected) : value === expected;
+    });
+  }
+
+  compare(value, operator, operand) {
+    switch (operator) {
+      case '$gte': return value !== undefined && value !== null && value >= operand;
+      case '$lte': return value !== undefined && value !== null && value <= operand;
+      case '$gt': return value !== undefined && value !== null && value > operand;
+      case '$lt': return value !== undefined && value !== null && value < operand;
+      case '$ne': return value !== operand;
+      case '$in': return Array.isArray(value)
+        ? value.some(item => operand.includes(item))
+        : operand.includes(value);
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  }
+
+  // Dates are stored as ISO strings so they compare in order
+  normalizeValue(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => this.normalizeValue(item));
+    return value;
+  }
+
+  serialize(document) {
+    return JSON.parse(JSON.stringify(document));
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, this.loadCollection(collection));
+    }
+    return this.collections.get(collection);
+  }
+
+  loadCollection(collection) {
+    const documents = new Map();
+    if (!this.persistent) return documents;
+
+    const directory = path.join(this.baseDir, collection);
+    if (!fs.existsSync(directory)) return documents;
+
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const document = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+          documents.set(document.id, document);
+        } catch (error) {
+          console.warn(`Could not read ${collection}/${file}:`, error.message);
+        }
+      });
+
+    return documents;
+  }
+
+  writeDocument(collection, document) {
+    if (!this.persistent) return;
+
+    const directory = path.join(this.baseDir, collection);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+    fs.writeFileSync(this.getDocumentPath(collection, document.id), JSON.stringify(document));
+  }
+
+  removeDocument(collection, id) {
+    if (!this.persistent) return;
+
+    const documentPath = this.getDocumentPath(collection, id);
+    if (fs.existsSync(documentPath)) fs.unlinkSync(documentPath);
+  }
+
+  getDocumentPath(collection, id) {
+    return path.join(this.baseDir, collection, `${encodeURIComponent(id)}.json`);
+  }
+}
+
+module.exports = EmbeddedStore;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const models = {
+  analyses: require('../../models/Analysis'),
+  fileResults: require('../../models/FileResult'),
+  submissions: require('../../models/Submission'),
+  reports: require('../../models/Report'),
+  users: require('../../models/User'),
+  courses: require('../../models/Course'),
+  assignments: require('../../models/Assignment'),
+  studentSubmissions: require('../../models/StudentSubmission'),
+  settings: require('../../models/Setting')
+};
+
+// MongoDB backend; documents keep their string ids as _id
+class MongoStore {
+  constructor(uri) {
+    this.name = 'mongodb';
+    this.uri = uri;
+  }
+
+  async connect() {
+    await mongoose.connect(this.uri, { serverSelectionTimeoutMS: 5000 });
+    console.log('Connected to MongoDB data store');
+  }
+
+  async insertMany(collection, documents) {
+    const result = await this.getModel(collection).insertMany(
+      documents.map(({ id, ...document }) => ({ _id: id, ...document }))
+    );
+    return result.length;
+  }
+
+  // Insert unless a document with the same id exists; false when it does
+  async insertUnique(collection, { id, ...document }) {
+    try {
+      await this.getModel(collection).create({ _id: id, ...document });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async find(collection, query = {}, options = {}) {
+    const { sort = null, skip = 0, limit = 0 } = options;
+    let cursor = this.getModel(collection).find(this.toMongoQuery(query)).skip(skip);
+
+    if (sort) cursor = cursor.sort(sort);
+    if (limit > 0) cursor = cursor.limit(limit);
+
+    const documents = await cursor.lean();
+    return documents.map(document => this.fromMongo(document));
+  }
+
+  async findOne(collection, query = {}) {
+    const document = await this.getModel(collection).findOne(this.toMongoQuery(query)).lean();
+    return document ? this.fromMongo(document) : null;
+  }
+
+  async count(collection, query = {}) {
+    return this.getModel(collection).countDocuments(this.toMongoQuery(query));
+  }
+
+  async updateOne(collection, query, changes) {
+    const document = await this.getModel(collection)
+      .findOneAndUpdate(this.toMongoQuery(query), { $set: changes }, { new: true })
+      .lean();
+    return document ? this.fromMongo(document) : null;
+  }
+
+  async deleteMany(collection, query = {}) {
+    const result = await this.getModel(collection).deleteMany(this.toMongoQuery(query));
+    return result.deletedCount;
+  }
+
+  toMongoQuery(query) {
+    const { id, ...rest } = query;
+    return id !== undefined ? { _id: id, ...rest } : rest;
+  }
+
+  // Match the embedded store's output: plain objects with `id` and ISO dates
+  fromMongo({ _id, ...document }) {
+    return JSON.parse(JSON.stringify({ id: _id, ...document }));
+  }
+
+  getModel(collection) {
+    const model = models[collection];
+    if (!model) throw new Error(`Unknown collection: ${collection}`);
+    return model;
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,349 @@
+const dataStore = require('./dataStore');
+const featureExtractor = require('./aiModel/featureExtractor');
+const tokenizer = require('../utils/tokenizer');
+const languageRegistry = require('../utils/languageRegistry');
+
+// Habits a student carries from one assignment to the next. minSpread keeps a handful of very
+// consistent submissions from turning every small difference into a "change".
+const STYLE_FEATURES = [
+  { name: 'camelCaseShare', label: 'camelCase rather than snake_case names', minSpread: 0.15 },
+  { name: 'meanIdentifierLength', label: 'Average identifier length', minSpread: 1 },
+  { name: 'shortIdentifierRatio', label: 'One- and two-letter names', minSpread: 0.06 },
+  { name: 'tabIndentShare', label: 'Indenting with tabs', minSpread: 0.15 },
+  { name: 'indentWidth', label: 'Indent width (spaces)', minSpread: 0.75 },
+  { name: 'sameLineBraceShare', label: 'Opening braces on the same line', minSpread: 0.15 },
+  { name: 'singleQuoteShare', label: 'Single-quoted strings', minSpread: 0.15 },
+  { name: 'semicolonShare', label: 'Statements ending in a semicolon', minSpread: 0.15 },
+  { name: 'spacedOperatorShare', label: 'Spaces around operators', minSpread: 0.12 },
+  { name: 'commentDensity', label: 'Comment lines per code line', minSpread: 0.08 },
+  { name: 'docCommentRatio', label: 'Doc comments', minSpread: 0.15 },
+  { name: 'sentenceCommentRatio', label: 'Comments written as full sentences', minSpread: 0.15 },
+  { name: 'informalCommentRatio', label: 'TODO, FIXME and informal comments', minSpread: 0.15 },
+  { name: 'blockCommentShare', label: 'Block rather than line comments', minSpread: 0.15 }
+];
+
+// Constructs whose mix says something about who wrote the code ("favorite idioms")
+const IDIOM_MARKERS = {
+  javascript: {
+    arrowFunction: ['Arrow functions', /=>/g],
+    functionKeyword: ['function declarations', /\bfunction\b/g],
+    indexLoop: ['Index for loops', /\bfor\s*\(\s*(?:let|var)\s+\w+\s*=/g],
+    forOfLoop: ['for...of loops', /\bfor\s*\(\s*(?:const|let|var)\s+\w+\s+of\b/g],
+    forEachCall: ['.forEach()', /\.forEach\(/g],
+    mapFilterReduce: ['.map/.filter/.reduce', /\.(?:map|filter|reduce)\(/g],
+    templateLiteral: ['Template literals', /`[^`]*\$\{/g],
+    stringConcatenation: ['String concatenation', /['"]\s*\+\s*\w|\w\s*\+\s*['"]/g],
+    awaitKeyword: ['async/await', /\bawait\b/g],
+    promiseThen: ['.then() chains', /\.then\(/g],
+    ternary: ['Ternary expressions', /\?[^?.:]+:/g],
+    increment: ['++ / --', /\+\+|--/g]
+  },
+  python: {
+    fString: ['f-strings', /\bf['"]/g],
+    formatMethod: ['.format()', /\.format\(/g],
+    percentFormat: ['% formatting', /['"]\s*%\s*[\w(]/g],
+    listComprehension: ['List comprehensions', /\[[^\]\n]+\bfor\b[^\]\n]+\bin\b[^\]\n]+\]/g],
+    enumerateCall: ['enumerate()', /\benumerate\(/g],
+    rangeLen: ['range(len(...))', /\brange\(\s*len\(/g],
+    lambdaKeyword: ['lambda', /\blambda\b/g],
+    withStatement: ['with blocks', /^\s*with\b/gm],
+    typeHints: ['Type hints', /\)\s*->|:\s*(?:int|str|float|bool|list|dict|List|Dict|Optional)\b/g],
+    whileLoop: ['while loops', /^\s*while\b/gm]
+  },
+  braces: {
+    indexLoop: ['Index for loops', /\bfor\s*\(\s*(?:int|size_t|auto|var|long)?\s*\w+\s*=/g],
+    rangeLoop: ['Range-based / foreach loops', /\bfor\s*\([^;()]*:[^;()]*\)|\bforeach\s*\(/g],
+    whileLoop: ['while loops', /\bwhile\s*\(/g],
+    ternary: ['Ternary expressions', /\?[^?.:;]+:/g],
+    increment: ['++ / --', /\+\+|--/g],
+    compoundAssignment: ['+= 1 style updates', /[+-]=\s*1\b/g],
+    streamCalls: ['Streams and LINQ', /\.stream\(\)|\.(?:Select|Where)\(/g],
+    typeInference: ['var / auto', /\b(?:var|auto)\s+\w+\s*=/g],
+    earlyReturn: ['Early returns', /\bif\s*\([^)]*\)\s*return\b/g]
+  }
+};
+
+const BRACE_PARSERS = ['babel', 'braces'];
+const QUOTE_STYLE_LANGUAGES = ['javascript', 'typescript', 'python', 'php', 'ruby'];
+const SEMICOLON_OPTIONAL_LANGUAGES = ['javascript', 'typescript'];
+// z-score at which a feature counts as changed, and the cap on any one feature's pull
+const CHANGE_Z = 2;
+const MAX_Z = 4;
+const IDIOM_CHANGE = 0.2;
+const MIN_HISTORY = 2;
+const HISTORY_LIMIT = 10;
+
+class StyleProfiler {
+  constructor() {
+    this.features = STYLE_FEATURES;
+  }
+
+  // Style of one file: feature values (null where the file says nothing about a habit) and idiom counts
+  extractFileStyle(content, language) {
+    const text = String(content || '').replace(/\r\n?/g, '\n');
+    const lang = languageRegistry.normalize(language) || languageRegistry.detect(text);
+    const config = languageRegistry.get(lang);
+    const lines = text.split('\n');
+    const comments = featureExtractor.collectComments(text, lang);
+    const commentLineNumbers = new Set(comments.flatMap(comment => comment.lines));
+    const codeLines = lines.filter((line, index) => line.trim() !== '' && !commentLineNumbers.has(index + 1));
+    const tokens = tokenizer.tokenize(text, lang);
+    const extracted = featureExtractor.extract(text, lang);
+    const share = (part, total) => total > 0 ? part / total : null;
+
+    const identifiers = Array.from(new Set(tokens.filter(token => token.type === 'identifier').map(token => token.value)));
+    const camel = identifiers.filter(name => /^[a-z]+(?:[A-Z][a-z0-9]*)+$/.test(name)).length;
+    const snake = identifiers.filter(name => /^[a-z]+(?:_[a-z0-9]+)+$/.test(name)).length;
+
+    const indented = codeLines.filter(line => /^[ \t]/.test(line));
+    const strings = tokens.filter(token => token.type === 'string' && /^['"]/.test(token.value) && !/^('''|""")/.test(token.value));
+    const braceLines = codeLines.filter(line => /\{\s*$/.test(line));
+    const ownLineBraces = braceLines.filter(line => line.trim() === '{').length;
+    const statementLines = codeLines.filter(line => !/[{}(,[\s]$|^\s*[})\]]|^\s*(?:import|export)\s*\{|[+\-*/=&|?:]$/.test(line.trimEnd()));
+    const { spaced, unspaced } = featureExtractor.countOperatorSpacing(codeLines);
+    const hasComments = comments.length > 0;
+
+    return {
+      lines: codeLines.length,
+      language: lang,
+      features: {
+        camelCaseShare: share(camel, camel + snake),
+        meanIdentifierLength: identifiers.length > 0 ? extracted.meanIdentifierLength : null,
+        shortIdentifierRatio: identifiers.length > 0 ? extracted.shortIdentifierRatio : null,
+        tabIndentShare: share(indented.filter(line => line.startsWith('\t')).length, indented.length),
+        indentWidth: this.indentWidth(codeLines),
+        sameLineBraceShare: BRACE_PARSERS.includes(config.parser)
+          ? share(braceLines.length - ownLineBraces, braceLines.length)
+          : null,
+        singleQuoteShare: QUOTE_STYLE_LANGUAGES.includes(lang)
+          ? share(strings.filter(token => token.value.startsWith("'")).length, strings.length)
+          : null,
+        semicolonShare: SEMICOLON_OPTIONAL_LANGUAGES.includes(lang)
+          ? share(statementLines.filter(line => line.trimEnd().endsWith(';')).length, statementLines.length)
+          : null,
+        spacedOperatorShare: share(spaced, spaced + unspaced),
+        commentDensity: codeLines.length > 0 ? extracted.commentDensity : null,
+        docCommentRatio: hasComments ? extracted.docCommentRatio : null,
+        sentenceCommentRatio: hasComments ? extracted.sentenceCommentRatio : null,
+        informalCommentRatio: hasComments ? extracted.informalCommentRatio : null,
+        blockCommentShare: hasComments && config.blockComments.length > 0
+          ? comments.filter(comment => comment.kind === 'block').length / comments.length
+          : null
+      },
+      idioms: this.countIdioms(text, lang)
+    };
+  }
+
+  // Most common indent step in spaces, or null when the file is indented with tabs or not at all
+  indentWidth(codeLines) {
+    const counts = new Map();
+    let previous = 0;
+
+    codeLines.forEach(line => {
+      const indent = line.match(/^[ \t]*/)[0];
+      if (indent.includes('\t')) return;
+      if (indent.length > previous) {
+        const step = indent.length - previous;
+        counts.set(step, (counts.get(step) || 0) + 1);
+      }
+      previous = indent.length;
+    });
+
+    if (counts.size === 0) return null;
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  getIdiomMarkers(language) {
+    if (IDIOM_MARKERS[language]) return IDIOM_MARKERS[language];
+    if (language === 'typescript') return IDIOM_MARKERS.javascript;
+    return languageRegistry.get(language).parser === 'braces' ? IDIOM_MARKERS.braces : {};
+  }
+
+  countIdioms(text, language) {
+    const counts = {};
+    Object.entries(this.getIdiomMarkers(language)).forEach(([name, [, pattern]]) => {
+      const matches = text.match(pattern);
+      if (matches) counts[name] = matches.length;
+    });
+    return counts;
+  }
+
+  // Style of a whole submission: features averaged over its files by code lines
+  extractSubmissionStyle(submission) {
+    const files = (submission.files || [])
+      .filter(file => typeof file.content === 'string' && file.content.trim())
+      .map(file => this.extractFileStyle(file.content, file.language));
+
+    const features = {};
+    STYLE_FEATURES.forEach(({ name }) => {
+      const measured = files.filter(file => file.features[name] !== null && file.lines > 0);
+      const weight = measured.reduce((sum, file) => sum + file.lines, 0);
+      features[name] = weight > 0
+        ? measured.reduce((sum, file) => sum + file.features[name] * file.lines, 0) / weight
+        : null;
+    });
+
+    const idioms = {};
+    files.forEach(file => Object.entries(file.idioms).forEach(([name, count]) => {
+      idioms[name] = (idioms[name] || 0) + count;
+    }));
+
+    const languageLines = {};
+    files.forEach(file => { languageLines[file.language] = (languageLines[file.language] || 0) + file.lines; });
+    const language = Object.keys(languageLines).sort((a, b) => languageLines[b] - languageLines[a])[0] || null;
+
+    return { features, idioms, language };
+  }
+
+  // Profile from earlier submissions: mean and spread per feature plus the usual idiom mix
+  buildProfile(styles) {
+    const features = {};
+    STYLE_FEATURES.forEach(({ name }) => {
+      const values = styles.map(style => style.features[name]).filter(value => value !== null);
+      if (values.length === 0) return;
+
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const std = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+      features[name] = { mean, std, samples: values.length };
+    });
+
+    const idioms = {};
+    styles.forEach(style => Object.entries(style.idioms).forEach(([name, count]) => {
+      idioms[name] = (idioms[name] || 0) + count;
+    }));
+
+    return { submissions: styles.length, features, idioms: this.toShares(idioms) };
+  }
+
+  // { score, level, changes, idioms } for a submission measured against the student's profile
+  compare(profile, style) {
+    const compared = [];
+
+    STYLE_FEATURES.forEach(({ name, label, minSpread }) => {
+      const baseline = profile.features[name];
+      const current = style.features[name];
+      if (!baseline || current === null) return;
+
+      const zScore = (current - baseline.mean) / Math.max(baseline.std, minSpread);
+      compared.push({ feature: name, label, baseline: baseline.mean, current, zScore });
+    });
+
+    const language = style.language;
+    const markers = this.getIdiomMarkers(language);
+    const currentIdioms = this.toShares(style.idioms);
+    const idiomShift = this.jensenShannon(profile.idioms, currentIdioms);
+    const idiomChanges = Object.keys({ ...profile.idioms, ...currentIdioms })
+      .map(name => ({
+        idiom: name,
+        label: markers[name] ? markers[name][0] : name,
+        baseline: profile.idioms[name] || 0,
+        current: currentIdioms[name] || 0
+      }))
+      .filter(change => Math.abs(change.current - change.baseline) >= IDIOM_CHANGE)
+      .sort((a, b) => Math.abs(b.current - b.baseline) - Math.abs(a.current - a.baseline));
+
+    // Root-mean-square of the capped z-scores, so several habits changing at once weigh most
+    const featureDrift = compared.length > 0
+      ? Math.sqrt(compared.reduce((sum, entry) => sum + Math.pow(Math.min(Math.abs(entry.zScore), MAX_Z), 2), 0) / compared.length) / (MAX_Z - 1)
+      : 0;
+    const score = Math.min(1, Math.min(featureDrift, 1) * 0.75 + idiomShift * 0.25);
+
+    return {
+      score,
+      level: score >= 0.6 ? 'high' : score >= 0.35 ? 'medium' : 'low',
+      changes: compared
+        .filter(entry => Math.abs(entry.zScore) >= CHANGE_Z)
+        .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore)),
+      idioms: { shift: idiomShift, changes: idiomChanges },
+      comparedFeatures: compared.length
+    };
+  }
+
+  toShares(counts) {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const shares = {};
+    Object.entries(counts).forEach(([name, count]) => { shares[name] = total > 0 ? count / total : 0; });
+    return shares;
+  }
+
+  // Jensen-Shannon divergence in bits: 0 for the same idiom mix, 1 for disjoint ones
+  jensenShannon(p, q) {
+    const names = Object.keys({ ...p, ...q });
+    if (names.length === 0 || Object.keys(p).length === 0 || Object.keys(q).length === 0) return 0;
+
+    const kl = (a, m) => names.reduce((sum, name) => (a[name] > 0 ? sum + a[name] * Math.log2(a[name] / m[name]) : sum), 0);
+    const mixture = {};
+    names.forEach(name => { mixture[name] = ((p[name] || 0) + (q[name] || 0)) / 2; });
+    return Math.max(0, Math.min(1, (kl(p, mixture) + kl(q, mixture)) / 2));
+  }
+
+  // Student ids are only unique within an LMS, so a student's history is looked up inside the given
+  // courses (null means every course, for admins)
+  getStudentQuery(studentId, courseIds) {
+    return courseIds ? { studentId, courseId: { $in: courseIds } } : { studentId };
+  }
+
+  // The student's earlier submissions (handed in before this one, other assignments), newest first.
+  // Submissions in the same language are preferred when there are enough of them.
+  async getHistory(submission, language, courseIds) {
+    const backend = await dataStore.getBackend();
+    const submittedAt = new Date(submission.submittedAt || Date.now());
+    const earlier = (await backend.find('studentSubmissions', this.getStudentQuery(submission.studentId, courseIds)))
+      .filter(candidate => candidate.assignmentId !== submission.assignmentId && new Date(candidate.submittedAt) < submittedAt)
+      .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+
+    const styled = earlier.map(candidate => ({ submission: candidate, style: this.extractSubmissionStyle(candidate) }));
+    const sameLanguage = styled.filter(entry => entry.style.language === language);
+    return (sameLanguage.length >= MIN_HISTORY ? sameLanguage : styled).slice(0, HISTORY_LIMIT);
+  }
+
+  // Style drift of a submission against what the student handed in before it, by default
+  // within the submission's own course
+  async analyzeSubmission(submission, { courseIds = [submission.courseId] } = {}) {
+    const style = this.extractSubmissionStyle(submission);
+    const history = await this.getHistory(submission, style.language, courseIds);
+    const baseline = {
+      submissions: history.length,
+      assignments: history.map(entry => entry.submission.assignmentId),
+      language: style.language
+    };
+
+    if (history.length < MIN_HISTORY) {
+      return {
+        studentId: submission.studentId,
+        score: null,
+        level: 'unknown',
+        reason: `Needs at least ${MIN_HISTORY} earlier submissions from this student`,
+        baseline,
+        computedAt: new Date().toISOString()
+      };
+    }
+
+    const profile = this.buildProfile(history.map(entry => entry.style));
+    return {
+      studentId: submission.studentId,
+      ...this.compare(profile, style),
+      baseline,
+      computedAt: new Date().toISOString()
+    };
+  }
+
+  // The student's profile over their submissions to the given courses, for display
+  async getProfile(studentId, courseIds) {
+    const backend = await dataStore.getBackend();
+    const submissions = await backend.find('studentSubmissions', this.getStudentQuery(studentId, courseIds),
+      { sort: { submittedAt: -1 }, limit: HISTORY_LIMIT });
+    const profile = this.buildProfile(submissions.map(submission => this.extractSubmissionStyle(submission)));
+
+    return {
+      studentId,
+      ...profile,
+      features: STYLE_FEATURES
+        .filter(({ name }) => profile.features[name])
+        .map(({ name, label }) => ({ feature: name, label, ...profile.features[name] })),
+      assignments: submissions.map(submission => submission.assignmentId)
+    };
+  }
+}
+
+module.exports = new StyleProfiler();
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const dataStore = require('./dataStore');
+
+const ROLES = ['instructor', 'ta', 'admin'];
+const BOOTSTRAP_MARKER = 'bootstrap-admin';
+
+// Accounts, password checks and JWT sessions. Users live in the data store's `users` collection.
+class UserService {
+  constructor() {
+    this.secret = process.env.JWT_SECRET;
+    this.tokenExpiry = process.env.JWT_EXPIRES_IN || '12h';
+    this.saltRounds = 10;
+
+    // env.example ships a placeholder; a random secret still works but logs everyone out on restart
+    if (!this.secret || this.secret === 'your_jwt_secret_here') {
+      console.warn('JWT_SECRET not configured, using a temporary signing secret');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  async createUser({ email, password, name = null, role = 'instructor', courses = [] }) {
+    const backend = await dataStore.getBackend();
+    const user = {
+      id: generateUserId(),
+      email: this.normalizeEmail(email),
+      name: name || email,
+      passwordHash: await bcrypt.hash(password, this.saltRounds),
+      role,
+      courses: Array.from(new Set(courses)),
+      createdAt: new Date().toISOString(),
+      lastLoginAt: null
+    };
+
+    await backend.insertMany('users', [user]);
+    console.log(`Created ${role} account ${user.email}`);
+    return this.describe(user);
+  }
+
+  // The first account becomes the admin. It claims a marker document under a fixed id first, so two
+  // simultaneous first sign-ups cannot both become admin; null when another one got there first
+  async createFirstAdmin({ email, password, name = null }) {
+    const backend = await dataStore.getBackend();
+    const claimed = await backend.insertUnique('settings', { id: BOOTSTRAP_MARKER, createdAt: new Date().toISOString() });
+    if (!claimed) return null;
+
+    try {
+      return await this.createUser({ email, password, name, role: 'admin' });
+    } catch (error) {
+      await backend.deleteMany('settings', { id: BOOTSTRAP_MARKER });
+      throw error;
+    }
+  }
+
+  // The user for a correct email/password pair, otherwise null
+  async authenticate(email, password) {
+    const backend = await dataStore.getBackend();
+    const user = await backend.findOne('users', { email: this.normalizeEmail(email) });
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) return null;
+
+    const updated = await backend.updateOne('users', { id: user.id }, { lastLoginAt: new Date().toISOString() });
+    return this.describe(updated || user);
+  }
+
+  issueToken(user) {
+    return jwt.sign({ sub: user.id, role: user.role }, this.secret, { expiresIn: this.tokenExpiry });
+  }
+
+  verifyToken(token) {
+    try {
+      return jwt.verify(token, this.secret);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getUser(userId) {
+    const backend = await dataStore.getBackend();
+    const user = await backend.findOne('users', { id: userId });
+    return user ? this.describe(user) : null;
+  }
+
+  async findByEmail(email) {
+    const backend = await dataStore.getBackend();
+    const user = await backend.findOne('users', { email: this.normalizeEmail(email) });
+    return user ? this.describe(user) : null;
+  }
+
+  async listUsers(filters = {}) {
+    const backend = await dataStore.getBackend();
+    const query = {};
+
+    if (filters.role) query.role = filters.role;
+    if (filters.courseId) query.courses = filters.courseId;
+
+    const users = await backend.find('users', query, { sort: { createdAt: 1 } });
+    return users.map(user => this.describe(user));
+  }
+
+  async countUsers() {
+    const backend = await dataStore.getBackend();
+    return backend.count('users');
+  }
+
+  async updateUser(userId, changes) {
+    const backend = await dataStore.getBackend();
+    const update = {};
+
+    if (changes.name) update.name = changes.name;
+    if (changes.role) update.role = changes.role;
+    if (Array.isArray(changes.courses)) update.courses = Array.from(new Set(changes.courses));
+    if (changes.password) update.passwordHash = await bcrypt.hash(changes.password, this.saltRounds);
+
+    const user = await backend.updateOne('users', { id: userId }, update);
+    return user ? this.describe(user) : null;
+  }
+
+  // Admins see everything; everyone else sees what they created or what belongs to their courses
+  canAccess(user, resource) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    if (!resource) return false;
+    if (resource.ownerId && resource.ownerId === user.id) return true;
+    return Boolean(resource.courseId && user.courses.includes(resource.courseId));
+  }
+
+  canAccessCourse(user, courseId) {
+    return Boolean(user) && (user.role === 'admin' || user.courses.includes(courseId));
+  }
+
+  // Data store query restricting results to what canAccess allows
+  getScopeQuery(user) {
+    if (user.role === 'admin') return {};
+
+    return {
+      $or: [
+        { ownerId: user.id },
+        { courseId: { $in: user.courses } }
+      ]
+    };
+  }
+
+  isRole(role) {
+    return ROLES.includes(role);
+  }
+
+  normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  describe({ passwordHash, ...user }) {
+    return {
+      ...user,
+      courses: user.courses || []
+    };
+  }
+}
+
+function generateUserId() {
+  return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+module.exports = new UserService();
@@ -0,0 +1,177 @@
+const llmRegistry = require('../services/llm');
+const mockAdapter = require('../services/llm/mockAdapter');
+const responseSchema = require('../services/llm/responseSchema');
+const aiDetectionService = require('../services/aiDetection');
+const aiModel = require('../services/aiModel');
+
+const ENV_KEYS = ['AI_LLM_PROVIDER', 'AI_LLM_CHUNK_SIZE', 'AI_LLM_MAX_CHUNKS', 'AI_LLM_MOCK_PROBABILITY'];
+
+const CODE = [
+  'function add(a, b) {',
+  '  return a + b;',
+  '}',
+  '',
+  'function multiply(a, b) {',
+  '  return a * b;',
+  '}'
+].join('\n');
+
+const reply = (aiProbability, reasoning = 'Looks fine') => ({ aiProbability, reasoning, indicators: [] });
+
+describe('LLM registry with the mock adapter', () => {
+  const savedEnv = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    });
+    process.env.AI_LLM_PROVIDER = 'mock';
+    mockAdapter.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    jest.restoreAllMocks();
+  });
+
+  test('is only selected explicitly', () => {
+    delete process.env.AI_LLM_PROVIDER;
+    expect(llmRegistry.resolve()).not.toBe(mockAdapter);
+
+    process.env.AI_LLM_PROVIDER = 'mock';
+    expect(llmRegistry.resolve()).toBe(mockAdapter);
+  });
+
+  test('reports no backend when the LLM is turned off', async () => {
+    process.env.AI_LLM_PROVIDER = 'none';
+    const result = await llmRegistry.assess(CODE, 'javascript');
+
+    expect(result.available).toBe(false);
+    expect(result.aiProbability).toBe(0);
+    expect(mockAdapter.requests).toHaveLength(0);
+  });
+
+  test('returns a valid assessment with the schema sent to the backend', async () => {
+    mockAdapter.queue({ aiProbability: 0.8, reasoning: 'Uniform style', indicators: ['consistent naming'] });
+    const result = await llmRegistry.assess(CODE, 'javascript');
+
+    expect(result).toMatchObject({
+      available: true,
+      provider: 'mock',
+      aiProbability: 0.8,
+      reasoning: 'Uniform style',
+      indicators: ['consistent naming'],
+      truncated: false
+    });
+    expect(mockAdapter.requests).toHaveLength(1);
+    expect(mockAdapter.requests[0].schema).toEqual(responseSchema.forStructuredOutput());
+    expect(mockAdapter.requests[0].prompt).toContain('lines 1-7 of 7');
+  });
+
+  test('accepts replies wrapped in markdown fences', async () => {
+    mockAdapter.queue('```json\n' + JSON.stringify(reply(0.3)) + '\n```');
+    const result = await llmRegistry.assess(CODE, 'javascript');
+
+    expect(result.available).toBe(true);
+    expect(result.aiProbability).toBe(0.3);
+  });
+
+  test('retries a malformed reply once and reminds the backend why', async () => {
+    mockAdapter.queue('The code looks about 70% AI-generated.', reply(0.7));
+    const result = await llmRegistry.assess(CODE, 'javascript');
+
+    expect(result.available).toBe(true);
+    expect(result.aiProbability).toBe(0.7);
+    expect(mockAdapter.requests).toHaveLength(2);
+    expect(mockAdapter.requests[1].prompt).toContain('Your previous reply was rejected (Reply is not JSON)');
+  });
+
+  test('rejects replies that do not match the schema', async () => {
+    mockAdapter.queue(
+      { aiProbability: 1.5, reasoning: 'Too sure', indicators: [] },
+      { aiProbability: '0.9', reasoning: 'Wrong type', indicators: [], extra: true }
+    );
+    const result = await llmRegistry.assess(CODE, 'javascript');
+
+    expect(result.available).toBe(false);
+    expect(result.aiProbability).toBe(0);
+    expect(result.reasoning).toMatch(/^Analysis failed: Invalid response from Mock \(offline\)/);
+    expect(result.chunks[0].error).toContain('$.aiProbability should be number');
+    expect(result.chunks[0].error).toContain('$.extra is not allowed');
+  });
+
+  test('splits long code into chunks and weights them by length', async () => {
+    process.env.AI_LLM_CHUNK_SIZE = '45';
+    mockAdapter.queue(reply(0.2, 'First part'), reply(0.6, 'Second part'));
+    const result = await llmRegistry.assess(CODE, 'javascript');
+
+    expect(result.chunks.map(chunk => [chunk.startLine, chunk.endLine])).toEqual([[1, 4], [5, 7]]);
+    expect(mockAdapter.requests[0].prompt).toContain('Part 1 of 2, lines 1-4 of 7');
+    expect(mockAdapter.requests[1].prompt).toContain('Part 2 of 2, lines 5-7 of 7');
+
+    const [first, second] = result.chunks;
+    const expected = (0.2 * first.weight + 0.6 * second.weight) / (first.weight + second.weight);
+    expect(result.aiProbability).toBeCloseTo(expected, 10);
+    expect(result.reasoning).toBe('Lines 1-4: First part\nLines 5-7: Second part');
+  });
+
+  test('keeps the chunks that succeeded when one fails', async () => {
+    process.env.AI_LLM_CHUNK_SIZE = '45';
+    mockAdapter.queue(new Error('Backend unavailable'), reply(0.6));
+    const result = await llmRegistry.assess(CODE, 'javascript');
+
+    // Backend errors are not retried, only replies that fail validation
+    expect(mockAdapter.requests).toHaveLength(2);
+    expect(result.available).toBe(true);
+    expect(result.aiProbability).toBe(0.6);
+    expect(result.chunks[0].error).toBe('Backend unavailable');
+  });
+
+  test('stops after AI_LLM_MAX_CHUNKS and marks the result truncated', async () => {
+    process.env.AI_LLM_CHUNK_SIZE = '45';
+    process.env.AI_LLM_MAX_CHUNKS = '1';
+    const result = await llmRegistry.assess(CODE, 'javascript');
+
+    expect(result.truncated).toBe(true);
+    expect(result.chunks).toHaveLength(1);
+    expect(mockAdapter.requests).toHaveLength(1);
+  });
+});
+
+describe('AI detection with the mock adapter', () => {
+  beforeEach(() => {
+    process.env.AI_LLM_PROVIDER = 'mock';
+    mockAdapter.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.AI_LLM_PROVIDER;
+    jest.restoreAllMocks();
+  });
+
+  test('blends the LLM opinion into the model score', async () => {
+    mockAdapter.queue(reply(1));
+    const model = aiModel.score(CODE, 'javascript');
+    const result = await aiDetectionService.detectAIGeneratedCode(CODE, 'javascript');
+
+    expect(result.analysis.llm.available).toBe(true);
+    expect(result.aiProbability).toBeCloseTo(model.probability * 0.7 + 0.3, 10);
+  });
+
+  test('falls back to the model score when the LLM replies with garbage', async () => {
+    mockAdapter.queue('not json', '{"aiProbability": }');
+    const model = aiModel.score(CODE, 'javascript');
+    const result = await aiDetectionService.detectAIGeneratedCode(CODE, 'javascript');
+
+    expect(result.analysis.llm.available).toBe(false);
+    expect(result.aiProbability).toBe(model.probability);
+    expect(result.error).toBeUndefined();
+  });
+});
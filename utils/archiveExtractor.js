@@ -0,0 +1,482 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { crc32 } = require('adm-zip/util');
+
+// Dependency, VCS and editor folders students zip up along with their own code
+const VENDORED_DIRECTORIES = [
+  'node_modules', 'bower_components', 'vendor', 'venv', '.venv', 'site-packages',
+  '__pycache__', '.git', '.svn', '.hg', '__MACOSX', '.idea', '.vscode', 'target', 'dist', 'build'
+];
+
+const BINARY_SNIFF_LENGTH = 8192;
+
+// windows-1252 differs from latin1 only in 0x80-0x9F (smart quotes, dashes, euro sign).
+// Node's TextDecoder treats the label as latin1, so those are mapped by hand; 0 = undefined byte.
+const WINDOWS_1252_HIGH = [
+  0x20AC, 0, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0, 0x017D, 0,
+  0, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0, 0x017E, 0x0178
+];
+
+// Archive names the extractor unpacks; ".gz" alone is a single compressed file
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tgz', '.tar.gz', '.gz'];
+
+const TAR_BLOCK = 512;
+
+// Reads ZIP, tar and gzip uploads defensively: every entry is checked against path traversal,
+// size/ratio/count limits, binary content and text encoding before it is handed out
+class ArchiveExtractor {
+  constructor() {
+    this.limits = {
+      maxEntries: parseInt(process.env.ARCHIVE_MAX_ENTRIES || '5000'),
+      maxTotalSize: parseInt(process.env.ARCHIVE_MAX_TOTAL_SIZE || '209715200'), // 200MB
+      maxFileSize: parseInt(process.env.ARCHIVE_MAX_FILE_SIZE || '2097152'), // 2MB
+      // Notebooks carry their outputs (plots, tables) inline, so they get more room
+      maxNotebookSize: parseInt(process.env.ARCHIVE_MAX_NOTEBOOK_SIZE || '20971520'), // 20MB
+      maxCompressionRatio: parseInt(process.env.ARCHIVE_MAX_RATIO || '100'),
+      maxNestingDepth: parseInt(process.env.ARCHIVE_MAX_DEPTH || '3')
+    };
+    this.vendoredDirectories = VENDORED_DIRECTORIES;
+    this.archiveExtensions = ARCHIVE_EXTENSIONS;
+  }
+
+  // Extract an archive (path or buffer). Returns { files, skipped, stats }; entries that were not
+  // returned as files are listed in `skipped` with a reason, up to the first limit that stops extraction.
+  // Options: extensions (allowed file extensions, all when omitted), nested (unpack inner archives),
+  // filename (original upload name, names the content of a bare .gz)
+  extract(source, options = {}) {
+    const state = {
+      files: [],
+      skipped: [],
+      entries: 0,
+      totalSize: 0,
+      stopped: null
+    };
+    const data = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+    const name = options.filename || (Buffer.isBuffer(source) ? 'upload' : path.basename(source));
+
+    this.readArchive(data, name, '', 0, options, state);
+
+    if (state.stopped) {
+      console.warn(`Archive extraction stopped early: ${state.stopped}`);
+    }
+
+    return {
+      files: state.files,
+      skipped: state.skipped,
+      stats: {
+        entries: state.entries,
+        extracted: state.files.length,
+        skipped: state.skipped.length,
+        totalSize: state.totalSize,
+        truncated: Boolean(state.stopped)
+      }
+    };
+  }
+
+  readArchive(data, name, prefix, depth, options, state) {
+    let entries;
+    try {
+      entries = this.listEntries(data, name, state);
+    } catch (error) {
+      // A gzip stream inflating past the remaining budget is a bomb, not a broken upload
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        state.skipped.push({ filename: prefix + name, reason: 'too-large', detail: 'decompressed size exceeds the archive limit' });
+        return;
+      }
+      if (depth === 0) throw new Error(`Invalid archive: ${error.message}`);
+      state.skipped.push({ filename: prefix.replace(/\/$/, ''), reason: 'corrupt', detail: error.message });
+      return;
+    }
+
+    for (const entry of entries) {
+      // Once a limit is hit the rest of the archive is not even listed
+      if (state.stopped) break;
+
+      if (entry.kind === 'directory') continue;
+
+      state.entries++;
+      if (state.entries > this.limits.maxEntries) {
+        state.stopped = `more than ${this.limits.maxEntries} entries`;
+        state.skipped.push({ filename: prefix + entry.name, reason: 'limit-reached', detail: state.stopped });
+        continue;
+      }
+
+      const entryPath = this.normalizePath(entry.name);
+      if (!entryPath) {
+        state.skipped.push({ filename: entry.name, reason: 'unsafe-path' });
+        continue;
+      }
+
+      const filename = prefix + entryPath;
+      const rejection = this.checkEntry(entryPath, entry, depth, options);
+      if (rejection) {
+        state.skipped.push({ filename, ...rejection });
+        continue;
+      }
+
+      if (state.totalSize + entry.size > this.limits.maxTotalSize) {
+        state.stopped = `uncompressed total exceeds ${formatSize(this.limits.maxTotalSize)}`;
+        state.skipped.push({ filename, reason: 'limit-reached', detail: state.stopped });
+        continue;
+      }
+
+      // Headers are only claims: inflation itself is capped by the configured limits
+      const limit = Math.max(Math.min(this.getSizeLimit(entryPath), this.limits.maxTotalSize - state.totalSize), 1);
+      let data;
+      try {
+        data = entry.getData(limit);
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          state.skipped.push({ filename, reason: 'too-large', detail: `decompressed size exceeds ${formatSize(limit)}` });
+        } else {
+          state.skipped.push({ filename, reason: 'corrupt', detail: error.message });
+        }
+        continue;
+      }
+      state.totalSize += data.length;
+
+      if (this.isArchive(entryPath)) {
+        this.readArchive(data, path.basename(entryPath), `${filename}/`, depth + 1, options, state);
+        continue;
+      }
+
+      const decoded = this.decode(data);
+      if (decoded.skipped) {
+        state.skipped.push({ filename, reason: decoded.skipped });
+        continue;
+      }
+
+      state.files.push({
+        filename,
+        content: decoded.content,
+        size: decoded.content.length,
+        encoding: decoded.encoding
+      });
+    }
+  }
+
+  // Entries as { name, kind, size, compressedSize, getData }, whatever the container.
+  // The format is taken from the content, so a mislabelled upload is still read correctly.
+  listEntries(data, name, state) {
+    const format = this.detectFormat(data);
+
+    if (format === 'zip') {
+      return this.listZipEntries(data);
+    }
+
+    if (format === 'tar') {
+      return this.listTarEntries(data);
+    }
+
+    if (format === 'gzip') {
+      const inflated = zlib.gunzipSync(data, {
+        maxOutputLength: Math.max(this.limits.maxTotalSize - state.totalSize, 1)
+      });
+
+      if (this.detectFormat(inflated) === 'tar') {
+        return this.listTarEntries(inflated);
+      }
+
+      // A single compressed file: "main.py.gz" holds "main.py"
+      return [{
+        name: name.replace(/\.gz$/i, ''),
+        kind: 'file',
+        size: inflated.length,
+        compressedSize: data.length,
+        getData: () => inflated
+      }];
+    }
+
+    throw new Error('not a ZIP, tar or gzip archive');
+  }
+
+  detectFormat(data) {
+    if (data.length >= 4 && data[0] === 0x50 && data[1] === 0x4B && (data[2] === 0x03 || data[2] === 0x05)) {
+      return 'zip';
+    }
+    if (data.length >= 2 && data[0] === 0x1F && data[1] === 0x8B) {
+      return 'gzip';
+    }
+    if (data.length >= TAR_BLOCK && data.toString('latin1', 257, 262) === 'ustar') {
+      return 'tar';
+    }
+    return null;
+  }
+
+  listZipEntries(data) {
+    return new AdmZip(data).getEntries().map(entry => ({
+      name: entry.entryName,
+      kind: entry.isDirectory ? 'directory' : isSymlinkMode(entry.attr >>> 16) ? 'link' : 'file',
+      size: entry.header.size,
+      compressedSize: entry.header.compressedSize,
+      getData: limit => this.inflateZipEntry(entry, limit)
+    }));
+  }
+
+  // Inflate one ZIP entry to at most `limit` bytes and check it against its header
+  inflateZipEntry(entry, limit) {
+    const { header } = entry;
+    if (header.encrypted) {
+      throw new Error('encrypted entry');
+    }
+
+    const compressed = entry.getCompressedData();
+    let data;
+    if (header.method === 0) {
+      data = compressed;
+    } else if (header.method === 8) {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: limit });
+    } else {
+      throw new Error(`unsupported compression method ${header.method}`);
+    }
+
+    if (data.length > limit) {
+      throw Object.assign(new Error('entry exceeds the size limit'), { code: 'ERR_BUFFER_TOO_LARGE' });
+    }
+    if (data.length !== header.size) {
+      throw new Error(`declared ${header.size} bytes but holds ${data.length}`);
+    }
+    if ((crc32(data) >>> 0) !== (header.crc >>> 0)) {
+      throw new Error('bad CRC');
+    }
+    return data;
+  }
+
+  // POSIX ustar with the GNU long-name and PAX path extensions
+  listTarEntries(data) {
+    const entries = [];
+    let offset = 0;
+    let longName = null;
+
+    while (offset + TAR_BLOCK <= data.length) {
+      const header = data.slice(offset, offset + TAR_BLOCK);
+      if (header.every(byte => byte === 0)) break;
+
+      if (!hasValidTarChecksum(header)) {
+        throw new Error(`bad tar header checksum at offset ${offset}`);
+      }
+
+      const size = readTarSize(header);
+      const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+      const body = offset + TAR_BLOCK;
+
+      if (body + size > data.length) {
+        throw new Error('truncated tar archive');
+      }
+      offset = body + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+      // Metadata records naming the entry that follows
+      if (type === 'L') {
+        longName = readTarString(data, body, size);
+        continue;
+      }
+      if (type === 'x') {
+        longName = readPaxPath(data.slice(body, body + size)) || longName;
+        continue;
+      }
+      if (type === 'g') continue;
+
+      const isUstar = header.toString('latin1', 257, 263) === 'ustar\0';
+      const prefix = isUstar ? readTarString(header, 345, 155) : '';
+      const baseName = readTarString(header, 0, 100);
+      const name = longName || (prefix ? `${prefix}/${baseName}` : baseName);
+      longName = null;
+
+      entries.push({
+        name,
+        kind: TAR_KINDS[type] || 'other',
+        size,
+        compressedSize: size,
+        getData: () => data.slice(body, body + size)
+      });
+    }
+
+    return entries;
+  }
+
+  // Reasons an entry is not worth reading, decided from its name and header alone
+  checkEntry(entryPath, entry, depth, options) {
+    if (this.isVendored(entryPath)) {
+      return { reason: 'vendored' };
+    }
+
+    if (entry.kind === 'link') {
+      return { reason: 'link' };
+    }
+
+    if (entry.kind !== 'file') {
+      return { reason: 'unsupported-type' };
+    }
+
+    if (this.isArchive(entryPath)) {
+      if (!options.nested) return { reason: 'unsupported-type' };
+      if (depth >= this.limits.maxNestingDepth) {
+        return { reason: 'nested-too-deep', detail: `more than ${this.limits.maxNestingDepth} levels of nested archives` };
+      }
+    } else if (options.extensions && !options.extensions.includes(path.extname(entryPath).toLowerCase())) {
+      return { reason: 'unsupported-type' };
+    }
+
+    const { size, compressedSize } = entry;
+    const sizeLimit = this.getSizeLimit(entryPath);
+
+    // Nothing to inflate into, so the real size could be anything
+    if (size === 0 && compressedSize > 0) {
+      return { reason: 'corrupt', detail: 'declares 0 bytes but holds compressed data' };
+    }
+
+    if (size > sizeLimit) {
+      return { reason: 'too-large', detail: `${formatSize(size)} exceeds ${formatSize(sizeLimit)}` };
+    }
+
+    if (compressedSize > 0 && size / compressedSize > this.limits.maxCompressionRatio) {
+      return { reason: 'compression-ratio', detail: `ratio ${Math.round(size / compressedSize)}:1 exceeds ${this.limits.maxCompressionRatio}:1` };
+    }
+
+    return null;
+  }
+
+  getSizeLimit(filename) {
+    if (this.isArchive(filename)) return this.limits.maxTotalSize;
+    if (path.extname(filename).toLowerCase() === '.ipynb') return this.limits.maxNotebookSize;
+    return this.limits.maxFileSize;
+  }
+
+  // Relative, forward-slash path; null for anything that could escape the extraction root
+  normalizePath(entryName) {
+    const normalized = entryName.replace(/\\/g, '/');
+
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || normalized.includes('\0')) {
+      return null;
+    }
+
+    const segments = normalized.split('/').filter(segment => segment !== '' && segment !== '.');
+    if (segments.length === 0 || segments.includes('..')) {
+      return null;
+    }
+
+    return segments.join('/');
+  }
+
+  // Hidden files and anything under a dependency/VCS folder
+  isVendored(entryPath) {
+    return entryPath.split('/').some(segment =>
+      this.vendoredDirectories.includes(segment) || segment.startsWith('.')
+    );
+  }
+
+  isArchive(filename) {
+    const lower = filename.toLowerCase();
+    return this.archiveExtensions.some(ext => lower.endsWith(ext));
+  }
+
+  // Decode a text file, or report why it is not one: { content, encoding } | { skipped }
+  decode(buffer) {
+    if (buffer.length === 0) {
+      return { skipped: 'empty' };
+    }
+
+    // Byte order marks decide outright
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+      return { content: buffer.slice(3).toString('utf8'), encoding: 'utf-8' };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      return { content: new TextDecoder('utf-16le').decode(buffer.slice(2)), encoding: 'utf-16le' };
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      return { content: new TextDecoder('utf-16be').decode(buffer.slice(2)), encoding: 'utf-16be' };
+    }
+
+    if (this.isBinary(buffer)) {
+      return { skipped: 'binary' };
+    }
+
+    try {
+      return { content: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+    } catch (error) {
+      // Not valid UTF-8: almost always a Windows editor's code page
+      return { content: decodeWindows1252(buffer), encoding: 'windows-1252' };
+    }
+  }
+
+  // NUL bytes or a high share of control characters in the first block mean binary
+  isBinary(buffer) {
+    const sample = buffer.slice(0, BINARY_SNIFF_LENGTH);
+    let control = 0;
+
+    for (const byte of sample) {
+      if (byte === 0) return true;
+      if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13 && byte !== 12) control++;
+    }
+
+    return control / sample.length > 0.3;
+  }
+
+  // Read and decode a single uploaded file from disk or memory, with the same checks as archive entries
+  readFile(source, filename) {
+    if (this.isVendored(filename)) {
+      return { skipped: 'vendored' };
+    }
+
+    const size = Buffer.isBuffer(source) ? source.length : fs.statSync(source).size;
+    if (size > this.getSizeLimit(filename)) {
+      return { skipped: 'too-large' };
+    }
+
+    return this.decode(Buffer.isBuffer(source) ? source : fs.readFileSync(source));
+  }
+}
+
+// Tar type flags: 0/7 regular, 1 hard link, 2 symlink, 5 directory
+const TAR_KINDS = { 0: 'file', 7: 'file', 1: 'link', 2: 'link', 5: 'directory' };
+
+function isSymlinkMode(mode) {
+  return (mode & 0o170000) === 0o120000;
+}
+
+function readTarString(buffer, offset, length) {
+  const field = buffer.slice(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? field.length : end);
+}
+
+// Octal; GNU base-256 sizes (beyond 8GB) cannot fit in an upload and read as Infinity
+function readTarSize(header) {
+  if (header[124] & 0x80) return Infinity;
+  return parseInt(readTarString(header, 124, 12).trim() || '0', 8) || 0;
+}
+
+// The checksum field counts as eight spaces while summing the header
+function hasValidTarChecksum(header) {
+  const expected = parseInt(readTarString(header, 148, 8).trim(), 8);
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === expected;
+}
+
+// PAX records are "<length> <key>=<value>\n"
+function readPaxPath(buffer) {
+  const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(buffer.toString('utf8'));
+  return match ? match[1] : null;
+}
+
+function decodeWindows1252(buffer) {
+  let content = '';
+  for (const byte of buffer) {
+    const mapped = byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH[byte - 0x80] : 0;
+    content += String.fromCharCode(mapped || byte);
+  }
+  return content;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+module.exports = new ArchiveExtractor();
@@ -0,0 +1,399 @@
+const babelParser = require('@babel/parser');
+const tokenizer = require('./tokenizer');
+const languageRegistry = require('./languageRegistry');
+
+class CodeParser {
+  constructor() {
+    this.controlWords = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized', 'return', 'new', 'else', 'do', 'try']);
+    this.minUnitLines = 2;
+  }
+
+  // Structural front end: functions and classes with exact line ranges
+  parse(code, language = null) {
+    const lang = (language || '').toLowerCase();
+    const { parser } = languageRegistry.get(lang);
+
+    try {
+      if (parser === 'babel') {
+        return this.parseJavaScript(code, lang);
+      }
+      if (parser === 'python') {
+        return this.parsePython(code);
+      }
+      if (parser === 'braces') {
+        return this.parseBraces(code, lang);
+      }
+    } catch (error) {
+      // Snippets, prose from web results and half-finished code often do not parse; the tokenizer
+      // fallback below is the expected path for them
+    }
+
+    return this.parseBraces(code, lang || null);
+  }
+
+  parseJavaScript(code, language) {
+    const ast = this.parseBabel(code, language);
+    const lines = code.split('\n');
+    const units = [];
+
+    const addUnit = (type, name, node) => {
+      units.push(this.createUnit(type, name, node.loc.start.line, node.loc.end.line, lines));
+    };
+
+    const getKeyName = (key) => {
+      if (!key) return null;
+      if (key.type === 'Identifier' || key.type === 'PrivateName') return key.name || (key.id && key.id.name);
+      if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+      return null;
+    };
+
+    const isFunction = (node) => node && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression');
+    const isClass = (node) => node && node.type === 'ClassExpression';
+
+    this.walk(ast.program, (node, parent) => {
+      switch (node.type) {
+        case 'FunctionDeclaration':
+          addUnit('function', node.id ? node.id.name : null, node);
+          break;
+        case 'ClassDeclaration':
+          addUnit('class', node.id ? node.id.name : null, node);
+          break;
+        case 'ClassMethod':
+        case 'ClassPrivateMethod':
+        case 'ObjectMethod':
+          addUnit('method', getKeyName(node.key), node);
+          break;
+        case 'VariableDeclarator':
+          if (isFunction(node.init)) addUnit('function', getKeyName(node.id), node.init);
+          if (isClass(node.init)) addUnit('class', getKeyName(node.id), node.init);
+          break;
+        case 'AssignmentExpression':
+          if (isFunction(node.right)) addUnit('function', this.getMemberName(node.left), node.right);
+          break;
+        case 'ObjectProperty':
+        case 'ClassProperty':
+          if (isFunction(node.value)) addUnit('method', getKeyName(node.key), node.value);
+          break;
+        case 'TSInterfaceDeclaration':
+          addUnit('class', node.id.name, node);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return {
+      language,
+      parser: 'babel',
+      units: this.finalizeUnits(units),
+      tokens: this.getBabelTokens(ast)
+    };
+  }
+
+  parseBabel(code, language) {
+    const plugins = ['jsx', 'classProperties', 'classPrivateProperties', 'classPrivateMethods', 'decorators-legacy'];
+    if (languageRegistry.normalize(language) === 'typescript') {
+      plugins.push('typescript');
+    }
+
+    return babelParser.parse(code, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      tokens: true,
+      plugins
+    });
+  }
+
+  getBabelTokens(ast) {
+    const literalTypes = { string: 'string', template: 'string', regexp: 'string', num: 'number', bigint: 'number', decimal: 'number' };
+
+    return ast.tokens
+      .filter(token => token.type !== 'CommentLine' && token.type !== 'CommentBlock' && token.type.label !== 'eof')
+      .filter(token => !(token.type.label === 'template' && token.value === ''))
+      .map(token => {
+        const label = token.type.label;
+        let type = 'operator';
+        if (token.type.keyword) type = 'keyword';
+        else if (label === 'name' || label === 'jsxName' || label === '#name') type = 'identifier';
+        else if (literalTypes[label]) type = literalTypes[label];
+
+        return {
+          type,
+          value: type === 'operator' ? label : String(token.value),
+          line: token.loc.start.line,
+          endLine: token.loc.end.line
+        };
+      });
+  }
+
+  walk(node, visit, parent = null) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node, parent);
+
+    Object.keys(node).forEach(key => {
+      if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') return;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => this.walk(item, visit, node));
+      } else if (child && typeof child === 'object' && typeof child.type === 'string') {
+        this.walk(child, visit, node);
+      }
+    });
+  }
+
+  getMemberName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && node.property) {
+      const object = this.getMemberName(node.object);
+      const property = node.property.name || node.property.value;
+      return object ? `${object}.${property}` : property;
+    }
+    return null;
+  }
+
+  // Indentation-based blocks; string tokens tell us which lines sit inside multi-line strings
+  parsePython(code) {
+    const lines = code.split('\n');
+    const tokens = tokenizer.tokenize(code, 'python');
+    const insideString = new Set();
+
+    tokens.forEach(token => {
+      if (token.type === 'string') {
+        for (let line = token.line + 1; line <= token.endLine; line++) insideString.add(line);
+      }
+    });
+
+    const getIndent = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    const isCodeLine = (index) => {
+      const trimmed = lines[index].trim();
+      return trimmed !== '' && !trimmed.startsWith('#') && !insideString.has(index + 1);
+    };
+
+    const units = [];
+    const headerRegex = /^\s*(?:async\s+)?(def|class)\s+([A-Za-z_]\w*)/;
+
+    for (let i = 0; i < lines.length; i++) {
+      if (insideString.has(i + 1)) continue;
+      const header = headerRegex.exec(lines[i]);
+      if (!header) continue;
+
+      const indent = getIndent(lines[i]);
+
+      // Decorators belong to the definition
+      let start = i;
+      while (start > 0 && /^\s*@/.test(lines[start - 1])) start--;
+
+      // Skip past a multi-line signature
+      let bodyStart = i;
+      while (bodyStart < lines.length - 1 && !/:\s*(#.*)?$/.test(lines[bodyStart])) bodyStart++;
+
+      let end = bodyStart;
+      for (let j = bodyStart + 1; j < lines.length; j++) {
+        if (!isCodeLine(j) && !insideString.has(j + 1)) continue;
+        if (!insideString.has(j + 1) && getIndent(lines[j]) <= indent) break;
+        end = j;
+      }
+
+      units.push(this.createUnit(header[1] === 'def' ? (indent > 0 ? 'method' : 'function') : 'class', header[2], start + 1, end + 1, lines));
+    }
+
+    return {
+      language: 'python',
+      parser: 'tokenizer',
+      units: this.finalizeUnits(units),
+      tokens
+    };
+  }
+
+  // Token-level brace matching for Java and other C-family languages
+  parseBraces(code, language) {
+    const lines = code.split('\n');
+    const tokens = tokenizer.tokenize(code, language);
+    const units = [];
+
+    // Index of the matching closing brace for every opening brace
+    const closing = new Map();
+    const stack = [];
+    tokens.forEach((token, index) => {
+      if (token.value === '{') stack.push(index);
+      else if (token.value === '}' && stack.length > 0) closing.set(stack.pop(), index);
+    });
+
+    const typeWords = new Set(['class', 'interface', 'enum', 'struct', 'record', 'trait', 'impl', 'object']);
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      // class Foo<T> extends Bar implements Baz {
+      if (typeWords.has(token.value) && tokens[i + 1] && tokens[i + 1].type === 'identifier') {
+        const open = this.findOpeningBrace(tokens, i + 2, [';', '(', '=']);
+        if (open !== -1 && closing.has(open)) {
+          const start = this.findDeclarationStart(tokens, i);
+          units.push(this.createUnit('class', tokens[i + 1].value, tokens[start].line, tokens[closing.get(open)].endLine, lines));
+        }
+        continue;
+      }
+
+      // returnType name(params) [throws X] {
+      if (token.type === 'identifier' && tokens[i + 1] && tokens[i + 1].value === '(' && !this.controlWords.has(token.value)) {
+        const previous = tokens[i - 1];
+        if (previous && (previous.value === '.' || previous.value === 'new' || previous.value === '=' || previous.value === ',')) continue;
+
+        const closeParen = this.findClosingParen(tokens, i + 1);
+        if (closeParen === -1) continue;
+
+        const open = this.findOpeningBrace(tokens, closeParen + 1, [';', '=', '(', ')', ',', '}']);
+        if (open === -1 || !closing.has(open)) continue;
+
+        const start = this.findDeclarationStart(tokens, i);
+        const insideClass = units.some(unit => unit.type === 'class' && unit.startLine <= token.line && unit.endLine >= token.line);
+        units.push(this.createUnit(insideClass ? 'method' : 'function', token.value, tokens[start].line, tokens[closing.get(open)].endLine, lines));
+        i = open;
+      }
+    }
+
+    return {
+      language: language || 'unknown',
+      parser: 'tokenizer',
+      units: this.finalizeUnits(units),
+      tokens
+    };
+  }
+
+  findClosingParen(tokens, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < tokens.length; i++) {
+      if (tokens[i].value === '(') depth++;
+      else if (tokens[i].value === ')') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  // Next '{' before any of the stop tokens (allows `throws X, Y`, `const`, `-> T` and similar)
+  findOpeningBrace(tokens, from, stopValues) {
+    for (let i = from; i < tokens.length && i < from + 40; i++) {
+      if (tokens[i].value === '{') return i;
+      if (stopValues.includes(tokens[i].value) && !(tokens[i].value === ',' && tokens[i - 1] && tokens[i - 1].type === 'identifier')) return -1;
+    }
+    return -1;
+  }
+
+  // Walk back over modifiers, annotations and the return type to the first token of the declaration
+  findDeclarationStart(tokens, index) {
+    let start = index;
+    while (start > 0) {
+      const previous = tokens[start - 1];
+      if (previous.value === ';' || previous.value === '{' || previous.value === '}') break;
+      start--;
+    }
+    return start;
+  }
+
+  createUnit(type, name, startLine, endLine, lines) {
+    return {
+      type,
+      name: name || '<anonymous>',
+      startLine,
+      endLine,
+      code: lines.slice(startLine - 1, endLine).join('\n')
+    };
+  }
+
+  finalizeUnits(units) {
+    const seen = new Set();
+    return units
+      .filter(unit => unit.endLine - unit.startLine + 1 >= this.minUnitLines || unit.code.length > 40)
+      .filter(unit => {
+        const key = `${unit.startLine}:${unit.endLine}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.startLine - b.startLine);
+  }
+
+  // Functions and classes, or chunks of significant lines when there are none
+  extractUnits(code, language = null, limit = 10) {
+    const { units } = this.parse(code, language);
+
+    // Prefer the innermost units (functions and methods) over whole classes
+    const functions = units.filter(unit => unit.type !== 'class');
+    const classes = units.filter(unit => unit.type === 'class' &&
+      !functions.some(fn => fn.startLine >= unit.startLine && fn.endLine <= unit.endLine));
+    const selected = [...functions, ...classes].sort((a, b) => a.startLine - b.startLine);
+
+    if (selected.length > 0) {
+      return selected.slice(0, limit);
+    }
+
+    return this.extractLineChunks(code).slice(0, limit);
+  }
+
+  extractLineChunks(code, chunkSize = 5) {
+    const lines = code.split('\n');
+    const significant = [];
+
+    lines.forEach((line, index) => {
+      const trimmed = line.trim();
+      if (trimmed.length > 20 && !trimmed.startsWith('//') && !trimmed.startsWith('#') &&
+          !trimmed.startsWith('/*') && !trimmed.startsWith('*')) {
+        significant.push({ line: index + 1, text: line });
+      }
+    });
+
+    const chunks = [];
+    for (let i = 0; i < significant.length; i += chunkSize) {
+      const group = significant.slice(i, i + chunkSize);
+      const text = group.map(item => item.text).join('\n');
+      if (text.length > 50) {
+        chunks.push({
+          type: 'block',
+          name: `lines ${group[0].line}-${group[group.length - 1].line}`,
+          startLine: group[0].line,
+          endLine: group[group.length - 1].line,
+          code: text
+        });
+      }
+    }
+
+    return chunks;
+  }
+
+  // Canonical token stream: comments dropped, identifiers renamed by first use, literals replaced
+  canonicalize(code, language = null) {
+    const { tokens } = this.parse(code, language);
+    const names = new Map();
+
+    const canonicalTokens = tokens.map(token => {
+      let normalized = token.value;
+      if (token.type === 'identifier') {
+        if (!names.has(token.value)) names.set(token.value, `v${names.size + 1}`);
+        normalized = names.get(token.value);
+      } else if (token.type === 'string') {
+        normalized = 'S';
+      } else if (token.type === 'number') {
+        normalized = 'N';
+      }
+      return { ...token, normalized };
+    });
+
+    const lines = [];
+    canonicalTokens.forEach(token => {
+      if (!lines[token.line - 1]) lines[token.line - 1] = [];
+      lines[token.line - 1].push(token.normalized);
+    });
+
+    return {
+      tokens: canonicalTokens,
+      text: Array.from(lines, line => (line ? line.join(' ') : '')).join('\n')
+    };
+  }
+}
+
+module.exports = new CodeParser();
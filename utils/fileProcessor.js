@@ -1,23 +1,19 @@
-const fs = require('fs');
 const path = require('path');
-const AdmZip = require('adm-zip');
+const codeParser = require('./codeParser');
+const archiveExtractor = require('./archiveExtractor');
+const languageRegistry = require('./languageRegistry');
 
 class FileProcessor {
   constructor() {
-    this.supportedExtensions = [
-      '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.cs', 
-      '.php', '.rb', '.go', '.rs', '.swift', '.kt', '.scala', '.html', 
-      '.css', '.scss', '.sass', '.sql', '.sh', '.bat', '.ps1', '.vue',
-      '.json', '.xml', '.yaml', '.yml', '.md', '.txt'
-    ];
+    this.supportedExtensions = languageRegistry.getExtensions();
   }
 
   extractCodeFromFiles(filePath) {
     try {
       const ext = path.extname(filePath).toLowerCase();
       
-      if (ext === '.zip') {
-        return this.extractFromZip(filePath);
+      if (archiveExtractor.isArchive(filePath)) {
+        return this.extractArchive(filePath).files;
       } else if (this.supportedExtensions.includes(ext)) {
         return this.extractFromSingleFile(filePath);
       } else {
@@ -29,102 +25,135 @@ class FileProcessor {
     }
   }
 
-  extractFromZip(zipPath) {
+  // Safe extraction of a ZIP, tar or gzip archive (path or buffer): { files, skipped, stats }.
+  // Pass the upload's original name so a bare .gz can name the file inside it.
+  extractArchive(source, filename) {
     try {
-      const zip = new AdmZip(zipPath);
-      const zipEntries = zip.getEntries();
-      const extractedFiles = [];
-
-      for (const entry of zipEntries) {
-        if (!entry.isDirectory) {
-          const entryName = entry.entryName;
-          const ext = path.extname(entryName).toLowerCase();
-
-          if (this.supportedExtensions.includes(ext)) {
-            const content = entry.getData().toString('utf8');
-            extractedFiles.push({
-              filename: entryName,
-              content: content,
-              size: content.length,
-              language: this.getLanguageFromExtension(entryName)
-            });
-          }
-        }
-      }
-
-      return extractedFiles;
+      const extracted = archiveExtractor.extract(source, {
+        extensions: this.supportedExtensions,
+        filename
+      });
+
+      extracted.files.forEach(file => {
+        file.language = languageRegistry.detect(file.content, file.filename);
+      });
+
+      const expanded = this.expandNotebooks(extracted.files);
+      return {
+        files: expanded.files,
+        skipped: [...extracted.skipped, ...expanded.skipped],
+        stats: extracted.stats
+      };
     } catch (error) {
-      console.error('ZIP extraction error:', error);
-      throw new Error(`Failed to extract ZIP file: ${error.message}`);
+      console.error('Archive extraction error:', error);
+      throw new Error(`Failed to extract archive: ${error.message}`);
     }
   }
 
+  // A single uploaded file (path or buffer) with the archive checks applied: { files, skipped }
+  readUploadedFile(source, filename) {
+    const decoded = archiveExtractor.readFile(source, filename);
+
+    if (decoded.skipped) {
+      return { files: [], skipped: [{ filename, reason: decoded.skipped }] };
+    }
+
+    return this.expandNotebooks([{
+      filename,
+      content: decoded.content,
+      size: decoded.content.length,
+      language: languageRegistry.detect(decoded.content, filename),
+      encoding: decoded.encoding
+    }]);
+  }
+
   extractFromSingleFile(filePath) {
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const filename = path.basename(filePath);
-      
-      return [{
-        filename: filename,
-        content: content,
-        size: content.length,
-        language: this.getLanguageFromExtension(filename)
-      }];
+      const { files, skipped } = this.readUploadedFile(filePath, path.basename(filePath));
+
+      if (files.length === 0) {
+        throw new Error(`File skipped (${skipped.map(entry => entry.reason).join(', ')})`);
+      }
+
+      return files;
     } catch (error) {
       console.error('Single file extraction error:', error);
       throw new Error(`Failed to read file: ${error.message}`);
     }
   }
 
-  getLanguageFromExtension(filename) {
-    const languageMap = {
-      '.js': 'javascript',
-      '.jsx': 'javascript',
-      '.ts': 'typescript',
-      '.tsx': 'typescript',
-      '.py': 'python',
-      '.java': 'java',
-      '.cpp': 'cpp',
-      '.c': 'c',
-      '.cs': 'csharp',
-      '.php': 'php',
-      '.rb': 'ruby',
-      '.go': 'go',
-      '.rs': 'rust',
-      '.swift': 'swift',
-      '.kt': 'kotlin',
-      '.scala': 'scala',
-      '.html': 'html',
-      '.css': 'css',
-      '.scss': 'scss',
-      '.sass': 'sass',
-      '.sql': 'sql',
-      '.sh': 'bash',
-      '.bat': 'batch',
-      '.ps1': 'powershell',
-      '.vue': 'vue',
-      '.json': 'json',
-      '.xml': 'xml',
-      '.yaml': 'yaml',
-      '.yml': 'yaml',
-      '.md': 'markdown',
-      '.txt': 'text'
-    };
+  // Jupyter notebooks become one file per code cell ("lab.ipynb#cell-3", numbered like the
+  // notebook's own cells) so each cell is fingerprinted, searched and AI-scored on its own
+  expandNotebooks(files) {
+    const expanded = [];
+    const skipped = [];
+
+    files.forEach(file => {
+      if (path.extname(file.filename).toLowerCase() !== '.ipynb') {
+        expanded.push(file);
+        return;
+      }
+
+      const cells = this.extractNotebookCells(file);
+      if (!cells) {
+        skipped.push({ filename: file.filename, reason: 'invalid-notebook' });
+      } else if (cells.length === 0) {
+        skipped.push({ filename: file.filename, reason: 'empty' });
+      } else {
+        expanded.push(...cells);
+      }
+    });
 
-    const ext = path.extname(filename).toLowerCase();
-    return languageMap[ext] || 'unknown';
+    return { files: expanded, skipped };
+  }
+
+  extractNotebookCells(file) {
+    let notebook;
+    try {
+      notebook = JSON.parse(file.content);
+    } catch (error) {
+      return null;
+    }
+
+    if (!notebook || typeof notebook !== 'object') return null;
+
+    // nbformat 4 keeps cells at the top level, nbformat 3 inside worksheets
+    const cells = notebook.cells || (notebook.worksheets || []).flatMap(worksheet => worksheet.cells || []);
+    const metadata = notebook.metadata || {};
+    const kernelLanguage = (metadata.kernelspec && metadata.kernelspec.language) ||
+      (metadata.language_info && metadata.language_info.name) || 'python';
+    const language = languageRegistry.normalize(kernelLanguage) || kernelLanguage.toLowerCase();
+
+    return cells
+      .map((cell, index) => ({ cell, number: index + 1 }))
+      .filter(({ cell }) => cell && cell.cell_type === 'code')
+      .map(({ cell, number }) => {
+        const source = cell.source !== undefined ? cell.source : cell.input;
+        const content = Array.isArray(source) ? source.join('') : String(source || '');
+
+        return {
+          filename: `${file.filename}#cell-${number}`,
+          content,
+          size: content.length,
+          language,
+          encoding: file.encoding,
+          notebook: file.filename,
+          cell: number
+        };
+      })
+      .filter(cell => cell.content.trim().length > 0);
   }
 
   validateFile(file) {
     const maxSize = parseInt(process.env.MAX_FILE_SIZE || '52428800'); // 50MB
-    const allowedExtensions = [...this.supportedExtensions, '.zip'];
+    const allowedExtensions = [...this.supportedExtensions, ...archiveExtractor.archiveExtensions];
 
     if (file.size > maxSize) {
       throw new Error(`File size exceeds maximum limit of ${this.formatFileSize(maxSize)}`);
     }
 
     const ext = path.extname(file.originalname).toLowerCase();
-    if (!allowedExtensions.includes(ext)) {
+    if (!allowedExtensions.includes(ext) && !archiveExtractor.isArchive(file.originalname)) {
       throw new Error(`File type not allowed. Supported types: ${allowedExtensions.join(', ')}`);
     }
 
@@ -148,44 +177,7 @@ class FileProcessor {
   }
 
   extractCodeSnippets(content, language = 'javascript') {
-    const snippets = [];
-    const lines = content.split('\n');
-
-    // Extract function definitions
-    const functionPatterns = {
-      javascript: /(?:function\s+\w+\s*\([^)]*\)\s*\{[\s\S]*?\n\s*\})|(?:const\s+\w+\s*=\s*\([^)]*\)\s*=>\s*\{[\s\S]*?\n\s*\})/g,
-      python: /(?:def\s+\w+\s*\([^)]*\):[\s\S]*?)(?=\n\s*\n|\n\s*def|\n\s*class|$)/g,
-      java: /(?:public\s+)?(?:static\s+)?(?:final\s+)?(?:void|int|String|boolean|double|float|long|short|byte|char|Object|List|Map|Set|Queue|Stack|ArrayList|HashMap|HashSet|LinkedList|TreeMap|TreeSet|PriorityQueue|ArrayDeque|Vector|Hashtable|Properties|Enum|BigInteger|BigDecimal|Date|Calendar|LocalDate|LocalTime|LocalDateTime|ZonedDateTime|Instant|Duration|Period|Optional|Stream|CompletableFuture|Future|Callable|Runnable|Thread|Executor|ExecutorService|ScheduledExecutorService|ForkJoinPool|ThreadPoolExecutor|ScheduledThreadPoolExecutor|ForkJoinTask|RecursiveTask|RecursiveAction|CountedCompleter|Phaser|CyclicBarrier|CountDownLatch|Semaphore|Exchanger|BlockingQueue|TransferQueue|BlockingDeque|ConcurrentMap|ConcurrentNavigableMap|ConcurrentSkipListMap|ConcurrentSkipListSet|CopyOnWriteArrayList|CopyOnWriteArraySet|DelayQueue|PriorityBlockingQueue|SynchronousQueue|LinkedBlockingQueue|LinkedBlockingDeque|ArrayBlockingQueue|LinkedTransferQueue|ConcurrentLinkedQueue|ConcurrentLinkedDeque|LinkedBlockingQueue|LinkedBlockingDeque|ArrayBlockingQueue|LinkedTransferQueue|ConcurrentLinkedQueue|ConcurrentLinkedDeque)\s+\w+\s*\([^)]*\)\s*\{[\s\S]*?\n\s*\}/g,
-      cpp: /(?:void|int|string|bool|double|float|long|short|char|auto|template|class|struct|enum|union|namespace|inline|virtual|static|const|volatile|mutable|explicit|friend|operator|typedef|using|extern|register|thread_local|constexpr|decltype|noexcept|override|final|default|delete|nullptr|true|false|and|and_eq|bitand|bitor|compl|not|not_eq|or|or_eq|xor|xor_eq|asm|break|case|catch|continue|default|do|else|for|goto|if|return|switch|throw|try|while|new|delete|sizeof|typeid|alignof|alignas|static_assert|thread_local|constexpr|decltype|noexcept|override|final|default|delete|nullptr|true|false|and|and_eq|bitand|bitor|compl|not|not_eq|or|or_eq|xor|xor_eq|asm|break|case|catch|continue|default|do|else|for|goto|if|return|switch|throw|try|while|new|delete|sizeof|typeid|alignof|alignas|static_assert)\s+\w+\s*\([^)]*\)\s*\{[\s\S]*?\n\s*\}/g
-    };
-
-    const pattern = functionPatterns[language] || functionPatterns.javascript;
-    let match;
-
-    while ((match = pattern.exec(content)) !== null) {
-      snippets.push(match[0]);
-    }
-
-    // If no functions found, extract significant code blocks
-    if (snippets.length === 0) {
-      const significantLines = lines.filter(line => 
-        line.trim().length > 20 && 
-        !line.trim().startsWith('//') && 
-        !line.trim().startsWith('#') &&
-        !line.trim().startsWith('/*') &&
-        !line.trim().startsWith('*')
-      );
-
-      // Group significant lines into chunks
-      for (let i = 0; i < significantLines.length; i += 5) {
-        const chunk = significantLines.slice(i, i + 5).join('\n');
-        if (chunk.length > 50) {
-          snippets.push(chunk);
-        }
-      }
-    }
-
-    return snippets.slice(0, 10); // Limit to 10 snippets
+    return codeParser.extractUnits(content, language).map(unit => unit.code);
   }
 
   calculateCodeMetrics(content) {
@@ -0,0 +1,554 @@
+const path = require('path');
+
+// Everything the analysis needs to know about a language in one place:
+// - extensions / aliases: how uploads and user input name it
+// - lineComments / blockComments / strings / keywords: tokenizer syntax (extends merges a base language)
+// - parser: how codeParser splits it into snippet units (babel, python, braces)
+// - tag: the Stack Overflow tag, when it differs from the id
+// - github: the GitHub code search language name, when it differs from the id (null: none)
+// - signals: [pattern, weight] pairs used to recognize it from content alone
+const LANGUAGES = {
+  javascript: {
+    extensions: ['.js', '.jsx', '.mjs', '.cjs'],
+    aliases: ['js', 'jsx', 'node', 'nodejs'],
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    strings: ['"', "'", '`'],
+    keywords: [
+      'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+      'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+      'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+      'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+    ],
+    parser: 'babel',
+    interpreters: ['node', 'nodejs'],
+    signals: [
+      [/\b(const|let)\s+\w+\s*=/, 1],
+      [/=>\s*[{(\w]/, 1],
+      [/===|!==/, 1],
+      [/\bconsole\.(log|error|warn)\(/, 3],
+      [/\brequire\(\s*['"][^'"]+['"]\s*\)/, 3],
+      [/^\s*import\s.+\sfrom\s+['"][^'"]+['"];?\s*$/m, 3],
+      [/\bmodule\.exports\b|^\s*export\s+(default|const|function|class)\b/m, 3],
+      [/\b(document|window)\.\w+/, 2]
+    ]
+  },
+  typescript: {
+    extends: 'javascript',
+    extensions: ['.ts', '.tsx', '.mts', '.cts'],
+    aliases: ['ts', 'tsx'],
+    keywords: [
+      'abstract', 'any', 'as', 'boolean', 'enum', 'implements', 'interface', 'keyof', 'namespace',
+      'number', 'private', 'protected', 'public', 'readonly', 'string', 'type'
+    ],
+    signals: [
+      [/^\s*(export\s+)?(interface|type)\s+\w+(<[^>]*>)?\s*(=|\{)/m, 3],
+      [/\w\s*:\s*(string|number|boolean|any|void|unknown)(\[\])?\s*[,;)=]/, 3],
+      [/\b(private|public|protected|readonly)\s+\w+\s*:/, 2],
+      [/^\s*import\s.+\sfrom\s+['"][^'"]+['"];?\s*$/m, 1]
+    ]
+  },
+  python: {
+    extensions: ['.py', '.pyw', '.ipynb'],
+    aliases: ['py', 'python3', 'ipython'],
+    lineComments: ['#'],
+    blockComments: [],
+    strings: ['"""', "'''", '"', "'"],
+    // Strings that document code the way comments do
+    docStrings: ['"""', "'''"],
+    keywords: [
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+      'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is',
+      'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try', 'while',
+      'with', 'yield', 'print', 'range', 'len', 'self'
+    ],
+    parser: 'python',
+    interpreters: ['python', 'python2', 'python3'],
+    signals: [
+      [/^\s*def\s+\w+\s*\(.*\)\s*(->\s*[^:]+)?:\s*(#.*)?$/m, 3],
+      [/^\s*class\s+\w+(\(.*\))?:\s*$/m, 2],
+      [/^\s*from\s+[\w.]+\s+import\s+/m, 3],
+      [/^\s*import\s+[\w.]+(\s+as\s+\w+)?\s*$/m, 1],
+      [/^\s*(elif\s.*|else|try|except(\s.*)?|finally):\s*$/m, 2],
+      [/\bself\.\w+/, 1],
+      [/^if\s+__name__\s*==\s*['"]__main__['"]\s*:/m, 4],
+      [/^\s*print\(/m, 1]
+    ]
+  },
+  java: {
+    extensions: ['.java'],
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    strings: ['"', "'"],
+    keywords: [
+      'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'continue', 'default',
+      'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'if',
+      'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'new', 'null', 'package',
+      'private', 'protected', 'public', 'return', 'short', 'static', 'super', 'switch', 'this',
+      'throw', 'throws', 'true', 'try', 'void', 'while', 'String'
+    ],
+    parser: 'braces',
+    signals: [
+      [/\bpublic\s+(final\s+|abstract\s+)?class\s+\w+/, 2],
+      [/\bpublic\s+static\s+void\s+main\s*\(\s*String/, 4],
+      [/\bSystem\.(out|err)\.print/, 4],
+      [/^\s*import\s+java(x)?\.[\w.*]+;/m, 4],
+      [/^\s*package\s+[\w.]+;/m, 3],
+      [/@Override\b/, 2]
+    ]
+  },
+  c: {
+    extensions: ['.c', '.h'],
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    strings: ['"', "'"],
+    keywords: [
+      'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum',
+      'extern', 'float', 'for', 'goto', 'if', 'int', 'long', 'register', 'return', 'short', 'signed',
+      'sizeof', 'static', 'struct', 'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile',
+      'while', 'include', 'define', 'printf', 'scanf', 'malloc', 'free', 'NULL'
+    ],
+    parser: 'braces',
+    signals: [
+      [/^\s*#include\s*<(stdio|stdlib|string|math|stdbool|unistd)\.h>/m, 4],
+      [/\bint\s+main\s*\(/, 2],
+      [/\b(printf|scanf)\s*\(/, 1],
+      [/\b(malloc|calloc|free)\s*\(/, 1],
+      [/^\s*typedef\s+struct\b/m, 2]
+    ]
+  },
+  cpp: {
+    extends: 'c',
+    extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.hh'],
+    aliases: ['c++', 'cxx'],
+    keywords: [
+      'bool', 'catch', 'class', 'delete', 'false', 'namespace', 'new', 'nullptr', 'private',
+      'protected', 'public', 'template', 'this', 'throw', 'true', 'try', 'typename', 'using',
+      'virtual', 'std', 'cout', 'cin', 'endl', 'string', 'vector'
+    ],
+    tag: 'c++',
+    github: 'C++',
+    signals: [
+      [/^\s*#include\s*<(iostream|vector|string|map|set|algorithm|bits\/stdc\+\+\.h)>/m, 4],
+      [/^\s*using\s+namespace\s+std\s*;/m, 4],
+      [/\bstd::\w+/, 3],
+      [/\b(cout|cerr)\s*<</, 3],
+      [/\btemplate\s*</, 2]
+    ]
+  },
+  csharp: {
+    extends: 'java',
+    extensions: ['.cs'],
+    aliases: ['c#', 'cs'],
+    keywords: ['using', 'namespace', 'var', 'foreach', 'string', 'bool', 'out', 'ref', 'override', 'virtual'],
+    tag: 'c#',
+    github: 'C#',
+    signals: [
+      [/^\s*using\s+System(\.[\w.]+)?\s*;/m, 4],
+      [/\bConsole\.Write(Line)?\s*\(/, 4],
+      [/\bstatic\s+(async\s+)?(void|int|Task)\s+Main\s*\(/, 3],
+      [/\{\s*get;\s*(private\s+)?(set;)?\s*\}/, 3],
+      [/^\s*namespace\s+[\w.]+\s*[{;]?\s*$/m, 1]
+    ]
+  },
+  php: {
+    extensions: ['.php'],
+    lineComments: ['//', '#'],
+    blockComments: [['/*', '*/']],
+    strings: ['"', "'"],
+    parser: 'braces',
+    interpreters: ['php'],
+    signals: [
+      [/<\?php/, 5],
+      [/^\s*\$\w+\s*=/m, 1],
+      [/\$this->\w+/, 3],
+      [/\becho\s+['"$]/, 1]
+    ]
+  },
+  ruby: {
+    extensions: ['.rb'],
+    aliases: ['rb'],
+    lineComments: ['#'],
+    blockComments: [['=begin', '=end']],
+    strings: ['"', "'"],
+    interpreters: ['ruby'],
+    signals: [
+      [/^\s*def\s+[\w?!]+(\(.*\))?\s*$/m, 2],
+      [/^\s*end\s*$/m, 2],
+      [/\bputs\s/, 2],
+      [/^\s*require(_relative)?\s+['"]/m, 2],
+      [/\.each(_with_index)?\s+do\s*\|/, 3],
+      [/^\s*attr_(reader|writer|accessor)\b/m, 3]
+    ]
+  },
+  go: {
+    extensions: ['.go'],
+    aliases: ['golang'],
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    strings: ['"', "'", '`'],
+    parser: 'braces',
+    signals: [
+      [/^\s*package\s+\w+\s*$/m, 2],
+      [/^\s*func\s+(\(\w+\s+\*?\w+\)\s+)?\w+\s*\(/m, 3],
+      [/\bfmt\.\w+\(/, 4],
+      [/^\s*import\s+\($/m, 2],
+      [/\w\s*:=\s*/, 1]
+    ]
+  },
+  rust: {
+    extensions: ['.rs'],
+    aliases: ['rs'],
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    strings: ['"'],
+    parser: 'braces',
+    signals: [
+      [/^\s*(pub\s+)?fn\s+\w+\s*(<[^>]*>)?\s*\(/m, 3],
+      [/\blet\s+mut\b/, 3],
+      [/\bprintln!\s*\(/, 4],
+      [/^\s*use\s+(std|crate)::/m, 4],
+      [/^\s*impl\b.*\{/m, 2]
+    ]
+  },
+  swift: {
+    extensions: ['.swift'],
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    strings: ['"'],
+    parser: 'braces',
+    signals: [
+      [/^\s*import\s+(Foundation|UIKit|SwiftUI)\b/m, 4],
+      [/\b(guard|if)\s+let\s+\w+/, 3],
+      [/\bfunc\s+\w+\s*\(.*\)\s*(->\s*[\w?\[\]]+\s*)?\{/, 2],
+      [/\bvar\s+\w+\s*:\s*[A-Z]\w*/, 1]
+    ]
+  },
+  kotlin: {
+    extensions: ['.kt', '.kts'],
+    aliases: ['kt'],
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    strings: ['"', "'"],
+    parser: 'braces',
+    signals: [
+      [/^\s*fun\s+(<[^>]*>\s*)?\w+\s*\(/m, 3],
+      [/\bval\s+\w+\s*[:=]/, 2],
+      [/^\s*data\s+class\b/m, 3],
+      [/\bprintln\(/, 1]
+    ]
+  },
+  scala: {
+    extensions: ['.scala', '.sc'],
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    strings: ['"', "'"],
+    parser: 'braces',
+    signals: [
+      [/^\s*object\s+\w+(\s+extends\s+\w+)?\s*\{/m, 3],
+      [/\bdef\s+\w+(\[.*\])?\s*\(.*\)\s*:\s*[\w\[\]]+\s*=/, 3],
+      [/^\s*case\s+class\b/m, 3],
+      [/\bval\s+\w+\s*[:=]/, 1]
+    ]
+  },
+  html: {
+    extensions: ['.html', '.htm'],
+    blockComments: [['<!--', '-->']],
+    signals: [
+      [/<!DOCTYPE\s+html/i, 5],
+      [/<html[\s>]/i, 4],
+      [/<\/(div|body|head|span|p|ul|table)>/i, 2]
+    ]
+  },
+  vue: {
+    extensions: ['.vue'],
+    lineComments: ['//'],
+    blockComments: [['<!--', '-->'], ['/*', '*/']],
+    tag: 'vue.js',
+    signals: [
+      [/^<template(\s[^>]*)?>/m, 4],
+      [/^<script(\s+setup)?(\s+lang="\w+")?>/m, 1],
+      [/\bexport\s+default\s*\{[\s\S]*\b(data|props|methods|computed)\s*[:(]/, 2]
+    ]
+  },
+  css: {
+    extensions: ['.css'],
+    lineComments: [],
+    blockComments: [['/*', '*/']],
+    signals: [
+      [/^\s*[.#]?[\w-]+([\s,>+~]+[.#]?[\w-]+)*\s*\{\s*$/m, 1],
+      [/^\s*(color|margin|padding|display|font-size|background(-color)?)\s*:\s*[^;]+;/m, 3],
+      [/@media\b/, 3]
+    ]
+  },
+  scss: {
+    extends: 'css',
+    extensions: ['.scss'],
+    lineComments: ['//'],
+    signals: [
+      [/^\s*\$[\w-]+\s*:/m, 3],
+      [/@(mixin|include|extend)\b/, 3]
+    ]
+  },
+  sass: {
+    extends: 'scss',
+    extensions: ['.sass'],
+    signals: []
+  },
+  sql: {
+    extensions: ['.sql'],
+    lineComments: ['--'],
+    blockComments: [['/*', '*/']],
+    strings: ["'", '"'],
+    signals: [
+      [/\bSELECT\b[\s\S]+?\bFROM\b/i, 3],
+      [/\bCREATE\s+TABLE\b/i, 4],
+      [/\bINSERT\s+INTO\b/i, 3],
+      [/\bUPDATE\s+\w+\s+SET\b/i, 3]
+    ]
+  },
+  bash: {
+    extensions: ['.sh', '.bash'],
+    aliases: ['sh', 'shell', 'zsh'],
+    lineComments: ['#'],
+    blockComments: [],
+    strings: ['"', "'"],
+    interpreters: ['bash', 'sh', 'zsh'],
+    github: 'Shell',
+    signals: [
+      [/^\s*(fi|done|esac)\s*$/m, 2],
+      [/^\s*if\s+\[\[?\s/m, 2],
+      [/\becho\s+["$]/, 1]
+    ]
+  },
+  batch: {
+    extensions: ['.bat', '.cmd'],
+    lineComments: ['REM ', 'rem ', '::'],
+    blockComments: [],
+    strings: ['"'],
+    tag: 'batch-file',
+    github: 'Batchfile',
+    signals: [
+      [/^@echo\s+off/im, 5],
+      [/^\s*(set|goto|rem|call)\s/im, 1]
+    ]
+  },
+  powershell: {
+    extensions: ['.ps1', '.psm1'],
+    aliases: ['ps1', 'pwsh'],
+    lineComments: ['#'],
+    blockComments: [['<#', '#>']],
+    strings: ['"', "'"],
+    interpreters: ['pwsh', 'powershell'],
+    signals: [
+      [/\b(Get|Set|New|Write|Remove|Invoke)-[A-Z]\w+/, 4],
+      [/^\s*param\s*\(/im, 2]
+    ]
+  },
+  json: {
+    extensions: ['.json'],
+    lineComments: [],
+    blockComments: [],
+    strings: ['"'],
+    signals: [
+      [/^\s*[{[]/, 1],
+      [/^\s*"[^"\n]+"\s*:/m, 2]
+    ]
+  },
+  xml: {
+    extensions: ['.xml'],
+    blockComments: [['<!--', '-->']],
+    signals: [
+      [/^\s*<\?xml\b/, 5]
+    ]
+  },
+  yaml: {
+    extensions: ['.yaml', '.yml'],
+    aliases: ['yml'],
+    lineComments: ['#'],
+    blockComments: [],
+    signals: [
+      [/^---\s*$/m, 1],
+      [/^[\w-]+:\s*(\S.*)?$/m, 1]
+    ]
+  },
+  markdown: {
+    extensions: ['.md', '.markdown'],
+    aliases: ['md'],
+    lineComments: [],
+    blockComments: [['<!--', '-->']],
+    signals: [
+      [/^#{1,6}\s+\S/m, 1],
+      [/^```/m, 3],
+      [/\[[^\]\n]+\]\([^)\n]+\)/, 2]
+    ]
+  },
+  text: {
+    extensions: ['.txt'],
+    aliases: ['plaintext', 'txt'],
+    github: null,
+    lineComments: [],
+    blockComments: [],
+    signals: []
+  }
+};
+
+// Syntax used for languages the registry does not know
+const FALLBACK = {
+  lineComments: ['//', '#'],
+  blockComments: [['/*', '*/']],
+  strings: ['"', "'", '`'],
+  keywords: [
+    'if', 'else', 'for', 'while', 'return', 'function', 'def', 'class', 'new', 'try', 'catch',
+    'break', 'continue', 'switch', 'case', 'true', 'false', 'null', 'nil', 'None'
+  ],
+  parser: null,
+  signals: []
+};
+
+// Content detection only looks at the head of a file
+const DETECTION_SAMPLE = 20000;
+// Score needed to name a file without a usable extension, and to overrule one
+const MIN_DETECTION_SCORE = 2;
+const OVERRULE_SCORE = 4;
+
+class LanguageRegistry {
+  constructor() {
+    this.languages = {};
+    this.extensionIndex = new Map();
+    this.aliasIndex = new Map();
+
+    Object.keys(LANGUAGES).forEach(id => {
+      this.languages[id] = this.resolve(id);
+      this.aliasIndex.set(id, id);
+      (LANGUAGES[id].aliases || []).forEach(alias => this.aliasIndex.set(alias, id));
+      LANGUAGES[id].extensions.forEach(ext => this.extensionIndex.set(ext, id));
+    });
+  }
+
+  // Merge a definition with the language it extends; keywords add up, syntax is inherited
+  resolve(id) {
+    const definition = LANGUAGES[id];
+    const base = definition.extends ? this.resolve(definition.extends) : FALLBACK;
+
+    return {
+      id,
+      extensions: definition.extensions,
+      lineComments: definition.lineComments || base.lineComments,
+      blockComments: definition.blockComments || base.blockComments,
+      strings: definition.strings || base.strings,
+      docStrings: definition.docStrings || base.docStrings || [],
+      keywords: definition.extends
+        ? [...base.keywords, ...(definition.keywords || [])]
+        : definition.keywords || FALLBACK.keywords,
+      parser: definition.parser !== undefined ? definition.parser : base.parser,
+      tag: definition.tag || id,
+      github: definition.github !== undefined ? definition.github : id,
+      interpreters: definition.interpreters || [],
+      signals: definition.signals || []
+    };
+  }
+
+  list() {
+    return Object.keys(this.languages);
+  }
+
+  // Canonical id for user or notebook supplied names ("C++", "py", "TSX"); null when unknown
+  normalize(language) {
+    if (!language) return null;
+    return this.aliasIndex.get(String(language).trim().toLowerCase()) || null;
+  }
+
+  // Syntax and rules for a language, with generic rules for unknown ones
+  get(language) {
+    const id = this.normalize(language);
+    return id ? this.languages[id] : { id: 'unknown', extensions: [], tag: null, github: null, interpreters: [], ...FALLBACK };
+  }
+
+  getExtensions() {
+    return Array.from(this.extensionIndex.keys());
+  }
+
+  isSupported(filename) {
+    return this.extensionIndex.has(path.extname(filename || '').toLowerCase());
+  }
+
+  fromFilename(filename) {
+    return this.extensionIndex.get(path.extname(filename || '').toLowerCase()) || 'unknown';
+  }
+
+  // File extension (without the dot) for naming pasted code
+  getExtension(language) {
+    const id = this.normalize(language);
+    return id ? this.languages[id].extensions[0].slice(1) : 'txt';
+  }
+
+  getCommentSyntax(language) {
+    const { lineComments, blockComments, docStrings = [] } = this.get(language);
+    return { lineComments, blockComments, docStrings };
+  }
+
+  getSearchTag(language) {
+    return this.get(language).tag;
+  }
+
+  getGitHubLanguage(language) {
+    return this.get(language).github;
+  }
+
+  // Language of a file from its name and content. The extension wins unless it is missing,
+  // generic (.txt) or the content clearly belongs to another language.
+  detect(content, filename = '') {
+    const byExtension = this.fromFilename(filename);
+
+    if (typeof content !== 'string' || content.trim() === '') {
+      return byExtension;
+    }
+
+    const byShebang = this.fromShebang(content);
+    if (byShebang) return byShebang;
+
+    const scores = this.scoreContent(content);
+    const best = scores[0];
+
+    if (byExtension !== 'unknown' && byExtension !== 'text') {
+      const own = scores.find(score => score.language === byExtension);
+      const overruled = !own && best && best.score >= OVERRULE_SCORE;
+      return overruled ? best.language : byExtension;
+    }
+
+    return best && best.score >= MIN_DETECTION_SCORE ? best.language : byExtension;
+  }
+
+  // Language for a { filename, content, language } record: a recognizable declared language, else detection
+  identify(file) {
+    return this.normalize(file.language) || this.detect(file.content, file.filename);
+  }
+
+  fromShebang(content) {
+    const match = /^#!\s*(\S+)(?:[ \t]+(\S+))?/.exec(content);
+    if (!match) return null;
+
+    // "#!/usr/bin/env python3" names the interpreter as an argument
+    const program = path.basename(match[1]);
+    const interpreter = path.basename(program === 'env' ? match[2] || '' : program).replace(/[\d.]+$/, '');
+    const id = this.list().find(language => this.languages[language].interpreters.includes(interpreter));
+    return id || null;
+  }
+
+  // Languages whose signals match the content, best first
+  scoreContent(content) {
+    const sample = content.slice(0, DETECTION_SAMPLE);
+
+    return this.list()
+      .map(language => ({
+        language,
+        score: this.languages[language].signals.reduce((sum, [pattern, weight]) =>
+          sum + (pattern.test(sample) ? weight : 0), 0)
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = new LanguageRegistry();
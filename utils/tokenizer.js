@@ -0,0 +1,108 @@
+const languageRegistry = require('./languageRegistry');
+
+class Tokenizer {
+  // Comment, string and keyword syntax come from the language registry
+  getLanguageConfig(language) {
+    return languageRegistry.get(language);
+  }
+
+  // Split source code into tokens, dropping comments and whitespace
+  tokenize(code, language = null) {
+    const config = this.getLanguageConfig(language);
+    const keywords = new Set(config.keywords);
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    const startsWith = (value) => code.startsWith(value, i);
+
+    while (i < code.length) {
+      const ch = code[i];
+
+      if (ch === '\n') {
+        line++;
+        i++;
+        continue;
+      }
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      // Line comments
+      const lineComment = config.lineComments.find(startsWith);
+      if (lineComment) {
+        while (i < code.length && code[i] !== '\n') i++;
+        continue;
+      }
+
+      // Block comments
+      const blockComment = config.blockComments.find(([open]) => startsWith(open));
+      if (blockComment) {
+        const end = code.indexOf(blockComment[1], i + blockComment[0].length);
+        const stop = end === -1 ? code.length : end + blockComment[1].length;
+        line += this.countNewlines(code, i, stop);
+        i = stop;
+        continue;
+      }
+
+      // String literals
+      const quote = config.strings.find(startsWith);
+      if (quote) {
+        const startLine = line;
+        let j = i + quote.length;
+        while (j < code.length && !code.startsWith(quote, j)) {
+          if (code[j] === '\\') j++;
+          else if (code[j] === '\n' && quote.length === 1 && quote !== '`') break;
+          j++;
+        }
+        const stop = Math.min(j + quote.length, code.length);
+        const value = code.slice(i, stop);
+        line += this.countNewlines(code, i, stop);
+        i = stop;
+        tokens.push({ type: 'string', value, line: startLine, endLine: line });
+        continue;
+      }
+
+      // Numbers
+      const numberMatch = /^(?:0[xX][0-9a-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(code.slice(i, i + 64));
+      if (numberMatch && /\d/.test(ch)) {
+        tokens.push({ type: 'number', value: numberMatch[0], line, endLine: line });
+        i += numberMatch[0].length;
+        continue;
+      }
+
+      // Identifiers and keywords
+      const wordMatch = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(code.slice(i, i + 256));
+      if (wordMatch) {
+        const value = wordMatch[0];
+        tokens.push({
+          type: keywords.has(value) ? 'keyword' : 'identifier',
+          value,
+          line,
+          endLine: line
+        });
+        i += value.length;
+        continue;
+      }
+
+      // Operators and punctuation
+      const operatorMatch = /^(?:===|!==|>>>|<<=|>>=|\*\*|=>|==|!=|<=|>=|&&|\|\||\+\+|--|\+=|-=|\*=|\/=|%=|<<|>>|::|->|[^\sA-Za-z0-9_$])/.exec(code.slice(i, i + 4));
+      tokens.push({ type: 'operator', value: operatorMatch[0], line, endLine: line });
+      i += operatorMatch[0].length;
+    }
+
+    return tokens;
+  }
+
+  countNewlines(code, start, end) {
+    let count = 0;
+    for (let i = start; i < end; i++) {
+      if (code[i] === '\n') count++;
+    }
+    return count;
+  }
+}
+
+module.exports = new Tokenizer();